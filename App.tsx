@@ -1,26 +1,64 @@
 
-import React, { useState, useEffect, useCallback } from 'react';
-import { streamNftDescription } from './services/geminiService';
-import { getCollectionNfts, getRandomNft, getNftByTokenId, getCollectionTotalSupply, Nft } from './services/reservoirService';
+import React, { useState, useEffect, useLayoutEffect, useCallback, useRef } from 'react';
+import { streamNftDescription, analyzeNft, type NftAnalysis } from './services/geminiService';
+import { getRandomNft, getNftByTokenId, getCollection, Nft, type Collection } from './services/reservoirService';
 import ContentDisplay from './components/ContentDisplay';
 import LoadingSkeleton from './components/LoadingSkeleton';
 import NftDisplay from './components/NftDisplay';
 import CollectionModal from './components/CollectionModal';
 import SearchBar from './components/SearchBar';
+import StylePicker from './components/StylePicker';
+import LanguagePicker from './components/LanguagePicker';
+import AnalysisChips from './components/AnalysisChips';
+import NftGrid from './components/NftGrid';
+import RarityRank from './components/RarityRank';
+import PosterExport from './components/PosterExport';
+import CollectionOverview from './components/CollectionOverview';
+import {
+  getTraitIndex,
+  getTokenRarity,
+  parseCollectionFilter,
+  getFilterKey,
+  type TraitIndex,
+  type CollectionFilter,
+  type TokenRarityResponse
+} from './services/traitService';
+import { getMarketplaceUrl, getExplorerUrl, CHAINS, type Chain } from './services/chains';
+import { DEFAULT_DESCRIPTION_STYLE, type DescriptionStyle } from './services/descriptionStyles';
+import { LANGUAGES, getBrowserLanguage, type Language } from './services/languages';
+import { parseRoute, buildRoutePath, type AppRoute, type View } from './services/routing';
+import { addRecentCollection } from './services/collectionDiscovery';
 
 
 const DEFAULT_COLLECTION_ADDRESS = '0xc51d4269d159beb8a91ef9f0a8da9c40443d6bd4';
 
+// Link that reopens this token with the same chain, style and language
+const buildShareUrl = (collectionAddress: string, tokenId: string, chain: Chain, style: DescriptionStyle, language: Language) =>
+  `${window.location.origin}${buildRoutePath({
+    collectionAddress,
+    chain,
+    view: 'nft',
+    tokenId,
+    filter: null,
+    style: style !== DEFAULT_DESCRIPTION_STYLE ? style : null,
+    language,
+  })}`;
+
+// Whether a history entry was reached from the grid (so "Back" returns to it)
+const isOpenedFromGrid = (state: unknown) =>
+  (state as { openedFromGrid?: boolean } | null)?.openedFromGrid === true;
+
 // Modern meta tag utility for social sharing
-const updateMetaTags = (nft: Nft | null, content: string) => {
+const updateMetaTags = (nft: Nft | null, content: string, language: Language, shareUrl: string) => {
   if (!nft) return;
   
   const title = `${nft.name} - ChainGallery`;
   const description = content.substring(0, 160) + (content.length > 160 ? '...' : '');
   const imageUrl = nft.image || 'https://chaingallery.app/og-image.png';
   
-  // Update document title
+  // Update document title and language (the description is in the selected language)
   document.title = title;
+  document.documentElement.lang = language;
   
   // Update OG meta tags
   const updateMetaTag = (property: string, content: string) => {
@@ -46,34 +84,103 @@ const updateMetaTags = (nft: Nft | null, content: string) => {
   updateMetaTag('og:title', title);
   updateMetaTag('og:description', description);
   updateMetaTag('og:image', imageUrl);
+  updateMetaTag('og:url', shareUrl);
+  updateMetaTag('og:locale', LANGUAGES[language].ogLocale);
   updateNameMetaTag('twitter:title', title);
   updateNameMetaTag('twitter:description', description);
   updateNameMetaTag('twitter:image', imageUrl);
 };
 
 const App: React.FC = () => {
-  const [collectionAddress, setCollectionAddress] = useState<string>(DEFAULT_COLLECTION_ADDRESS);
+  // Deep links (/c/:contract/:tokenId and friends) set the starting state
+  const [initialRoute] = useState<AppRoute>(() => parseRoute(window.location));
+  const [collectionAddress, setCollectionAddress] = useState<string>(initialRoute.collectionAddress ?? DEFAULT_COLLECTION_ADDRESS);
+  const [chain, setChain] = useState<Chain>(initialRoute.chain);
+  const [descriptionStyle, setDescriptionStyle] = useState<DescriptionStyle>(initialRoute.style ?? DEFAULT_DESCRIPTION_STYLE);
+  const [language, setLanguage] = useState<Language>(() => initialRoute.language ?? getBrowserLanguage());
   const [allNfts, setAllNfts] = useState<Nft[]>([]);
   const [currentNft, setCurrentNft] = useState<Nft | null>(null);
   const [content, setContent] = useState<string>('');
+  const [analysis, setAnalysis] = useState<NftAnalysis | null>(null);
   const [isLoading, setIsLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
   const [generationTime, setGenerationTime] = useState<number | null>(null);
   const [isModalOpen, setIsModalOpen] = useState<boolean>(false);
   const [notification, setNotification] = useState<{message: string, type: 'error' | 'success'} | null>(null);
   const [collectionLoading, setCollectionLoading] = useState<boolean>(true);
+  const [view, setView] = useState<View>(initialRoute.view);
+  const [openedFromGrid, setOpenedFromGrid] = useState<boolean>(false);
+  const [traitIndex, setTraitIndex] = useState<TraitIndex | null>(null);
+  const [gridFilter, setGridFilter] = useState<CollectionFilter | null>(initialRoute.filter);
+  const [rarity, setRarity] = useState<TokenRarityResponse | null>(null);
+  // Contract metadata for the overview; null until loaded
+  const [collection, setCollection] = useState<Collection | null>(null);
+  // Grid scroll position, restored when the user comes back from a single NFT
+  const gridScrollRef = useRef<number>(0);
+  // Token or grid filter to show once the collection loads, from a deep link or back/forward
+  const pendingRouteRef = useRef<AppRoute | null>(initialRoute);
+  // Navigations add a history entry; other URL updates (style, language, the
+  // token picked for a collection link) replace the current one
+  const historyModeRef = useRef<'push' | 'replace'>('replace');
+  // Set while back/forward fetches a token, so the URL is left alone until it shows
+  const routeLoadingRef = useRef<boolean>(false);
+  // `chain:address` of the collection whose first NFT has been fetched
+  const loadedCollectionRef = useRef<string | null>(null);
+  // Latest state for the popstate listener
+  const stateRef = useRef({ collectionAddress, chain, view, currentNft });
+  stateRef.current = { collectionAddress, chain, view, currentNft };
 
-  // Handle URL parameters for shared links
+  // Restore the state a history entry describes when the user goes back or
+  // forward. Scrolling is restored by the app, since the grid is hidden while
+  // a single NFT shows.
   useEffect(() => {
-    const urlParams = new URLSearchParams(window.location.search);
-    const sharedCollection = urlParams.get('collection');
-    const sharedToken = urlParams.get('token');
-    
-    if (sharedCollection && sharedCollection !== collectionAddress) {
-      setCollectionAddress(sharedCollection);
-    }
+    window.history.scrollRestoration = 'manual';
+
+    const handlePopState = (event: PopStateEvent) => {
+      const route = parseRoute(window.location);
+      const current = stateRef.current;
+      const address = route.collectionAddress ?? DEFAULT_COLLECTION_ADDRESS;
+
+      if (current.view === 'grid') {
+        gridScrollRef.current = window.scrollY;
+      }
+      historyModeRef.current = 'replace';
+      setDescriptionStyle(route.style ?? DEFAULT_DESCRIPTION_STYLE);
+      setLanguage(route.language ?? getBrowserLanguage());
+      setOpenedFromGrid(isOpenedFromGrid(event.state));
+      setView(route.view);
+
+      // Another collection: the collection effect picks up the token or filter
+      if (address.toLowerCase() !== current.collectionAddress.toLowerCase() || route.chain !== current.chain) {
+        pendingRouteRef.current = route;
+        setChain(route.chain);
+        setCollectionAddress(address);
+        return;
+      }
+
+      if (route.view === 'grid') {
+        setGridFilter(route.filter);
+      } else if (route.tokenId && route.tokenId !== current.currentNft?.tokenId) {
+        routeLoadingRef.current = true;
+        getNftByTokenId(address, route.tokenId, route.chain)
+          .then((nft) => {
+            routeLoadingRef.current = false;
+            if (nft) setCurrentNft(nft);
+          })
+          .catch((e) => {
+            routeLoadingRef.current = false;
+            console.error('Failed to load NFT from history:', e);
+          });
+      }
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
   }, []);
 
+  useLayoutEffect(() => {
+    window.scrollTo(0, view === 'grid' ? gridScrollRef.current : 0);
+  }, [view]);
+
   // Auto-dismiss notification after 5 seconds
   useEffect(() => {
     if (notification) {
@@ -87,12 +194,16 @@ const App: React.FC = () => {
   // Update meta tags when NFT and content change
   useEffect(() => {
     if (currentNft && content && !isLoading) {
-      updateMetaTags(currentNft, content);
+      const shareUrl = buildShareUrl(collectionAddress, currentNft.tokenId, chain, descriptionStyle, language);
+      updateMetaTags(currentNft, content, language, shareUrl);
     }
-  }, [currentNft, content, isLoading]);
+  }, [currentNft, content, isLoading, collectionAddress, chain, descriptionStyle, language]);
 
   // Effect to fetch NFTs when the collection address changes
   useEffect(() => {
+    // The route is cleared once loaded rather than here, since StrictMode runs this twice
+    const route = pendingRouteRef.current;
+
     const fetchNftsForCollection = async () => {
       // Reset state for new collection
       setIsLoading(true);
@@ -100,15 +211,36 @@ const App: React.FC = () => {
       setAllNfts([]);
       setCurrentNft(null);
       setContent('');
+      setCollection(null);
       setCollectionLoading(true); // Start collection loading
+      setOpenedFromGrid(false);
+      setGridFilter(route?.view === 'grid' ? route.filter : null);
+      gridScrollRef.current = 0;
 
       try {
-        // Get one random NFT to start with (fast loading)
-        const randomNft = await getRandomNft(collectionAddress);
-        if (randomNft) {
-          setCurrentNft(randomNft); // This will trigger the description generation effect
+        // Open the linked token, or get one random NFT to start with (fast loading)
+        let nft = route?.tokenId ? await getNftByTokenId(collectionAddress, route.tokenId, chain) : null;
+        if (route?.tokenId && !nft) {
+          setNotification({message: `Token #${route.tokenId} was not found. Showing a random NFT instead.`, type: 'error'});
+        }
+        nft ??= await getRandomNft(collectionAddress, chain);
+
+        if (nft) {
+          setCurrentNft(nft); // This will trigger the description generation effect
           // Set a placeholder for allNfts with just the count
-          setAllNfts([randomNft]); // Start with just the first NFT
+          setAllNfts([nft]); // Start with just the first NFT
+
+          // Remember the collection for the picker, pictured by its first NFT when it has no image
+          const firstImage = nft.image;
+          getCollection(collectionAddress, chain).then((collection) => {
+            setCollection(collection);
+            addRecentCollection({
+              address: collectionAddress,
+              chain,
+              name: collection?.name ?? null,
+              imageUrl: collection?.imageUrl || firstImage || null,
+            });
+          });
         } else {
           setError(`No NFTs found for address: ${collectionAddress}`);
           setIsLoading(false);
@@ -117,18 +249,75 @@ const App: React.FC = () => {
         setError(`Failed to fetch collection data for address: ${collectionAddress}. Check the address or try another.`);
         setIsLoading(false);
       } finally {
+        if (pendingRouteRef.current === route) {
+          pendingRouteRef.current = null;
+        }
+        loadedCollectionRef.current = `${chain}:${collectionAddress}`;
         setCollectionLoading(false); // End collection loading
       }
     };
     fetchNftsForCollection();
-  }, [collectionAddress]);
+  }, [collectionAddress, chain]);
+
+  // Keep the URL in step with what is shown. Style and language are only
+  // spelled out when they differ from what a new visitor would get.
+  useEffect(() => {
+    // Until the collection's first NFT arrives there is no token to link to
+    if (loadedCollectionRef.current !== `${chain}:${collectionAddress}` || routeLoadingRef.current) return;
+    if (view === 'nft' && !currentNft) return;
+
+    const path = buildRoutePath({
+      collectionAddress,
+      chain,
+      view,
+      tokenId: view === 'nft' ? currentNft?.tokenId ?? null : null,
+      filter: view === 'grid' ? gridFilter : null,
+      style: descriptionStyle !== DEFAULT_DESCRIPTION_STYLE ? descriptionStyle : null,
+      language: language !== getBrowserLanguage() ? language : null,
+    });
+    const mode = historyModeRef.current;
+    historyModeRef.current = 'replace';
+    if (path === window.location.pathname + window.location.search) return;
+
+    if (mode === 'push') {
+      window.history.pushState({ openedFromGrid }, '', path);
+    } else {
+      window.history.replaceState({ openedFromGrid }, '', path);
+    }
+  }, [collectionLoading, currentNft, collectionAddress, chain, view, gridFilter, descriptionStyle, language, openedFromGrid]);
+
+
+  // Load the collection's traits for search suggestions. The first visit to a
+  // collection indexes it on the backend, so this can take a while.
+  useEffect(() => {
+    const controller = new AbortController();
+    setTraitIndex(null);
+
+    getTraitIndex(collectionAddress, chain, controller.signal)
+      .then((index) => {
+        if (!controller.signal.aborted) setTraitIndex(index);
+      })
+      .catch((e) => {
+        // Suggestions are optional; searches still work without them
+        if (!controller.signal.aborted) {
+          console.error('Failed to load collection traits:', e);
+        }
+      });
 
+    return () => {
+      controller.abort();
+    };
+  }, [collectionAddress, chain]);
 
   // Effect to generate description when currentNft changes
   useEffect(() => {
-    if (!currentNft) return;
+    // Right after a collection switch the previous collection's NFT is still
+    // set for one render; it would be described under the new contract
+    if (!currentNft || loadedCollectionRef.current !== `${chain}:${collectionAddress}`) return;
 
-    let isCancelled = false;
+    // Aborting closes the request, so the backend stops generating too
+    const controller = new AbortController();
+    const { signal } = controller;
 
     const fetchDescription = async () => {
       setIsLoading(true);
@@ -139,26 +328,26 @@ const App: React.FC = () => {
 
       let accumulatedContent = '';
       try {
-        for await (const chunk of streamNftDescription(currentNft)) {
-          if (isCancelled) break;
+        for await (const event of streamNftDescription(currentNft, { contractAddress: collectionAddress, chain, style: descriptionStyle, language, signal })) {
+          if (signal.aborted) break;
           
-          if (chunk.startsWith('Error:')) {
-            throw new Error(chunk);
+          if (event.type === 'error') {
+            throw new Error(`Could not generate content for "${currentNft.name}". ${event.message}`);
           }
-          accumulatedContent += chunk;
-          if (!isCancelled) {
+          if (event.type === 'delta') {
+            accumulatedContent += event.text;
             setContent(accumulatedContent);
           }
         }
       } catch (e: unknown) {
-        if (!isCancelled) {
+        if (!signal.aborted) {
           const errorMessage = e instanceof Error ? e.message : 'An unknown error occurred';
           setError(errorMessage);
           setContent(''); // Ensure content is clear on error
           console.error(e);
         }
       } finally {
-        if (!isCancelled) {
+        if (!signal.aborted) {
           const endTime = performance.now();
           setGenerationTime(endTime - startTime);
           setIsLoading(false);
@@ -169,53 +358,137 @@ const App: React.FC = () => {
     fetchDescription();
     
     return () => {
-      isCancelled = true;
+      controller.abort();
+    };
+  }, [currentNft, collectionAddress, chain, descriptionStyle, language]);
+
+  // Effect to fetch the structured analysis alongside the description
+  useEffect(() => {
+    if (!currentNft) return;
+
+    const controller = new AbortController();
+    setAnalysis(null);
+
+    analyzeNft(currentNft, language, controller.signal)
+      .then((result) => {
+        if (!controller.signal.aborted) setAnalysis(result);
+      })
+      .catch((e) => {
+        // The chips are optional; the description still stands on its own
+        if (!controller.signal.aborted) {
+          console.error('Failed to analyze NFT:', e);
+        }
+      });
+
+    return () => {
+      controller.abort();
+    };
+  }, [currentNft, language]);
+
+  // Shows an NFT with a history entry to come back to, leaving the grid or overview if one is open
+  const openNft = useCallback((nft: Nft) => {
+    const fromView = stateRef.current.view;
+    historyModeRef.current = 'push';
+    setCurrentNft(nft);
+    setOpenedFromGrid(fromView === 'grid');
+    if (fromView === 'nft') return;
+
+    if (fromView === 'grid') {
+      gridScrollRef.current = window.scrollY;
+    }
+    setView('nft');
+  }, []);
+
+  // Shows the grid, whole or filtered, from the top
+  const showGrid = useCallback((filter: CollectionFilter | null) => {
+    historyModeRef.current = 'push';
+    setGridFilter(filter);
+    gridScrollRef.current = 0;
+    if (stateRef.current.view === 'grid') {
+      window.scrollTo(0, 0);
+      return;
+    }
+
+    setView('grid');
+  }, []);
+
+  const handleBrowse = useCallback(() => showGrid(null), [showGrid]);
+
+  // Shows the collection overview and essay
+  const handleAbout = useCallback(() => {
+    historyModeRef.current = 'push';
+    setView('about');
+  }, []);
+
+  // Effect to fetch the token's rarity rank. Waits for the trait index, so
+  // the first NFT of a new collection may get its rank after the description.
+  useEffect(() => {
+    if (!currentNft || !traitIndex) return;
+
+    const controller = new AbortController();
+    setRarity(null);
+
+    getTokenRarity(collectionAddress, currentNft.tokenId, chain, controller.signal)
+      .then((result) => {
+        if (!controller.signal.aborted) setRarity(result);
+      })
+      .catch((e) => {
+        if (!controller.signal.aborted) {
+          console.error('Failed to load rarity:', e);
+        }
+      });
+
+    return () => {
+      controller.abort();
     };
-  }, [currentNft]);
+  }, [currentNft, traitIndex, collectionAddress, chain]);
 
   const handleRandom = useCallback(async () => {
     if (!collectionAddress || isLoading) return;
 
     try {
       // Fetch a new random NFT from the collection
-      const randomNft = await getRandomNft(collectionAddress);
+      const randomNft = await getRandomNft(collectionAddress, chain);
       if (randomNft) {
-        setCurrentNft(randomNft);
+        openNft(randomNft);
       }
     } catch (error) {
       console.error('Failed to fetch random NFT:', error);
       setError('Failed to fetch random NFT. Please try again.');
     }
-  }, [collectionAddress, isLoading]);
+  }, [collectionAddress, chain, isLoading, openNft]);
 
-  const handleCollectionSubmit = (newAddress: string) => {
+  const handleCollectionSubmit = (newAddress: string, newChain: Chain) => {
     const trimmedAddress = newAddress.trim();
-    if (trimmedAddress && trimmedAddress !== collectionAddress) {
+    if (trimmedAddress && (trimmedAddress !== collectionAddress || newChain !== chain)) {
       if (/^0x[a-fA-F0-9]{40}$/.test(trimmedAddress)) {
+        historyModeRef.current = 'push';
         setCollectionAddress(trimmedAddress);
+        setChain(newChain);
         setIsModalOpen(false);
       } else {
         setNotification({message: "Invalid Ethereum contract address format. Please try again.", type: 'error'});
       }
     } else {
-      setIsModalOpen(false); // Close if address is same or empty
+      setIsModalOpen(false); // Close if collection is unchanged or empty
     }
   };
 
   const handleShare = async () => {
     if (!currentNft) return;
     
+    const shareUrl = buildShareUrl(collectionAddress, currentNft.tokenId, chain, descriptionStyle, language);
+    
     try {
       // Modern Web Share API for native sharing
       if (navigator.share) {
         await navigator.share({
           title: `${currentNft.name} - ChainGallery`,
           text: content.substring(0, 200) + (content.length > 200 ? '...' : ''),
-          url: `${window.location.origin}?collection=${collectionAddress}&token=${currentNft.tokenId}`
+          url: shareUrl
         });
       } else {
         // Fallback: Copy link to clipboard
-        const shareUrl = `${window.location.origin}?collection=${collectionAddress}&token=${currentNft.tokenId}`;
         await navigator.clipboard.writeText(shareUrl);
         setNotification({message: 'Share link copied to clipboard!', type: 'success'});
       }
@@ -231,21 +504,27 @@ const App: React.FC = () => {
     try {
       // Try to find by token ID first (fetch from API)
       if (/^\d+$/.test(query)) { // If query is a number
-        const nft = await getNftByTokenId(collectionAddress, query);
+        const nft = await getNftByTokenId(collectionAddress, query, chain);
         if (nft) {
-          setCurrentNft(nft);
+          openNft(nft);
           setError(null);
           return;
         }
       }
       
-      // If not found by token ID or query is not a number, show error
+      // Otherwise search traits ("Background: Blue") and names in the grid
+      const filter = parseCollectionFilter(query, traitIndex?.traits);
+      if (filter.traits.length > 0 || filter.query) {
+        showGrid(filter);
+        return;
+      }
+
       setError(`No NFT found matching "${query}" in this collection.`);
     } catch (error) {
       console.error('Search failed:', error);
       setError('Search failed. Please try again.');
     }
-  }, [collectionAddress, isLoading]);
+  }, [collectionAddress, chain, isLoading, openNft, showGrid, traitIndex]);
 
 
   return (
@@ -261,13 +540,19 @@ const App: React.FC = () => {
       )}
       
       <div id="root">
-        <header>
+        <header className="header-bar">
           <SearchBar 
             onSearch={handleSearch} 
             onRandom={handleRandom}
             onAddCollection={() => setIsModalOpen(true)}
+            onBrowse={handleBrowse}
+            onAbout={handleAbout}
             isLoading={isLoading || collectionLoading || allNfts.length === 0} 
+            isBrowseDisabled={(view === 'grid' && !gridFilter) || collectionLoading || allNfts.length === 0}
+            isAboutDisabled={view === 'about' || collectionLoading || allNfts.length === 0}
+            traits={traitIndex?.traits ?? []}
           />
+          <LanguagePicker language={language} onChange={setLanguage} />
         </header>
         
         <main>
@@ -282,15 +567,44 @@ const App: React.FC = () => {
             </div>
           )}
           
+          <NftGrid
+            key={`${chain}:${collectionAddress}:${getFilterKey(gridFilter)}`}
+            collectionAddress={collectionAddress}
+            chain={chain}
+            active={view === 'grid' && !collectionLoading}
+            filter={gridFilter}
+            onSelect={openNft}
+            onFilterChange={showGrid}
+          />
+
+          {view === 'about' && !collectionLoading && allNfts.length > 0 && (
+            <CollectionOverview
+              key={`${chain}:${collectionAddress}`}
+              collectionAddress={collectionAddress}
+              chain={chain}
+              collection={collection}
+              language={language}
+              onSelect={openNft}
+            />
+          )}
+
+          {view === 'nft' && (
+          <>
+          {openedFromGrid && (
+            <button onClick={() => window.history.back()} className="random-button back-button">
+              ← Back to collection
+            </button>
+          )}
+
           <div className="nft-section">
-            <NftDisplay nft={currentNft} />
+            <NftDisplay nft={currentNft} altText={analysis?.altText} />
           </div>
 
           <div>
             <h2 className="section-title">
               {currentNft ? (
                 <a
-                  href={`https://opensea.io/item/ethereum/${collectionAddress}/${currentNft.tokenId}`}
+                  href={getMarketplaceUrl(chain, collectionAddress, currentNft.tokenId)}
                   target="_blank"
                   rel="noopener noreferrer"
                   className="nft-title-link"
@@ -302,6 +616,16 @@ const App: React.FC = () => {
               )}
             </h2>
 
+            {rarity && rarity.token.tokenId === currentNft?.tokenId && (
+              <RarityRank rarity={rarity} />
+            )}
+
+            <StylePicker
+              style={descriptionStyle}
+              onChange={setDescriptionStyle}
+              disabled={!currentNft}
+            />
+
             {error && (
               <div className="error-container">
                 <p>An Error Occurred</p>
@@ -320,12 +644,29 @@ const App: React.FC = () => {
                />
             )}
 
+            {analysis && !error && (
+              <AnalysisChips analysis={analysis} />
+            )}
+
+            {/* Posters print the stored description, so wait for it to finish */}
+            {currentNft && !isLoading && !error && content.length > 0 && (
+              <PosterExport
+                collectionAddress={collectionAddress}
+                tokenId={currentNft.tokenId}
+                chain={chain}
+                style={descriptionStyle}
+                language={language}
+              />
+            )}
+
             {!isLoading && !error && content.length === 0 && (
               <div className="content-placeholder">
                 <p>Content could not be generated for this NFT.</p>
               </div>
             )}
           </div>
+          </>
+          )}
         </main>
 
         <footer className="footer">
@@ -340,6 +681,18 @@ const App: React.FC = () => {
             >
               Share
             </button>
+              {currentNft && (
+                <>
+                  {' · '}
+                  <a
+                    href={getExplorerUrl(chain, collectionAddress, currentNft.tokenId)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                  >
+                    {CHAINS[chain].explorerName}
+                  </a>
+                </>
+              )}
               {generationTime && ` · ${Math.round(generationTime)}ms`}
             </div>
           </div>
@@ -351,6 +704,7 @@ const App: React.FC = () => {
         onClose={() => setIsModalOpen(false)}
         onSubmit={handleCollectionSubmit}
         currentAddress={collectionAddress}
+        currentChain={chain}
       />
     </>
   );
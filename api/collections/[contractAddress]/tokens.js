@@ -0,0 +1,8 @@
+function loadRoutes() {
+  return import('../../../server/routes.js');
+}
+
+module.exports = async function handler(req, res) {
+  const { routes, handleVercelRequest } = await loadRoutes();
+  return handleVercelRequest(routes.collectionTokens, req, res);
+}
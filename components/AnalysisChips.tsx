@@ -0,0 +1,42 @@
+import React from 'react';
+import type { NftAnalysis } from '../services/geminiService';
+
+interface AnalysisChipsProps {
+  analysis: NftAnalysis;
+}
+
+const ChipGroup: React.FC<{ label: string; items: string[] }> = ({ label, items }) => {
+  if (items.length === 0) return null;
+  return (
+    <div className="chip-group">
+      <span className="chip-group-label">{label}</span>
+      <ul className="chip-list">
+        {items.map((item) => (
+          <li key={item} className="chip">{item}</li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const AnalysisChips: React.FC<AnalysisChipsProps> = ({ analysis }) => (
+  <div className="analysis-chips" aria-label="Artwork analysis">
+    <ChipGroup label="Subjects" items={analysis.subjects} />
+    <div className="chip-group">
+      <span className="chip-group-label">Colors</span>
+      <ul className="chip-list">
+        {analysis.dominantColors.map((color) => (
+          <li key={`${color.name}-${color.hex}`} className="chip" title={color.hex ?? undefined}>
+            {color.hex && <span className="chip-swatch" style={{ backgroundColor: color.hex }} aria-hidden="true" />}
+            {color.name}
+          </li>
+        ))}
+      </ul>
+    </div>
+    <ChipGroup label="Medium" items={[analysis.medium, analysis.style].filter(Boolean)} />
+    <ChipGroup label="Mood" items={analysis.moodTags} />
+    <ChipGroup label="Text" items={analysis.visibleText} />
+  </div>
+);
+
+export default AnalysisChips;
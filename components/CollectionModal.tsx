@@ -1,31 +1,127 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { CHAINS, type Chain } from '../services/chains';
+import { getImageThumbnailUrl } from '../services/reservoirService';
+import {
+  getRecentCollections,
+  getFavoriteCollections,
+  toggleFavoriteCollection,
+  isSameCollection,
+  searchCollections,
+  resolveEnsName,
+  isContractAddress,
+  isEnsName,
+  type SavedCollection,
+  type SavedCollectionInfo,
+} from '../services/collectionDiscovery';
+
+const SEARCH_DELAY_MS = 300;
+const MIN_SEARCH_LENGTH = 2;
+// ENS names are resolved on Ethereum mainnet, so the address they give is an Ethereum one
+const ENS_CHAIN: Chain = 'ethereum';
 
 interface CollectionModalProps {
   isOpen: boolean;
   onClose: () => void;
-  onSubmit: (address: string) => void;
+  onSubmit: (address: string, chain: Chain) => void;
   currentAddress: string;
+  currentChain: Chain;
+}
+
+// The latest finished name search, keyed by chain and query text
+interface SearchResults {
+  key: string;
+  collections: SavedCollectionInfo[];
+  failed: boolean;
 }
 
-const CollectionModal: React.FC<CollectionModalProps> = ({ isOpen, onClose, onSubmit, currentAddress }) => {
+const shortenAddress = (address: string) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+// One collection in a list: thumbnail, name and chain, plus a favorite toggle
+const CollectionRow: React.FC<{
+  collection: SavedCollectionInfo;
+  isFavorite: boolean;
+  onSelect: (collection: SavedCollectionInfo) => void;
+  onToggleFavorite: (collection: SavedCollectionInfo) => void;
+}> = ({ collection, isFavorite, onSelect, onToggleFavorite }) => {
+  const [failed, setFailed] = useState(false);
+  const thumbnailUrl = getImageThumbnailUrl(collection.imageUrl, 128);
+  const label = collection.name || shortenAddress(collection.address);
+
+  return (
+    <li className="collection-row">
+      <button type="button" className="collection-pick" onClick={() => onSelect(collection)} title={collection.address}>
+        {thumbnailUrl && !failed ? (
+          <img
+            src={thumbnailUrl}
+            alt=""
+            loading="lazy"
+            decoding="async"
+            width={40}
+            height={40}
+            className="collection-thumbnail"
+            onError={() => setFailed(true)}
+          />
+        ) : (
+          <span className="collection-thumbnail grid-placeholder" aria-hidden="true">{label.charAt(0)}</span>
+        )}
+        <span className="collection-text">
+          <span className="collection-name">{label}</span>
+          <span className="collection-meta">{CHAINS[collection.chain].name} · {shortenAddress(collection.address)}</span>
+        </span>
+      </button>
+      <button
+        type="button"
+        className="favorite-toggle"
+        onClick={() => onToggleFavorite(collection)}
+        aria-pressed={isFavorite}
+        aria-label={isFavorite ? `Remove ${label} from favorites` : `Add ${label} to favorites`}
+        title={isFavorite ? 'Remove from favorites' : 'Add to favorites'}
+      >
+        {isFavorite ? '★' : '☆'}
+      </button>
+    </li>
+  );
+};
+
+const CollectionModal: React.FC<CollectionModalProps> = ({ isOpen, onClose, onSubmit, currentAddress, currentChain }) => {
   const [addressInput, setAddressInput] = useState(currentAddress);
+  const [chainInput, setChainInput] = useState<Chain>(currentChain);
+  const [recent, setRecent] = useState<SavedCollection[]>([]);
+  const [favorites, setFavorites] = useState<SavedCollection[]>([]);
+  const [search, setSearch] = useState<SearchResults | null>(null);
+  const [isResolving, setIsResolving] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
   const inputRef = useRef<HTMLInputElement>(null);
+  const resolveControllerRef = useRef<AbortController | null>(null);
 
-  // Reset input when currentAddress changes (e.g., after successful submission)
+  const query = addressInput.trim();
+  const isNameSearch = query.length >= MIN_SEARCH_LENGTH && !isContractAddress(query) && !isEnsName(query);
+  const searchKey = `${chainInput}:${query}`;
+  const isSearched = search?.key === searchKey;
+  const results = isSearched ? search.collections : [];
+
+  // Reset inputs when the current collection changes (e.g., after successful submission)
   useEffect(() => {
     setAddressInput(currentAddress);
-  }, [currentAddress]);
-  
-  // Focus input when modal opens
+    setChainInput(currentChain);
+  }, [currentAddress, currentChain]);
+
+  // Focus input and reload the saved lists when modal opens
   useEffect(() => {
     if (isOpen) {
+      setRecent(getRecentCollections());
+      setFavorites(getFavoriteCollections());
+      setMessage(null);
       // Timeout to allow the element to be visible before focusing
       setTimeout(() => {
         inputRef.current?.focus();
       }, 10);
+    } else {
+      resolveControllerRef.current?.abort();
+      setIsResolving(false);
     }
   }, [isOpen]);
-  
+
   // Handle Escape key press
   useEffect(() => {
     const handleKeyDown = (event: KeyboardEvent) => {
@@ -41,16 +137,118 @@ const CollectionModal: React.FC<CollectionModalProps> = ({ isOpen, onClose, onSu
     };
   }, [isOpen, onClose]);
 
+  // Search by name once typing pauses; a newer query cancels the older one
+  useEffect(() => {
+    if (!isOpen || !isNameSearch) return;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const collections = await searchCollections(query, chainInput, controller.signal);
+        setSearch({
+          key: searchKey,
+          collections: collections.map(({ address, chain, name, imageUrl }) => ({ address, chain, name, imageUrl })),
+          failed: false,
+        });
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        if (import.meta.env.DEV) {
+          console.error('Collection search failed:', error);
+        }
+        setSearch({ key: searchKey, collections: [], failed: true });
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [isOpen, isNameSearch, query, chainInput, searchKey]);
+
+  const selectCollection = (collection: SavedCollectionInfo) => {
+    onSubmit(collection.address, collection.chain);
+  };
+
+  const handleToggleFavorite = (collection: SavedCollectionInfo) => {
+    setFavorites(toggleFavoriteCollection(collection));
+  };
+
+  const resolveAndSubmit = async (name: string) => {
+    resolveControllerRef.current?.abort();
+    const controller = new AbortController();
+    resolveControllerRef.current = controller;
+    setIsResolving(true);
+    setMessage(null);
+
+    try {
+      const address = await resolveEnsName(name, controller.signal);
+      if (address) {
+        setChainInput(ENS_CHAIN);
+        onSubmit(address, ENS_CHAIN);
+      } else {
+        setMessage(`${name} does not point at an address.`);
+      }
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      if (import.meta.env.DEV) {
+        console.error('ENS lookup failed:', error);
+      }
+      setMessage(`Could not look up ${name}. Please try again.`);
+    } finally {
+      if (resolveControllerRef.current === controller) {
+        setIsResolving(false);
+      }
+    }
+  };
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
-    onSubmit(addressInput);
+    setMessage(null);
+
+    if (isEnsName(query)) {
+      resolveAndSubmit(query);
+    } else if (isNameSearch) {
+      // Enter on a name search takes the best match
+      if (results.length > 0) {
+        selectCollection(results[0]);
+      } else if (isSearched && !search.failed) {
+        setMessage(`No collections found for "${query}".`);
+      }
+    } else {
+      onSubmit(addressInput, chainInput);
+    }
   };
 
+  const renderList = (title: string, collections: SavedCollectionInfo[]) => (
+    <section className="collection-list" aria-label={title}>
+      <h4 className="collection-list-title">{title}</h4>
+      <ul>
+        {collections.map((collection) => (
+          <CollectionRow
+            key={`${collection.chain}:${collection.address}`}
+            collection={collection}
+            isFavorite={favorites.some((favorite) => isSameCollection(favorite, collection))}
+            onSelect={selectCollection}
+            onToggleFavorite={handleToggleFavorite}
+          />
+        ))}
+      </ul>
+    </section>
+  );
+
   if (!isOpen) {
     return null;
   }
 
+  let status: string | null = message;
+  if (!status && isResolving) {
+    status = `Looking up ${query}…`;
+  } else if (!status && isNameSearch) {
+    if (!isSearched) status = 'Searching…';
+    else if (search.failed) status = 'Search is not available right now. Paste the contract address instead.';
+    else if (results.length === 0) status = `No collections found for "${query}".`;
+  }
+
   return (
     <div className="modal-overlay" onClick={onClose} role="dialog" aria-modal="true" aria-labelledby="modal-title">
       <div className="modal-content" onClick={(e) => e.stopPropagation()}>
@@ -58,19 +256,49 @@ const CollectionModal: React.FC<CollectionModalProps> = ({ isOpen, onClose, onSu
           Load a New Collection
         </h3>
         <form onSubmit={handleSubmit}>
+          <select
+            value={chainInput}
+            onChange={(e) => setChainInput(e.target.value as Chain)}
+            className="modal-input modal-select"
+            aria-label="Chain"
+          >
+            {(Object.keys(CHAINS) as Chain[]).map((chain) => (
+              <option key={chain} value={chain}>
+                {CHAINS[chain].name}
+              </option>
+            ))}
+          </select>
           <input
             ref={inputRef}
             type="text"
             value={addressInput}
-            onChange={(e) => setAddressInput(e.target.value)}
-            placeholder="Enter contract address, e.g., 0x..."
+            onChange={(e) => {
+              setAddressInput(e.target.value);
+              setMessage(null);
+            }}
+            placeholder="Contract address, ENS name or collection name"
             className="modal-input"
+            aria-label="Collection"
+            aria-describedby="collection-status"
           />
+          <p id="collection-status" className="collection-status" role="status">
+            {status}
+          </p>
+          <div className="collection-lists">
+            {isNameSearch ? (
+              results.length > 0 && renderList('Results', results)
+            ) : (
+              <>
+                {favorites.length > 0 && renderList('Favorites', favorites)}
+                {recent.length > 0 && renderList('Recent', recent)}
+              </>
+            )}
+          </div>
           <div className="modal-actions">
             <button type="button" onClick={onClose} className="modal-button">
               Cancel
             </button>
-            <button type="submit" className="modal-button">
+            <button type="submit" className="modal-button" disabled={isResolving}>
               Load
             </button>
           </div>
@@ -80,4 +308,4 @@ const CollectionModal: React.FC<CollectionModalProps> = ({ isOpen, onClose, onSu
   );
 };
 
-export default CollectionModal;
\ No newline at end of file
+export default CollectionModal;
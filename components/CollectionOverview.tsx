@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import { getCollectionPage, getThumbnailUrl, type Collection, type Nft } from '../services/reservoirService';
+import { getCollectionEssay, type CollectionEssay } from '../services/geminiService';
+import { getAddressExplorerUrl, CHAINS, type Chain } from '../services/chains';
+import type { Language } from '../services/languages';
+import LoadingSkeleton from './LoadingSkeleton';
+
+const MOSAIC_SIZE = 12;
+
+interface CollectionOverviewProps {
+  collectionAddress: string;
+  chain: Chain;
+  /** Null until the contract metadata has loaded, or when it is unavailable. */
+  collection: Collection | null;
+  language: Language;
+  onSelect: (nft: Nft) => void;
+}
+
+const shortenAddress = (address: string) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+// Contract metadata as a definition list; unknown values are left out
+const CollectionFacts: React.FC<{ collection: Collection; chain: Chain }> = ({ collection, chain }) => (
+  <dl className="overview-facts">
+    {collection.symbol && (
+      <>
+        <dt>Symbol</dt>
+        <dd>{collection.symbol}</dd>
+      </>
+    )}
+    {collection.tokenType && (
+      <>
+        <dt>Token type</dt>
+        <dd>{collection.tokenType}</dd>
+      </>
+    )}
+    {collection.totalSupply !== null && (
+      <>
+        <dt>Supply</dt>
+        <dd>{collection.totalSupply.toLocaleString()}</dd>
+      </>
+    )}
+    {collection.deployer && (
+      <>
+        <dt>Deployer</dt>
+        <dd>
+          <a href={getAddressExplorerUrl(chain, collection.deployer)} target="_blank" rel="noopener noreferrer">
+            {shortenAddress(collection.deployer)}
+          </a>
+          {collection.deployedBlockNumber !== null && ` · block ${collection.deployedBlockNumber.toLocaleString()}`}
+        </dd>
+      </>
+    )}
+    <dt>Contract</dt>
+    <dd>
+      <a href={getAddressExplorerUrl(chain, collection.address)} target="_blank" rel="noopener noreferrer">
+        {shortenAddress(collection.address)}
+      </a>
+      {` on ${CHAINS[chain].name}`}
+    </dd>
+  </dl>
+);
+
+const MosaicTile: React.FC<{ nft: Nft; onSelect: (nft: Nft) => void }> = ({ nft, onSelect }) => {
+  const [failed, setFailed] = useState(false);
+  const thumbnailUrl = getThumbnailUrl(nft);
+
+  return (
+    <li>
+      <button type="button" className="grid-tile" onClick={() => onSelect(nft)} title={nft.name}>
+        {thumbnailUrl && !failed ? (
+          <img
+            src={thumbnailUrl}
+            alt={nft.name}
+            loading="lazy"
+            decoding="async"
+            width={256}
+            height={256}
+            className="grid-thumbnail"
+            onError={() => setFailed(true)}
+          />
+        ) : (
+          <span className="grid-thumbnail grid-placeholder" aria-hidden="true">#{nft.tokenId}</span>
+        )}
+      </button>
+    </li>
+  );
+};
+
+/**
+ * Collection landing view: contract metadata, a mosaic of the first tokens
+ * and an essay about the collection written by Gemini. The first essay for a
+ * collection waits for its trait index, so it can take a while.
+ */
+const CollectionOverview: React.FC<CollectionOverviewProps> = ({ collectionAddress, chain, collection, language, onSelect }) => {
+  const [mosaic, setMosaic] = useState<Nft[]>([]);
+  const [essay, setEssay] = useState<CollectionEssay | null>(null);
+  const [essayError, setEssayError] = useState<string | null>(null);
+  // Bumped by "Try again" to refetch the essay
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setMosaic([]);
+
+    getCollectionPage(collectionAddress, chain, null, MOSAIC_SIZE, controller.signal)
+      .then(({ nfts }) => {
+        if (!controller.signal.aborted) setMosaic(nfts);
+      })
+      .catch((e) => {
+        // The mosaic is decoration; the rest of the overview stands without it
+        if (!controller.signal.aborted) {
+          console.error('Failed to load collection mosaic:', e);
+        }
+      });
+
+    return () => {
+      controller.abort();
+    };
+  }, [collectionAddress, chain]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setEssay(null);
+    setEssayError(null);
+
+    getCollectionEssay(collectionAddress, chain, language, { signal: controller.signal })
+      .then((result) => {
+        if (!controller.signal.aborted) setEssay(result);
+      })
+      .catch((e) => {
+        if (!controller.signal.aborted) {
+          setEssayError(e instanceof Error ? e.message : 'The essay could not be generated.');
+          console.error('Failed to load collection essay:', e);
+        }
+      });
+
+    return () => {
+      controller.abort();
+    };
+  }, [collectionAddress, chain, language, attempt]);
+
+  return (
+    <section className="collection-overview" aria-labelledby="collection-overview-title">
+      <h2 id="collection-overview-title" className="section-title">
+        {collection?.name || shortenAddress(collectionAddress)}
+      </h2>
+
+      {collection && <CollectionFacts collection={collection} chain={chain} />}
+
+      {collection?.description && (
+        <p className="overview-description">{collection.description}</p>
+      )}
+
+      {mosaic.length > 0 && (
+        <ul className="nft-grid overview-mosaic">
+          {mosaic.map((nft) => (
+            <MosaicTile key={nft.tokenId} nft={nft} onSelect={onSelect} />
+          ))}
+        </ul>
+      )}
+
+      <div className="overview-essay" lang={essay?.language ?? language}>
+        {essayError ? (
+          <div className="error-container">
+            <p>The essay could not be written</p>
+            <p>{essayError}</p>
+            <button type="button" className="random-button" onClick={() => setAttempt((n) => n + 1)}>
+              Try again
+            </button>
+          </div>
+        ) : essay ? (
+          <>
+            {essay.essay.split(/\n\s*\n/).map((paragraph, index) => (
+              <p key={index}>{paragraph.trim()}</p>
+            ))}
+            <p className="overview-essay-note">
+              Written by Gemini from {essay.samples.length} sampled tokens
+              {essay.complete ? ` and the traits of all ${essay.tokenCount.toLocaleString()}` : ` and the traits of ${essay.tokenCount.toLocaleString()} indexed so far`}.
+            </p>
+          </>
+        ) : (
+          <LoadingSkeleton />
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default CollectionOverview;
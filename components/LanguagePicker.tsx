@@ -0,0 +1,22 @@
+import React from 'react';
+import { LANGUAGES, type Language } from '../services/languages';
+
+interface LanguagePickerProps {
+  language: Language;
+  onChange: (language: Language) => void;
+}
+
+const LanguagePicker: React.FC<LanguagePickerProps> = ({ language, onChange }) => (
+  <select
+    className="picker-select language-picker"
+    value={language}
+    onChange={(e) => onChange(e.target.value as Language)}
+    aria-label="Description language"
+  >
+    {(Object.keys(LANGUAGES) as Language[]).map((key) => (
+      <option key={key} value={key} lang={key}>{LANGUAGES[key].nativeName}</option>
+    ))}
+  </select>
+);
+
+export default LanguagePicker;
@@ -3,9 +3,11 @@ import type { Nft } from '../services/reservoirService';
 
 interface NftDisplayProps {
   nft: Nft | null;
+  /** Alt text from the artwork analysis, when available. */
+  altText?: string;
 }
 
-const NftDisplay: React.FC<NftDisplayProps> = ({ nft }) => {
+const NftDisplay: React.FC<NftDisplayProps> = ({ nft, altText }) => {
   const [isImageLoading, setIsImageLoading] = useState(true);
   const [imageSrc, setImageSrc] = useState<string | null>(null);
 
@@ -44,7 +46,7 @@ const NftDisplay: React.FC<NftDisplayProps> = ({ nft }) => {
       {imageSrc && 
         <img 
             src={imageSrc} 
-            alt={nft.name || `NFT Token ID ${nft.tokenId}`} 
+            alt={altText || nft.name || `NFT Token ID ${nft.tokenId}`} 
             className={`nft-image ${isImageLoading ? 'loading' : 'loaded'}`}
             style={{display: isImageLoading ? 'none' : 'block'}}
         />
@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { getCollectionPage, getThumbnailUrl, type Nft } from '../services/reservoirService';
+import { searchCollectionTokens, formatTraitFilter, type CollectionFilter } from '../services/traitService';
+import type { Chain } from '../services/chains';
+
+const PAGE_SIZE = 24;
+
+interface NftGridProps {
+  collectionAddress: string;
+  chain: Chain;
+  /** Hidden grids stay mounted so their pages survive a visit to a single NFT. */
+  active: boolean;
+  /** Shows only the matching tokens; null browses the whole collection. */
+  filter: CollectionFilter | null;
+  onSelect: (nft: Nft) => void;
+  onFilterChange: (filter: CollectionFilter | null) => void;
+}
+
+const GridTile: React.FC<{ nft: Nft; onSelect: (nft: Nft) => void }> = ({ nft, onSelect }) => {
+  const [failed, setFailed] = useState(false);
+  const thumbnailUrl = getThumbnailUrl(nft);
+
+  return (
+    <li>
+      <button type="button" className="grid-tile" onClick={() => onSelect(nft)} title={nft.name}>
+        {thumbnailUrl && !failed ? (
+          <img
+            src={thumbnailUrl}
+            alt={nft.name}
+            loading="lazy"
+            decoding="async"
+            width={256}
+            height={256}
+            className="grid-thumbnail"
+            onError={() => setFailed(true)}
+          />
+        ) : (
+          <span className="grid-thumbnail grid-placeholder" aria-hidden="true">#{nft.tokenId}</span>
+        )}
+        <span className="grid-caption">{nft.name}</span>
+      </button>
+    </li>
+  );
+};
+
+// Active search terms; each can be removed on its own
+const FilterChips: React.FC<{
+  filter: CollectionFilter;
+  total: number | null;
+  complete: boolean;
+  onChange: (filter: CollectionFilter | null) => void;
+}> = ({ filter, total, complete, onChange }) => {
+  const removeTrait = (index: number) => {
+    const traits = filter.traits.filter((_, i) => i !== index);
+    onChange(traits.length > 0 || filter.query ? { ...filter, traits } : null);
+  };
+
+  return (
+    <div className="grid-filter">
+      <ul className="chip-list">
+        {filter.traits.map((trait, index) => (
+          <li key={formatTraitFilter(trait)} className="chip">
+            {formatTraitFilter(trait)}
+            <button type="button" className="chip-remove" onClick={() => removeTrait(index)} aria-label={`Remove ${formatTraitFilter(trait)}`}>
+              ×
+            </button>
+          </li>
+        ))}
+        {filter.query && (
+          <li className="chip">
+            Name: “{filter.query}”
+            <button
+              type="button"
+              className="chip-remove"
+              onClick={() => onChange(filter.traits.length > 0 ? { ...filter, query: '' } : null)}
+              aria-label="Remove name search"
+            >
+              ×
+            </button>
+          </li>
+        )}
+      </ul>
+      {total !== null && (
+        <span className="grid-filter-count">
+          {total} {total === 1 ? 'match' : 'matches'}{!complete && ' in the indexed tokens'}
+        </span>
+      )}
+      <button type="button" className="random-button" onClick={() => onChange(null)}>
+        Clear
+      </button>
+    </div>
+  );
+};
+
+const NftGrid: React.FC<NftGridProps> = ({ collectionAddress, chain, active, filter, onSelect, onFilterChange }) => {
+  const [nfts, setNfts] = useState<Nft[]>([]);
+  const [nextPageKey, setNextPageKey] = useState<string | null>(null);
+  const [hasMore, setHasMore] = useState(true);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [total, setTotal] = useState<number | null>(null);
+  const [complete, setComplete] = useState(true);
+  const sentinelRef = useRef<HTMLDivElement>(null);
+  const controllerRef = useRef<AbortController | null>(null);
+
+  // Stop a page request when the grid is replaced by another collection's
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const loadMore = useCallback(async () => {
+    if (isLoading || !hasMore || error) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsLoading(true);
+
+    try {
+      let page;
+      if (filter) {
+        page = await searchCollectionTokens(collectionAddress, chain, filter, nextPageKey, PAGE_SIZE, controller.signal);
+        setTotal(page.total);
+        setComplete(page.complete);
+      } else {
+        page = await getCollectionPage(collectionAddress, chain, nextPageKey, PAGE_SIZE, controller.signal);
+      }
+      setNfts((previous) => {
+        // Page boundaries may overlap; keep each token once
+        const seen = new Set(previous.map((nft) => nft.tokenId));
+        return [...previous, ...page.nfts.filter((nft) => !seen.has(nft.tokenId))];
+      });
+      setNextPageKey(page.nextPageKey);
+      setHasMore(Boolean(page.nextPageKey) && page.nfts.length > 0);
+    } catch (e) {
+      if (!controller.signal.aborted) {
+        console.error('Failed to load collection page:', e);
+        setError('Could not load more NFTs.');
+      }
+    } finally {
+      if (!controller.signal.aborted) {
+        setIsLoading(false);
+      }
+    }
+  }, [collectionAddress, chain, filter, nextPageKey, hasMore, isLoading, error]);
+
+  // Load the next page whenever the end of the grid comes near the viewport.
+  // The observer is recreated after each page, so a short grid keeps filling.
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!active || !sentinel) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) loadMore();
+      },
+      { rootMargin: '600px 0px' }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [active, loadMore]);
+
+  return (
+    <section className="grid-section" hidden={!active} aria-label="Collection">
+      {filter && <FilterChips filter={filter} total={total} complete={complete} onChange={onFilterChange} />}
+
+      <ul className="nft-grid">
+        {nfts.map((nft) => (
+          <GridTile key={nft.tokenId} nft={nft} onSelect={onSelect} />
+        ))}
+      </ul>
+
+      {error && (
+        <div className="grid-status">
+          {error}{' '}
+          <button type="button" className="random-button" onClick={() => setError(null)}>
+            Retry
+          </button>
+        </div>
+      )}
+      {isLoading && <p className="grid-status">Loading...</p>}
+      {!hasMore && nfts.length === 0 && (
+        <p className="grid-status">{filter ? 'No NFTs match this search.' : 'No NFTs found in this collection.'}</p>
+      )}
+
+      <div ref={sentinelRef} className="grid-sentinel" aria-hidden="true" />
+    </section>
+  );
+};
+
+export default NftGrid;
@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import {
+  POSTER_SIZES,
+  POSTER_FORMATS,
+  getPosterUrl,
+  type PosterSize,
+  type PosterFormat
+} from '../services/posterService';
+import type { Chain } from '../services/chains';
+import type { DescriptionStyle } from '../services/descriptionStyles';
+import type { Language } from '../services/languages';
+
+interface PosterExportProps {
+  collectionAddress: string;
+  tokenId: string;
+  chain: Chain;
+  style: DescriptionStyle;
+  language: Language;
+}
+
+const PosterExport: React.FC<PosterExportProps> = ({ collectionAddress, tokenId, chain, style, language }) => {
+  const [size, setSize] = useState<PosterSize>('a4');
+  const [format, setFormat] = useState<PosterFormat>('png');
+
+  return (
+    <div className="picker poster-export">
+      <span className="picker-label">Poster</span>
+      <select
+        className="picker-select"
+        value={size}
+        onChange={(e) => setSize(e.target.value as PosterSize)}
+        aria-label="Poster size"
+      >
+        {(Object.keys(POSTER_SIZES) as PosterSize[]).map((key) => (
+          <option key={key} value={key}>{POSTER_SIZES[key].name}</option>
+        ))}
+      </select>
+      <select
+        className="picker-select"
+        value={format}
+        onChange={(e) => setFormat(e.target.value as PosterFormat)}
+        aria-label="Poster format"
+      >
+        {(Object.keys(POSTER_FORMATS) as PosterFormat[]).map((key) => (
+          <option key={key} value={key}>{POSTER_FORMATS[key].name}</option>
+        ))}
+      </select>
+      <a
+        className="random-button"
+        href={getPosterUrl(collectionAddress, tokenId, { chain, style, language, size, format })}
+        download
+      >
+        Download
+      </a>
+    </div>
+  );
+};
+
+export default PosterExport;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { formatTraitFilter, type TokenRarityResponse } from '../services/traitService';
+
+interface RarityRankProps {
+  rarity: TokenRarityResponse;
+}
+
+const formatShare = (frequency: number) => `${(frequency * 100).toFixed(frequency < 0.01 ? 2 : 1)}%`;
+
+const RarityRank: React.FC<RarityRankProps> = ({ rarity }) => {
+  const { token, tokenCount, complete } = rarity;
+  const rarestTrait = token.traits[0];
+
+  return (
+    <p
+      className="nft-rarity"
+      title="Statistical rarity: how uncommon each of this token's traits is across the collection, multiplied together. Rank 1 is the rarest."
+    >
+      Rarity rank #{token.rank.toLocaleString()} of {tokenCount.toLocaleString()}
+      {!complete && ' indexed'}
+      {rarestTrait && ` · Rarest trait: ${formatTraitFilter(rarestTrait)} (${formatShare(rarestTrait.frequency)})`}
+    </p>
+  );
+};
+
+export default RarityRank;
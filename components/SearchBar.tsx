@@ -1,20 +1,57 @@
 import React, { useState } from 'react';
+import { getTraitSuggestions, formatTraitFilter, type TraitType, type TraitSuggestion } from '../services/traitService';
 
 interface SearchBarProps {
   onSearch: (query: string) => void;
   onRandom: () => void;
   onAddCollection: () => void;
+  onBrowse: () => void;
+  onAbout: () => void;
   isLoading: boolean;
+  /** Browsing only needs the collection, not a finished description. */
+  isBrowseDisabled: boolean;
+  isAboutDisabled: boolean;
+  /** The collection's traits, for suggestions; empty until indexed. */
+  traits: TraitType[];
 }
 
-const SearchBar: React.FC<SearchBarProps> = ({ onSearch, onRandom, onAddCollection, isLoading }) => {
+const SearchBar: React.FC<SearchBarProps> = ({ onSearch, onRandom, onAddCollection, onBrowse, onAbout, isLoading, isBrowseDisabled, isAboutDisabled, traits }) => {
   const [query, setQuery] = useState('');
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  // Suggest for the part after the last comma, so traits can be combined
+  const lastComma = query.lastIndexOf(',');
+  const suggestions = showSuggestions ? getTraitSuggestions(traits, query.slice(lastComma + 1)) : [];
 
   const handleSubmit = (event: React.FormEvent<HTMLFormElement>) => {
     event.preventDefault();
     if (query.trim() && !isLoading) {
       onSearch(query.trim());
       setQuery(''); // Clear the input field after search
+      setShowSuggestions(false);
+    }
+  };
+
+  const applySuggestion = (suggestion: TraitSuggestion) => {
+    const previous = lastComma === -1 ? '' : `${query.slice(0, lastComma + 1)} `;
+    setQuery(previous + formatTraitFilter(suggestion));
+    setShowSuggestions(false);
+    setActiveIndex(-1);
+  };
+
+  const handleKeyDown = (event: React.KeyboardEvent<HTMLInputElement>) => {
+    if (suggestions.length === 0) return;
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((index) => (index + step + suggestions.length) % suggestions.length);
+    } else if (event.key === 'Enter' && activeIndex >= 0) {
+      event.preventDefault();
+      applySuggestion(suggestions[activeIndex]);
+    } else if (event.key === 'Escape') {
+      setShowSuggestions(false);
     }
   };
 
@@ -24,16 +61,52 @@ const SearchBar: React.FC<SearchBarProps> = ({ onSearch, onRandom, onAddCollecti
         <input
           type="text"
           value={query}
-          onChange={(e) => setQuery(e.target.value)}
-          placeholder="Token ID"
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setShowSuggestions(true);
+            setActiveIndex(-1);
+          }}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setShowSuggestions(false)}
+          placeholder="Token ID, name or trait"
           className="search-input"
-          aria-label="Search for a topic"
+          aria-label="Search by token ID, name or trait"
+          aria-autocomplete="list"
+          aria-expanded={suggestions.length > 0}
+          aria-controls="search-suggestions"
+          aria-activedescendant={activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+          role="combobox"
           disabled={isLoading}
         />
+        {suggestions.length > 0 && (
+          <ul id="search-suggestions" className="search-suggestions" role="listbox">
+            {suggestions.map((suggestion, index) => (
+              <li
+                key={formatTraitFilter(suggestion)}
+                id={`search-suggestion-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={`search-suggestion ${index === activeIndex ? 'active' : ''}`}
+                // Keep focus in the input so the list does not close first
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => applySuggestion(suggestion)}
+              >
+                <span>{formatTraitFilter(suggestion)}</span>
+                <span className="search-suggestion-count">{suggestion.count}</span>
+              </li>
+            ))}
+          </ul>
+        )}
       </form>
       <button onClick={onAddCollection} className="random-button collection-button" disabled={isLoading}>
         + Collection
       </button>
+      <button onClick={onBrowse} className="random-button browse-button" disabled={isBrowseDisabled}>
+        Browse
+      </button>
+      <button onClick={onAbout} className="random-button about-button" disabled={isAboutDisabled}>
+        About
+      </button>
       <div className="random-button-container">
         <button onClick={onRandom} className="random-button" disabled={isLoading}>
           Random
@@ -0,0 +1,26 @@
+import React from 'react';
+import { DESCRIPTION_STYLES, type DescriptionStyle } from '../services/descriptionStyles';
+
+interface StylePickerProps {
+  style: DescriptionStyle;
+  onChange: (style: DescriptionStyle) => void;
+  disabled: boolean;
+}
+
+const StylePicker: React.FC<StylePickerProps> = ({ style, onChange, disabled }) => (
+  <label className="picker style-picker">
+    <span className="picker-label">Style</span>
+    <select
+      className="picker-select"
+      value={style}
+      onChange={(e) => onChange(e.target.value as DescriptionStyle)}
+      disabled={disabled}
+    >
+      {(Object.keys(DESCRIPTION_STYLES) as DescriptionStyle[]).map((key) => (
+        <option key={key} value={key}>{DESCRIPTION_STYLES[key].name}</option>
+      ))}
+    </select>
+  </label>
+);
+
+export default StylePicker;
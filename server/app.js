@@ -0,0 +1,110 @@
+import express from 'express';
+import { clearMediaCache, getCacheStats } from './advancedMediaProcessor.js';
+import { getDescriptionStats } from './descriptionStore.js';
+import { getTraitIndexStats } from './traitIndex.js';
+import { getAnalysisStats } from './nftAnalysis.js';
+import { routes, globalMiddleware, mountRoutes } from './routes.js';
+import { appShellContentSecurityPolicy } from './http.js';
+import { DIST_DIR, APP_SHELL_PATHS, TOKEN_PAGE_PATH, handleAppShell } from './appShell.js';
+import { isMockMode, MOCK_MEDIA_DIR, MOCK_MEDIA_PATH } from './mock/mockMode.js';
+
+// Production check
+const isProduction = process.env.NODE_ENV === 'production';
+
+/**
+ * Builds the Express app: shared middleware, the API routes and, in
+ * production, the frontend build. server/index.js starts it; the tests
+ * start it on a free port.
+ */
+export function createApp() {
+  const app = express();
+
+  // Security headers, CORS and rate limiting (shared with the Vercel functions)
+  app.use(...globalMiddleware);
+
+  // Body parsing middleware with size limits
+  app.use(express.json({ limit: '10mb' })); // Reduced from 50mb for security
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Fixture media for MOCK_PROVIDERS mode, loadable from the dev frontend's origin
+  if (isMockMode()) {
+    app.use(MOCK_MEDIA_PATH, express.static(MOCK_MEDIA_DIR, {
+      setHeaders: (res) => res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin')
+    }));
+  }
+
+  // Media cache management endpoints
+  app.get('/api/cache/stats', (req, res) => {
+    if (isProduction) {
+      return res.status(404).json({ error: 'Endpoint not available in production' });
+    }
+
+    const stats = getCacheStats();
+    res.json({
+      message: 'Media cache statistics',
+      ...stats,
+      descriptions: getDescriptionStats(),
+      analyses: getAnalysisStats(),
+      traitIndexes: getTraitIndexStats()
+    });
+  });
+
+  app.post('/api/cache/clear', async (req, res) => {
+    if (isProduction) {
+      return res.status(404).json({ error: 'Endpoint not available in production' });
+    }
+
+    const { key, url } = req.body || {};
+
+    if ((key !== undefined && typeof key !== 'string') || (url !== undefined && typeof url !== 'string')) {
+      return res.status(400).json({ error: 'Cache key and URL must be strings' });
+    }
+
+    const removed = await clearMediaCache({ key, url });
+
+    if (removed === null) {
+      return res.json({
+        message: 'Media cache cleared successfully'
+      });
+    }
+
+    if (removed === 0) {
+      return res.status(404).json({ error: 'Cache entry not found' });
+    }
+
+    res.json({
+      message: 'Media cache entry cleared successfully',
+      removed
+    });
+  });
+
+  // API routes (handlers live in shared modules so Vercel behaves the same)
+  mountRoutes(app);
+
+  // Frontend build and deep links in production (Vite serves both in development).
+  // Token pages carry their share preview for crawlers.
+  if (isProduction) {
+    app.use(express.static(DIST_DIR, { index: false }));
+    app.get(TOKEN_PAGE_PATH, ...routes.sharePage.middleware, (req, res, next) =>
+      Promise.resolve(routes.sharePage.handler(req, res, req.params)).catch(next));
+    app.get(APP_SHELL_PATHS, appShellContentSecurityPolicy, handleAppShell);
+  }
+
+  // 404 handler for undefined routes
+  app.use('*', (req, res) => {
+    res.status(404).json({ error: 'Endpoint not found' });
+  });
+
+  // Global error handler
+  app.use((error, req, res, next) => {
+    console.error('Unhandled error:', error);
+    // Let Express close responses that have already started (e.g. event streams)
+    if (res.headersSent) {
+      return next(error);
+    }
+    const errorMessage = isProduction ? 'Internal server error' : error.message;
+    res.status(500).json({ error: errorMessage });
+  });
+
+  return app;
+}
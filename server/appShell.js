@@ -0,0 +1,119 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { sendJson } from './http.js';
+
+// Production check
+const isProduction = process.env.NODE_ENV === 'production';
+
+/**
+ * Vite's build output (`npm run build`), served by the Express server in
+ * production
+ */
+export const DIST_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'dist');
+
+/**
+ * Client-side routes that load the frontend: `/`, `/c/:contract`,
+ * `/c/:contract/:tokenId`, `/c/:contract/browse` and `/c/:contract/about`.
+ * Keep in sync with services/routing.ts and the rewrites in vercel.json.
+ */
+export const APP_SHELL_PATHS = ['/', /^\/c\/0x[a-fA-F0-9]{40}(?:\/(?:\d+|browse|about))?\/?$/];
+
+/**
+ * Token pages, which get the token's share preview (see shareHandlers.js)
+ */
+export const TOKEN_PAGE_PATH = '/c/:contractAddress(0x[a-fA-F0-9]{40})/:tokenId(\\d+)';
+
+// Stands in for index.html when the frontend has not been built (e.g. the
+// API server in development), so share previews can still be checked
+const FALLBACK_TEMPLATE = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>CHAINGALLERY</title>
+    <meta property="og:title" content="CHAINGALLERY" />
+    <meta property="og:description" content="" />
+    <meta property="og:url" content="" />
+    <meta property="og:image" content="" />
+    <meta name="twitter:card" content="summary_large_image" />
+    <meta name="twitter:title" content="CHAINGALLERY" />
+    <meta name="twitter:description" content="" />
+    <meta name="twitter:image" content="" />
+  </head>
+  <body></body>
+</html>
+`;
+
+let indexHtml = null;
+
+// The page is read once; a failed read is retried, e.g. after a late build
+function readIndexHtml() {
+  indexHtml ??= fs.readFile(path.join(DIST_DIR, 'index.html'), 'utf8').catch((error) => {
+    indexHtml = null;
+    throw error;
+  });
+  return indexHtml;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Sends a page of the frontend. Works on Express and plain Node (Vercel) responses.
+ */
+export function sendHtml(res, html) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.end(html);
+}
+
+/**
+ * Gets index.html with the page's title, language and Open Graph / Twitter
+ * tags filled in, for crawlers that don't run the app's JavaScript
+ */
+export async function renderAppShell({ title, description, url, image, language }) {
+  let html;
+  try {
+    html = await readIndexHtml();
+  } catch {
+    html = FALLBACK_TEMPLATE;
+  }
+
+  const tags = {
+    'og:title': title,
+    'og:description': description,
+    'og:url': url,
+    'og:image': image,
+    'twitter:title': title,
+    'twitter:description': description,
+    'twitter:image': image
+  };
+  for (const [key, value] of Object.entries(tags)) {
+    const tag = new RegExp(`(<meta (?:property|name)="${key}" content=")[^"]*(")`);
+    html = html.replace(tag, (match, start, end) => `${start}${escapeHtml(value)}${end}`);
+  }
+
+  return html
+    .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(title)}</title>`)
+    .replace(/<html lang="[^"]*"/, `<html lang="${language}"`);
+}
+
+/**
+ * Serves the frontend's index.html for deep links, so they load directly
+ * instead of 404ing. The app reads the route from the URL itself.
+ */
+export async function handleAppShell(req, res) {
+  try {
+    sendHtml(res, await readIndexHtml());
+  } catch (error) {
+    console.error('Error loading app shell:', error);
+    const errorMessage = isProduction ? 'Page not available.' : `Frontend build not found in ${DIST_DIR}. Run npm run build first.`;
+    sendJson(res, 404, { error: errorMessage });
+  }
+}
@@ -0,0 +1,55 @@
+// Supported chains. Keys are the values accepted in the `chain` parameter.
+export const CHAINS = {
+  ethereum: { name: 'Ethereum', alchemyNetwork: 'eth-mainnet' },
+  base: { name: 'Base', alchemyNetwork: 'base-mainnet' },
+  polygon: { name: 'Polygon', alchemyNetwork: 'polygon-mainnet' },
+  arbitrum: { name: 'Arbitrum', alchemyNetwork: 'arb-mainnet' },
+  optimism: { name: 'Optimism', alchemyNetwork: 'opt-mainnet' }
+};
+
+export const DEFAULT_CHAIN = 'ethereum';
+
+/**
+ * Checks a chain parameter against the allowlist. Missing means the default chain.
+ */
+export function validateChain(chain) {
+  return chain === undefined || (typeof chain === 'string' && Object.hasOwn(CHAINS, chain));
+}
+
+/**
+ * Resolves a (validated) chain parameter to its key, applying the default
+ */
+export function resolveChain(chain) {
+  return chain === undefined ? DEFAULT_CHAIN : chain;
+}
+
+/**
+ * Returns the Alchemy NFT API v2 base URL for a chain
+ */
+export function getAlchemyNftBaseUrl(chain, apiKey) {
+  const { alchemyNetwork } = CHAINS[resolveChain(chain)];
+  return `https://${alchemyNetwork}.g.alchemy.com/nft/v2/${apiKey}`;
+}
+
+/**
+ * Returns Alchemy's JSON-RPC URL for a chain
+ */
+export function getAlchemyRpcUrl(chain, apiKey) {
+  const { alchemyNetwork } = CHAINS[resolveChain(chain)];
+  return `https://${alchemyNetwork}.g.alchemy.com/v2/${apiKey}`;
+}
+
+/**
+ * Returns the JSON-RPC URL configured for a chain (RPC_URL_<CHAIN>, e.g.
+ * RPC_URL_BASE), or null when none is set
+ */
+export function getRpcUrl(chain) {
+  return process.env[`RPC_URL_${resolveChain(chain).toUpperCase()}`] || null;
+}
+
+/**
+ * Returns every Alchemy origin, for the CSP connect-src directive
+ */
+export function getAlchemyOrigins() {
+  return Object.values(CHAINS).map(({ alchemyNetwork }) => `https://${alchemyNetwork}.g.alchemy.com`);
+}
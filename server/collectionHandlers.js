@@ -0,0 +1,340 @@
+import { validateChain, resolveChain } from './chains.js';
+import { getTraitIndexStatus, requestTraitIndex, findMatchingTokens } from './traitIndex.js';
+import { getCollectionRarity } from './rarity.js';
+import { searchCollections } from './collectionSearch.js';
+import { getNftMetadata } from './providers/index.js';
+import { isEnsName, resolveEnsName } from './ens.js';
+import { toDecimalTokenId, normalizeTokenMetadata } from './nftNormalizer.js';
+import { validateContractAddress, validateTokenId } from './requestValidation.js';
+import { sendJson } from './http.js';
+
+// Production check
+const isProduction = process.env.NODE_ENV === 'production';
+
+const MAX_TRAIT_FILTERS = 20;
+const MAX_TRAIT_TEXT_LENGTH = 200;
+const MAX_QUERY_LENGTH = 100;
+const MIN_COLLECTION_QUERY_LENGTH = 2;
+
+// Matching tokens are loaded from the metadata provider one page at a time
+const MAX_TOKENS_PAGE_SIZE = 48;
+const HYDRATE_CONCURRENCY = 6;
+
+// Seconds clients wait before asking again while a trait index builds
+const TRAIT_INDEX_RETRY_AFTER = 2;
+
+// Collection-wide handlers backed by the trait index, plus finding
+// collections by name or ENS name. `params` holds the path parameters.
+
+/**
+ * Parses `trait` query parameters (`Background:Blue`, repeated for several
+ * traits). Returns null when any of them is malformed.
+ */
+function parseTraitParams(param) {
+  if (param === undefined) return [];
+  const entries = Array.isArray(param) ? param : [param];
+  if (entries.length > MAX_TRAIT_FILTERS) return null;
+
+  const traits = [];
+  for (const entry of entries) {
+    if (typeof entry !== 'string' || entry.length > MAX_TRAIT_TEXT_LENGTH) return null;
+
+    // Values may contain colons; trait types are split off at the first one
+    const separator = entry.indexOf(':');
+    const traitType = separator === -1 ? '' : entry.slice(0, separator).trim();
+    const value = separator === -1 ? '' : entry.slice(separator + 1).trim();
+    if (!traitType || !value) return null;
+
+    traits.push({ traitType, value });
+  }
+  return traits;
+}
+
+// Page keys are offsets into the results; returns null when malformed
+function parsePageKey(pageKey) {
+  if (pageKey === undefined) return 0;
+  return typeof pageKey === 'string' && /^\d{1,6}$/.test(pageKey) ? parseInt(pageKey, 10) : null;
+}
+
+// Validates the path and chain shared by the collection endpoints; returns an error message or null
+function getCollectionRequestError(contractAddress, chain) {
+  if (!validateContractAddress(contractAddress)) {
+    return 'Please enter a valid contract address.';
+  }
+
+  if (!validateChain(chain)) {
+    return 'This chain is not supported.';
+  }
+
+  return null;
+}
+
+/**
+ * Looks up the collection's trait index or its build before the route's
+ * limiters run, so traitIndexLimiter only counts requests that start a
+ * build. Sets req.traitIndexStatus: the status, null when nothing is built
+ * or building, or undefined for invalid requests and stored essays.
+ */
+export async function lookupTraitIndex(req, res, next) {
+  try {
+    // Express sets req.params before route middleware; Vercel puts path segments in the query
+    const contractAddress = req.params?.contractAddress ?? req.query?.contractAddress;
+    const chain = req.query?.chain;
+
+    if (!req.cachedEssay && validateContractAddress(contractAddress) && validateChain(chain)) {
+      req.traitIndexStatus = await getTraitIndexStatus({ chain: resolveChain(chain), contractAddress });
+    }
+  } catch (error) {
+    // The handler looks again and reports any failure
+    if (!isProduction) {
+      console.warn('Trait index lookup failed:', error.message);
+    }
+  }
+  next();
+}
+
+/**
+ * Gets the collection's trait index for a handler, starting its build if
+ * needed. While it builds this answers 202 with the progress and a
+ * Retry-After header, and resolves with null.
+ * @returns {Promise<import('./traitIndex.js').TraitIndex|null>}
+ */
+export async function getTraitIndexOrRespond(res, { chain, contractAddress }) {
+  const { index, building } = await requestTraitIndex({ chain, contractAddress });
+  if (index) {
+    return index;
+  }
+
+  res.setHeader('Retry-After', String(TRAIT_INDEX_RETRY_AFTER));
+  sendJson(res, 202, {
+    status: 'building',
+    code: 'TRAIT_INDEX_BUILDING',
+    message: 'This collection is being indexed. Please try again in a moment.',
+    tokenCount: building.tokenCount
+  });
+  return null;
+}
+
+// Answers trait index build failures with their own status and code, and
+// anything else as a 500 with `fallbackMessage` in production
+function sendCollectionError(res, error, fallbackMessage) {
+  if (error.code === 'TRAIT_INDEX_BUSY') {
+    res.setHeader('Retry-After', String(TRAIT_INDEX_RETRY_AFTER * 5));
+    return sendJson(res, error.status, { error: error.message, code: error.code });
+  }
+
+  if (error.code === 'TRAIT_INDEX_FAILED') {
+    const errorMessage = isProduction ? 'This collection could not be indexed. Please try again later.' : error.message;
+    return sendJson(res, error.status, { error: errorMessage, code: error.code });
+  }
+
+  sendJson(res, 500, { error: isProduction ? fallbackMessage : error.message });
+}
+
+/**
+ * Loads the full metadata of indexed tokens, which keep only their traits.
+ * Tokens the provider fails on are shown from their indexed name and traits.
+ */
+async function hydrateTokens({ chain, contractAddress }, tokens) {
+  const nfts = [];
+
+  for (let start = 0; start < tokens.length; start += HYDRATE_CONCURRENCY) {
+    const batch = tokens.slice(start, start + HYDRATE_CONCURRENCY);
+    const results = await Promise.allSettled(
+      batch.map(({ tokenId }) => getNftMetadata({ chain, contractAddress, tokenId }))
+    );
+
+    results.forEach((result, index) => {
+      const { tokenId, name, attributes } = batch[index];
+      nfts.push(result.status === 'fulfilled'
+        ? result.value
+        : { ...normalizeTokenMetadata({ contractAddress, tokenId, metadata: { name } }), attributes });
+    });
+  }
+
+  return nfts;
+}
+
+/**
+ * Trait types, values and counts for a collection
+ */
+export async function handleCollectionTraits(req, res, params) {
+  try {
+    const { contractAddress } = params;
+    const { chain } = req.query;
+
+    const validationError = getCollectionRequestError(contractAddress, chain);
+    if (validationError) {
+      return sendJson(res, 400, { error: validationError });
+    }
+
+    const index = await getTraitIndexOrRespond(res, { chain: resolveChain(chain), contractAddress });
+    if (!index) return;
+
+    const { tokens, ...summary } = index;
+    sendJson(res, 200, summary);
+  } catch (error) {
+    console.error('Error building trait index:', error);
+    sendCollectionError(res, error, 'Collection traits not available.');
+  }
+}
+
+/**
+ * Tokens matching a combination of traits and/or a name substring:
+ * `?trait=Background:Blue&trait=Eyes:Laser&q=ape`. Several values for the
+ * same trait type match any of them; different trait types must all match.
+ */
+export async function handleCollectionTokens(req, res, params) {
+  try {
+    const { contractAddress } = params;
+    const { chain, q = '', pageKey, limit = 24 } = req.query;
+
+    const validationError = getCollectionRequestError(contractAddress, chain);
+    if (validationError) {
+      return sendJson(res, 400, { error: validationError });
+    }
+
+    const traits = parseTraitParams(req.query.trait);
+    if (!traits) {
+      return sendJson(res, 400, { error: `Traits must look like "Type:Value" (at most ${MAX_TRAIT_FILTERS}).` });
+    }
+
+    if (typeof q !== 'string' || q.length > MAX_QUERY_LENGTH) {
+      return sendJson(res, 400, { error: 'Search text is too long.' });
+    }
+
+    const limitNum = parseInt(limit);
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > MAX_TOKENS_PAGE_SIZE) {
+      return sendJson(res, 400, { error: `Please use a limit between 1 and ${MAX_TOKENS_PAGE_SIZE}.` });
+    }
+
+    const start = parsePageKey(pageKey);
+    if (start === null) {
+      return sendJson(res, 400, { error: 'Invalid page key.' });
+    }
+
+    const collection = { chain: resolveChain(chain), contractAddress };
+    const index = await getTraitIndexOrRespond(res, collection);
+    if (!index) return;
+
+    const matches = findMatchingTokens(index, { traits, query: q });
+    const end = start + limitNum;
+
+    sendJson(res, 200, {
+      nfts: await hydrateTokens(collection, matches.slice(start, end)),
+      nextPageKey: end < matches.length ? String(end) : null,
+      total: matches.length,
+      complete: index.complete
+    });
+  } catch (error) {
+    console.error('Error searching collection tokens:', error);
+    sendCollectionError(res, error, 'Collection search not available.');
+  }
+}
+
+/**
+ * Rarity ranks for a collection, rarest first and paginated with `limit`
+ * and `pageKey`, or one token's rank and trait frequencies with `?tokenId=`
+ */
+export async function handleCollectionRarity(req, res, params) {
+  try {
+    const { contractAddress } = params;
+    const { chain, tokenId, pageKey, limit = 100 } = req.query;
+
+    const validationError = getCollectionRequestError(contractAddress, chain);
+    if (validationError) {
+      return sendJson(res, 400, { error: validationError });
+    }
+
+    if (tokenId !== undefined && (typeof tokenId !== 'string' || !validateTokenId(tokenId))) {
+      return sendJson(res, 400, { error: 'Please enter a valid token ID.' });
+    }
+
+    const limitNum = parseInt(limit);
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 1000) {
+      return sendJson(res, 400, { error: 'Please use a limit between 1 and 1000.' });
+    }
+
+    const start = parsePageKey(pageKey);
+    if (start === null) {
+      return sendJson(res, 400, { error: 'Invalid page key.' });
+    }
+
+    const index = await getTraitIndexOrRespond(res, { chain: resolveChain(chain), contractAddress });
+    if (!index) return;
+
+    const rarity = getCollectionRarity(index);
+    const summary = {
+      chain: rarity.chain,
+      contractAddress: rarity.contractAddress,
+      tokenCount: rarity.tokenCount,
+      complete: rarity.complete
+    };
+
+    if (tokenId !== undefined) {
+      const token = rarity.byTokenId.get(toDecimalTokenId(tokenId));
+      if (!token) {
+        return sendJson(res, 404, { error: 'This token is not in the indexed collection.', code: 'TOKEN_NOT_INDEXED' });
+      }
+      return sendJson(res, 200, { ...summary, token });
+    }
+
+    // Trait breakdowns are left out of the ranking to keep pages small
+    const end = start + limitNum;
+    sendJson(res, 200, {
+      ...summary,
+      tokens: rarity.ranking.slice(start, end).map(({ traits, ...token }) => token),
+      nextPageKey: end < rarity.ranking.length ? String(end) : null
+    });
+  } catch (error) {
+    console.error('Error computing collection rarity:', error);
+    sendCollectionError(res, error, 'Collection rarity not available.');
+  }
+}
+
+/**
+ * Collections whose name or slug matches `?q=`, best matches first
+ */
+export async function handleCollectionSearch(req, res) {
+  try {
+    const { chain, q } = req.query;
+
+    if (typeof q !== 'string' || q.trim().length < MIN_COLLECTION_QUERY_LENGTH || q.length > MAX_QUERY_LENGTH) {
+      return sendJson(res, 400, { error: `Search text must be ${MIN_COLLECTION_QUERY_LENGTH} to ${MAX_QUERY_LENGTH} characters.` });
+    }
+
+    if (!validateChain(chain)) {
+      return sendJson(res, 400, { error: 'This chain is not supported.' });
+    }
+
+    const collections = await searchCollections({ chain: resolveChain(chain), query: q });
+    sendJson(res, 200, { collections });
+  } catch (error) {
+    console.error('Error searching collections:', error);
+    const errorMessage = isProduction ? 'Collection search not available.' : error.message;
+    sendJson(res, 500, { error: errorMessage });
+  }
+}
+
+/**
+ * The address an ENS name (`?name=artblocks.eth`) points at
+ */
+export async function handleEnsLookup(req, res) {
+  try {
+    const { name } = req.query;
+
+    if (!isEnsName(name)) {
+      return sendJson(res, 400, { error: 'Please enter a valid ENS name, e.g. name.eth.' });
+    }
+
+    const address = await resolveEnsName(name);
+    if (!address) {
+      return sendJson(res, 404, { error: `${name} does not point at an address.`, code: 'ENS_NAME_NOT_FOUND' });
+    }
+    sendJson(res, 200, { name: name.toLowerCase(), address });
+  } catch (error) {
+    console.error('Error resolving ENS name:', error);
+    const errorMessage = isProduction ? 'ENS lookup not available.' : error.message;
+    sendJson(res, 500, { error: errorMessage });
+  }
+}
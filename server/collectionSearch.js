@@ -0,0 +1,57 @@
+import { createLruCache } from './lruCache.js';
+import { searchCollections as searchProviderCollections } from './providers/index.js';
+
+const MAX_RESULTS = 10;
+
+// Search results per chain and query
+const searchCache = createLruCache({
+  name: 'Collection search',
+  maxBytes: 4 * 1024 * 1024, // 4MB
+  ttl: 10 * 60 * 1000 // 10 minutes
+});
+
+// Lowercase, with slug separators read as spaces ("bored-ape" -> "bored ape")
+function normalizeSearchText(text) {
+  return (text || '').toLowerCase().replace(/[-_]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Lower is better: exact name or slug, then prefix, then substring, then
+// anything else the indexer matched. Spaces are ignored, since names and
+// slugs often run words together ("BoredApeYachtClub", "boredapeyachtclub").
+function rankCollection(collection, text) {
+  const compact = (value) => normalizeSearchText(value).replace(/ /g, '');
+  const candidates = [collection.name, collection.slug, collection.symbol].map(compact);
+  const query = compact(text);
+  if (candidates.includes(query)) return 0;
+  if (candidates.some(candidate => candidate.startsWith(query))) return 1;
+  if (candidates.some(candidate => candidate.includes(query))) return 2;
+  return 3;
+}
+
+/**
+ * Finds collections by name or slug, best matches first. Unnamed contracts
+ * (mostly spam) are left out.
+ * @returns {Promise<import('./nftNormalizer.js').Collection[]>}
+ */
+export async function searchCollections({ chain, query }) {
+  const text = normalizeSearchText(query);
+  const cacheKey = `${chain}:${text}`;
+
+  const cached = await searchCache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const found = await searchProviderCollections({ chain, query: text });
+
+  const seen = new Set();
+  const collections = found
+    .filter(collection => collection.name && !seen.has(collection.address) && seen.add(collection.address))
+    .map((collection, index) => ({ collection, index, rank: rankCollection(collection, text) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .slice(0, MAX_RESULTS)
+    .map(({ collection }) => collection);
+
+  await searchCache.set(cacheKey, collections);
+  return collections;
+}
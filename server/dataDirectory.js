@@ -0,0 +1,13 @@
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Root directory for media temp files and disk caches. Defaults to the server
+ * directory; on Vercel only the OS temp directory is writable. Override with
+ * DATA_DIR.
+ */
+export const DATA_DIR = process.env.DATA_DIR
+  || (process.env.VERCEL
+    ? path.join(os.tmpdir(), 'chaingallery')
+    : path.dirname(fileURLToPath(import.meta.url)));
@@ -0,0 +1,60 @@
+// Description output languages. Keys are the values accepted in the
+// `language` parameter (ISO 639-1 codes).
+export const LANGUAGES = {
+  en: { name: 'English' },
+  tr: { name: 'Turkish' },
+  es: { name: 'Spanish' },
+  ja: { name: 'Japanese' },
+  de: { name: 'German' }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Checks a language parameter against the allowlist. Missing means the
+ * language is negotiated from Accept-Language.
+ */
+export function validateLanguage(language) {
+  return language === undefined || (typeof language === 'string' && Object.hasOwn(LANGUAGES, language));
+}
+
+/**
+ * Picks the best supported language from an Accept-Language header
+ * (e.g. "tr-TR,tr;q=0.9,en;q=0.8"), or the default when none match
+ */
+export function negotiateLanguage(acceptLanguage) {
+  if (typeof acceptLanguage !== 'string') return DEFAULT_LANGUAGE;
+
+  const preferences = acceptLanguage
+    .split(',')
+    .map((entry, index) => {
+      const [tag, ...params] = entry.trim().split(';');
+      const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return {
+        language: tag.trim().toLowerCase().split('-')[0],
+        quality: quality ? parseFloat(quality.slice(2)) : 1,
+        index
+      };
+    })
+    .filter(({ language, quality }) => language && Number.isFinite(quality) && quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  return preferences.find(({ language }) => Object.hasOwn(LANGUAGES, language))?.language || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Resolves a (validated) language parameter, falling back to the request's
+ * Accept-Language header
+ */
+export function resolveLanguage(language, acceptLanguage) {
+  return language === undefined ? negotiateLanguage(acceptLanguage) : language;
+}
+
+/**
+ * Builds the output-language instruction appended to a Gemini prompt.
+ * `output` names what is being written, e.g. "the essay".
+ */
+export function getLanguageInstruction(language, output = 'the description') {
+  const { name } = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+  return `Write ${output} in ${name}, as a fluent native writer would, even though these instructions and the metadata may be in another language. Keep names and trait values as they are.`;
+}
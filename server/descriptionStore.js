@@ -0,0 +1,63 @@
+import path from 'path';
+import { createLruCache } from './lruCache.js';
+import { DATA_DIR } from './dataDirectory.js';
+
+// Finished descriptions, persisted so repeat visits do not call Gemini again
+const descriptionCache = createLruCache({
+  name: 'Description',
+  maxBytes: 10 * 1024 * 1024, // 10MB
+  maxDiskBytes: 50 * 1024 * 1024, // 50MB
+  ttl: 30 * 24 * 60 * 60 * 1000, // 30 days
+  directory: path.join(DATA_DIR, 'cache', 'descriptions')
+});
+
+/**
+ * Builds the cache key for a generated description.
+ * Returns null when the contract is unknown, since token IDs alone are not unique.
+ */
+export function getDescriptionKey({ chain, contractAddress, tokenId, style, language, model, promptVersion }) {
+  if (!contractAddress || !/^0x[a-fA-F0-9]{40}$/.test(contractAddress)) {
+    return null;
+  }
+  return [chain, contractAddress.toLowerCase(), tokenId, style, language, model, `p${promptVersion}`].join('_');
+}
+
+/**
+ * Gets a stored description ({ text, model, style, language, processingType, createdAt })
+ */
+export async function getCachedDescription(key) {
+  if (!key) return undefined;
+  return descriptionCache.get(key);
+}
+
+/**
+ * Stores a finished description
+ */
+export async function saveDescription(key, description) {
+  if (!key || !description.text) return;
+  await descriptionCache.set(key, {
+    ...description,
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Splits stored text into word-sized chunks so cached descriptions are
+ * replayed through the same streaming response as fresh ones
+ */
+export function chunkDescription(text, wordsPerChunk = 4) {
+  const words = text.match(/\S+\s*/g) || [];
+  const chunks = [];
+  for (let i = 0; i < words.length; i += wordsPerChunk) {
+    chunks.push(words.slice(i, i + wordsPerChunk).join(''));
+  }
+  return chunks;
+}
+
+/**
+ * Gets description cache statistics
+ */
+export function getDescriptionStats() {
+  const { keys, ...stats } = descriptionCache.stats();
+  return stats;
+}
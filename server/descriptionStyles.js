@@ -0,0 +1,54 @@
+// Description styles. Keys are the values accepted in the `style` parameter.
+// Each style has its own voice and length target; the shared prompt context
+// (image, traits, format notes) is the same for all of them.
+export const DESCRIPTION_STYLES = {
+  poetic: {
+    name: 'Poetic',
+    length: 'one short paragraph of 60 to 90 words',
+    instruction: 'Write a new, short, evocative, and artistic paragraph that captures the mood, theme, and aesthetic of this specific piece. Be imaginative.'
+  },
+  curator: {
+    name: 'Curator label',
+    length: 'one paragraph of 80 to 120 words',
+    instruction: 'Write a museum wall label for this piece in the measured voice of a curator. Describe what the viewer sees, the techniques and materials it suggests, and what the work seems to be about. Stay grounded in what is visible; do not invent artist biography, dates or exhibition history.'
+  },
+  technical: {
+    name: 'Technical / art-historical',
+    length: 'one or two paragraphs totalling 120 to 180 words',
+    instruction: 'Write a technical catalog note for this piece. Cover composition, palette, rendering technique (pixel art, 3D render, generative, photographic, hand-drawn and so on), resolution or format where evident, and any art-historical movements or traditions it draws on. Use precise, neutral language.'
+  },
+  children: {
+    name: "Children's",
+    length: 'three to five short sentences',
+    instruction: 'Describe this piece for children aged 6 to 10 on a gallery tour. Use simple, friendly words and short sentences, point out fun things to look for, and end with a question that invites them to look closer. Avoid anything frightening or mature.'
+  },
+  caption: {
+    name: 'One-line caption',
+    length: 'a single sentence of at most 20 words',
+    instruction: 'Write a single-line caption for this piece that names its subject and sets its mood.'
+  }
+};
+
+export const DEFAULT_DESCRIPTION_STYLE = 'poetic';
+
+/**
+ * Checks a style parameter against the allowlist. Missing means the default style.
+ */
+export function validateDescriptionStyle(style) {
+  return style === undefined || (typeof style === 'string' && Object.hasOwn(DESCRIPTION_STYLES, style));
+}
+
+/**
+ * Resolves a (validated) style parameter to its key, applying the default
+ */
+export function resolveDescriptionStyle(style) {
+  return style === undefined ? DEFAULT_DESCRIPTION_STYLE : style;
+}
+
+/**
+ * Builds the writing instruction that ends the Gemini prompt for a style
+ */
+export function getStyleInstruction(style) {
+  const { instruction, length } = DESCRIPTION_STYLES[resolveDescriptionStyle(style)];
+  return `Based on the VISUALS in the image, its traits, and the context provided: ${instruction} Aim for ${length}. Focus on what you SEE and the provided traits. Do not repeat the original description or list the traits. Consider the original format when relevant; for animated or video pieces, describe how the work moves and changes over time. Do not use markdown, titles, or any special formatting. Respond with only the text of the description itself.`;
+}
@@ -0,0 +1,91 @@
+import { keccak_256 } from '@noble/hashes/sha3';
+import { bytesToHex } from '@noble/hashes/utils';
+import { getRpcUrl, getAlchemyRpcUrl } from './chains.js';
+import { sendRpcRequest } from './providers/rpcProvider.js';
+import { createLruCache } from './lruCache.js';
+import { isMockMode } from './mock/mockMode.js';
+import { getMockCollections } from './mock/fixtures.js';
+
+// ENS lives on Ethereum mainnet; the registry points each name at a resolver
+const ENS_REGISTRY = '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e';
+const SELECTORS = {
+  resolver: '0x0178b8bf', // resolver(bytes32)
+  addr: '0x3b3b57de' // addr(bytes32)
+};
+const ZERO_ADDRESS = `0x${'0'.repeat(40)}`;
+
+// Plain ASCII .eth names. Emoji and other Unicode labels would need full
+// ENSIP-15 normalization, so they are refused rather than hashed wrongly.
+const ENS_NAME_PATTERN = /^(?:[a-z0-9_-]+\.)+eth$/;
+const MAX_ENS_NAME_LENGTH = 255;
+
+// Resolved names, including ones with no address, as { address }
+const ensCache = createLruCache({
+  name: 'ENS',
+  maxBytes: 1024 * 1024, // 1MB
+  ttl: 60 * 60 * 1000 // 1 hour
+});
+
+/**
+ * Whether a string looks like an ENS name this server can resolve
+ */
+export function isEnsName(name) {
+  return typeof name === 'string' && name.length <= MAX_ENS_NAME_LENGTH && ENS_NAME_PATTERN.test(name.toLowerCase());
+}
+
+/**
+ * EIP-137 namehash of a (lowercase) name, as 64 hex characters
+ */
+export function namehash(name) {
+  let node = new Uint8Array(32);
+  for (const label of name.split('.').reverse()) {
+    node = keccak_256(new Uint8Array([...node, ...keccak_256(label)]));
+  }
+  return bytesToHex(node);
+}
+
+// Ethereum's configured RPC URL, else Alchemy's
+function getEnsRpcUrl() {
+  const rpcUrl = getRpcUrl('ethereum') || (process.env.ALCHEMY_API_KEY && getAlchemyRpcUrl('ethereum', process.env.ALCHEMY_API_KEY));
+  if (!rpcUrl) {
+    throw new Error('ENS lookups need RPC_URL_ETHEREUM or an Alchemy API key');
+  }
+  return rpcUrl;
+}
+
+// Reads the address in the last 20 bytes of an ABI-encoded return value
+async function callForAddress(rpcUrl, to, data) {
+  const result = await sendRpcRequest(rpcUrl, 'eth_call', [{ to, data }, 'latest']);
+  const address = typeof result === 'string' && result.length >= 66 ? `0x${result.slice(-40)}`.toLowerCase() : ZERO_ADDRESS;
+  return address === ZERO_ADDRESS ? null : address;
+}
+
+// Fixture collections answer to `<slug>.eth` in mock mode
+function resolveMockEnsName(name) {
+  const collection = getMockCollections().find(({ slug }) => `${slug}.eth` === name);
+  return collection ? collection.address : null;
+}
+
+/**
+ * Resolves an ENS name to the lowercase address it points at, or null when
+ * it has no resolver or address
+ */
+export async function resolveEnsName(name) {
+  const normalized = name.toLowerCase();
+  if (isMockMode()) {
+    return resolveMockEnsName(normalized);
+  }
+
+  const cached = await ensCache.get(normalized);
+  if (cached) {
+    return cached.address;
+  }
+
+  const rpcUrl = getEnsRpcUrl();
+  const node = namehash(normalized);
+  const resolver = await callForAddress(rpcUrl, ENS_REGISTRY, `${SELECTORS.resolver}${node}`);
+  const address = resolver ? await callForAddress(rpcUrl, resolver, `${SELECTORS.addr}${node}`) : null;
+
+  await ensCache.set(normalized, { address });
+  return address;
+}
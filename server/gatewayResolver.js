@@ -0,0 +1,293 @@
+import { finished } from 'stream';
+import { safeFetch } from './safeFetch.js';
+
+// Production check
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Gateways are tried in this order while they are healthy
+const IPFS_GATEWAYS = [
+  'https://ipfs.io',
+  'https://gateway.pinata.cloud',
+  'https://cloudflare-ipfs.com',
+  'https://dweb.link'
+];
+
+const ARWEAVE_GATEWAYS = [
+  'https://arweave.net'
+];
+
+const DEFAULT_GATEWAY_TIMEOUT = 8000; // per gateway attempt
+const FAILURE_COOLDOWN = 5 * 60 * 1000; // 5 minutes
+const MAX_FAILURES_BEFORE_COOLDOWN = 2;
+
+// Gateway origin -> { failures, cooldownUntil }
+const gatewayHealth = new Map();
+
+/**
+ * Parses ipfs://, ipfs://ipfs/, ar:// and known gateway URLs into a
+ * protocol and a content path (CID or transaction ID plus any sub-path).
+ * Returns null for URLs that are not content-addressed.
+ */
+export function parseDecentralizedUri(url) {
+  if (typeof url !== 'string') return null;
+
+  if (url.startsWith('ipfs://')) {
+    const contentPath = url
+      .replace('ipfs://', '')
+      .replace(/^ipfs\//, '')
+      .replace(/^\/+/, '');
+    return contentPath ? { protocol: 'ipfs', path: contentPath } : null;
+  }
+
+  if (url.startsWith('ar://')) {
+    const contentPath = url.replace('ar://', '').replace(/^\/+/, '');
+    return contentPath ? { protocol: 'arweave', path: contentPath } : null;
+  }
+
+  // Known gateway URLs can fail over to the other gateways too
+  try {
+    const urlObj = new URL(url);
+    const origin = urlObj.origin;
+
+    if (IPFS_GATEWAYS.includes(origin) && urlObj.pathname.startsWith('/ipfs/')) {
+      const contentPath = urlObj.pathname.replace('/ipfs/', '') + urlObj.search;
+      return contentPath ? { protocol: 'ipfs', path: contentPath } : null;
+    }
+
+    if (ARWEAVE_GATEWAYS.includes(origin) && urlObj.pathname.length > 1) {
+      return { protocol: 'arweave', path: urlObj.pathname.slice(1) + urlObj.search };
+    }
+  } catch {
+    // Not a parseable URL
+  }
+
+  return null;
+}
+
+/**
+ * Returns candidate HTTP URLs for a media URL, healthiest gateways first.
+ * Non content-addressed URLs are returned unchanged as the only candidate.
+ */
+export function getGatewayUrls(url) {
+  const parsed = parseDecentralizedUri(url);
+  if (!parsed) return [url];
+
+  const gateways = parsed.protocol === 'ipfs' ? IPFS_GATEWAYS : ARWEAVE_GATEWAYS;
+  const prefix = parsed.protocol === 'ipfs' ? '/ipfs/' : '/';
+
+  return rankGateways(gateways).map(gateway => `${gateway}${prefix}${parsed.path}`);
+}
+
+/**
+ * Converts a content-addressed URL to the best HTTP gateway URL
+ */
+export function resolveGatewayUrl(url) {
+  return getGatewayUrls(url)[0];
+}
+
+/**
+ * Orders gateways so healthy ones keep their configured order and
+ * gateways in cooldown are only tried last
+ */
+function rankGateways(gateways) {
+  const now = Date.now();
+  const healthy = [];
+  const coolingDown = [];
+
+  for (const gateway of gateways) {
+    const health = gatewayHealth.get(gateway);
+    if (health && health.cooldownUntil > now) {
+      coolingDown.push(gateway);
+    } else {
+      healthy.push(gateway);
+    }
+  }
+
+  coolingDown.sort((a, b) => gatewayHealth.get(a).cooldownUntil - gatewayHealth.get(b).cooldownUntil);
+  return [...healthy, ...coolingDown];
+}
+
+function markGatewaySuccess(url) {
+  const origin = getOrigin(url);
+  if (origin) gatewayHealth.delete(origin);
+}
+
+function markGatewayFailure(url) {
+  const origin = getOrigin(url);
+  if (!origin) return;
+
+  const health = gatewayHealth.get(origin) || { failures: 0, cooldownUntil: 0 };
+  health.failures++;
+  if (health.failures >= MAX_FAILURES_BEFORE_COOLDOWN) {
+    health.cooldownUntil = Date.now() + FAILURE_COOLDOWN;
+  }
+  gatewayHealth.set(origin, health);
+}
+
+function getOrigin(url) {
+  try {
+    const origin = new URL(url).origin;
+    return IPFS_GATEWAYS.includes(origin) || ARWEAVE_GATEWAYS.includes(origin) ? origin : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetches a single URL with a timeout, treating 429 and 5xx as failures.
+ * The timeout keeps running until the response body has been read or
+ * discarded, so a gateway that trickles data cannot hold a request open.
+ */
+async function fetchWithTimeout(url, options, timeout, parentSignal) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const abortFromParent = () => controller.abort();
+  parentSignal?.addEventListener('abort', abortFromParent);
+
+  const release = () => {
+    clearTimeout(timer);
+    parentSignal?.removeEventListener('abort', abortFromParent);
+  };
+
+  try {
+    const response = await safeFetch(url, { ...options, signal: controller.signal });
+
+    if (response.status === 429 || response.status >= 500) {
+      response.body?.destroy?.();
+      throw new Error(`Gateway responded with status ${response.status}`);
+    }
+
+    if (response.body) {
+      finished(response.body, release);
+    } else {
+      release();
+    }
+    return response;
+  } catch (error) {
+    release();
+    if (controller.signal.aborted && !parentSignal?.aborted) {
+      throw new Error(`Gateway timed out after ${timeout}ms`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetches a media URL, failing over across IPFS/Arweave gateways.
+ *
+ * Options:
+ * - strategy: 'sequential' tries gateways in order, 'race' starts all at once
+ *   and keeps the first good response
+ * - timeout: per-gateway timeout in milliseconds
+ * - signal: aborts the whole attempt (no further gateways are tried)
+ * - Any other option is passed to fetch
+ *
+ * Requests go through safeFetch, so private hosts, disallowed ports and
+ * unsafe redirects are refused with a URL_BLOCKED error.
+ *
+ * The returned response's `url` is the gateway URL that succeeded.
+ */
+export async function fetchWithGatewayFailover(url, options = {}) {
+  const { strategy = 'sequential', timeout = DEFAULT_GATEWAY_TIMEOUT, signal, ...fetchOptions } = options;
+  const candidates = getGatewayUrls(url);
+
+  if (strategy === 'race' && candidates.length > 1) {
+    return raceGateways(candidates, fetchOptions, timeout, signal);
+  }
+
+  let lastError;
+  for (const candidate of candidates) {
+    signal?.throwIfAborted();
+    try {
+      const response = await fetchWithTimeout(candidate, fetchOptions, timeout, signal);
+
+      // A gateway 404 may just mean it has not found the content yet
+      if (!response.ok && candidates.length > 1 && candidate !== candidates[candidates.length - 1]) {
+        lastError = new Error(`Gateway responded with status ${response.status}`);
+        markGatewayFailure(candidate);
+        continue;
+      }
+
+      markGatewaySuccess(candidate);
+      return response;
+    } catch (error) {
+      // A refused URL or a cancelled request is the caller's problem, not the gateway's
+      signal?.throwIfAborted();
+      if (error.code === 'URL_BLOCKED') {
+        throw error;
+      }
+      lastError = error;
+      markGatewayFailure(candidate);
+      if (!isProduction && candidates.length > 1) {
+        console.warn(`Gateway failed (${candidate}):`, error.message);
+      }
+    }
+  }
+
+  throw new Error(`All gateways failed: ${lastError?.message || 'unknown error'}`);
+}
+
+/**
+ * Starts every gateway at once and resolves with the first OK response.
+ * The other attempts are aborted, and responses that arrive after the
+ * winner are discarded so their sockets are released.
+ */
+async function raceGateways(candidates, fetchOptions, timeout, signal) {
+  signal?.throwIfAborted();
+  const controllers = candidates.map(() => new AbortController());
+  const abortAll = () => controllers.forEach(controller => controller.abort(signal.reason));
+  signal?.addEventListener('abort', abortAll);
+
+  const attempts = candidates.map(async (candidate, index) => {
+    const attemptSignal = controllers[index].signal;
+    try {
+      const response = await fetchWithTimeout(candidate, fetchOptions, timeout, attemptSignal);
+      if (!response.ok) {
+        response.body?.destroy?.();
+        throw new Error(`Gateway responded with status ${response.status}`);
+      }
+      markGatewaySuccess(candidate);
+      return { response, index };
+    } catch (error) {
+      if (!attemptSignal.aborted && error.code !== 'URL_BLOCKED') {
+        markGatewayFailure(candidate);
+      }
+      throw error;
+    }
+  });
+
+  try {
+    const winner = await Promise.any(attempts);
+    attempts.forEach((attempt, index) => {
+      if (index === winner.index) return;
+      controllers[index].abort();
+      attempt.then(({ response }) => response.body?.destroy?.(), () => {});
+    });
+    return winner.response;
+  } catch (error) {
+    signal?.throwIfAborted();
+    const blocked = error.errors?.find(reason => reason.code === 'URL_BLOCKED');
+    if (blocked) {
+      throw blocked;
+    }
+    const reasons = error.errors?.map(reason => reason.message).join('; ');
+    throw new Error(`All gateways failed: ${reasons || error.message}`);
+  } finally {
+    signal?.removeEventListener('abort', abortAll);
+  }
+}
+
+/**
+ * Gets gateway health for diagnostics
+ */
+export function getGatewayHealth() {
+  const now = Date.now();
+  return [...IPFS_GATEWAYS, ...ARWEAVE_GATEWAYS].map(gateway => {
+    const health = gatewayHealth.get(gateway);
+    return {
+      gateway,
+      failures: health?.failures || 0,
+      healthy: !health || health.cooldownUntil <= now
+    };
+  });
+}
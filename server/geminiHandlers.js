@@ -0,0 +1,684 @@
+import { GoogleGenAI } from '@google/genai';
+import {
+  processNftMedia,
+  getMediaKey,
+  selectGeminiModel,
+  generateEnhancedPrompt,
+  buildMediaParts,
+  PROMPT_VERSION
+} from './advancedMediaProcessor.js';
+import {
+  getDescriptionKey,
+  getCachedDescription,
+  saveDescription,
+  chunkDescription
+} from './descriptionStore.js';
+import { validateChain, resolveChain } from './chains.js';
+import { validateDescriptionStyle, resolveDescriptionStyle } from './descriptionStyles.js';
+import { validateLanguage, resolveLanguage } from './descriptionLanguages.js';
+import { startEventStream, sendEvent, formatUsage } from './sse.js';
+import {
+  ANALYSIS_SCHEMA,
+  ANALYSIS_VERSION,
+  generateAnalysisPrompt,
+  validateAnalysis,
+  getAnalysisKey,
+  getCachedAnalysis,
+  saveAnalysis
+} from './nftAnalysis.js';
+import { validateContractAddress, validateTokenId, validateImageUrl } from './requestValidation.js';
+import { peekTokenRarity, getRareTraits } from './rarity.js';
+import { getTraitIndexOrRespond } from './collectionHandlers.js';
+import { getNftMetadata } from './providers/index.js';
+import { toDecimalTokenId } from './nftNormalizer.js';
+import {
+  ESSAY_SAMPLE_COUNTS,
+  getEssayKey,
+  getCachedEssay,
+  saveEssay,
+  buildEssayInput,
+  generateEssayPrompt
+} from './collectionEssay.js';
+import { sendJson, createDisconnectSignal } from './http.js';
+import { isMockMode } from './mock/mockMode.js';
+import { createMockGemini } from './mock/mockGemini.js';
+
+// Production check
+const isProduction = process.env.NODE_ENV === 'production';
+
+const textModelName = 'gemini-2.5-flash-lite';
+
+// Created on first use, after .env.local has been loaded.
+// MOCK_PROVIDERS swaps in a local fake that streams deterministic text.
+let ai = null;
+function getGemini() {
+  ai ??= isMockMode() ? createMockGemini() : new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+  return ai;
+}
+
+function hasGeminiAccess() {
+  return isMockMode() || Boolean(process.env.GEMINI_API_KEY);
+}
+
+// Model stored descriptions are keyed by. Mock descriptions never share keys with real ones.
+function getDescriptionModel() {
+  return isMockMode() ? 'mock' : textModelName;
+}
+
+/**
+ * Gets the stored description for a token in a style and language, if one
+ * has been generated (e.g. for share pages)
+ */
+export async function getStoredDescription({ chain, contractAddress, tokenId, style, language }) {
+  return getCachedDescription(getDescriptionKey({
+    chain,
+    contractAddress,
+    tokenId,
+    style,
+    language,
+    model: getDescriptionModel(),
+    promptVersion: PROMPT_VERSION
+  }));
+}
+
+/**
+ * Middleware that looks up a stored description before rate limiting,
+ * unless a fresh one is requested
+ */
+export async function lookupCachedDescription(req, res, next) {
+  try {
+    const { nft, contractAddress, chain, style, language } = req.body || {};
+    const fresh = req.query?.fresh === 'true' || req.body?.fresh === true;
+    const hasTokenId = validateTokenId(String(nft?.tokenId));
+
+    // Token IDs are keyed in decimal, as share pages look them up ("0x1" and "01" are token 1)
+    req.descriptionKey = hasTokenId && validateChain(chain) && validateDescriptionStyle(style) && validateLanguage(language)
+      ? getDescriptionKey({
+          chain: resolveChain(chain),
+          contractAddress,
+          tokenId: toDecimalTokenId(nft.tokenId),
+          style: resolveDescriptionStyle(style),
+          language: resolveLanguage(language, req.headers['accept-language']),
+          model: getDescriptionModel(),
+          promptVersion: PROMPT_VERSION
+        })
+      : null;
+    req.descriptionFresh = fresh;
+
+    if (req.descriptionKey && !fresh) {
+      req.cachedDescription = await getCachedDescription(req.descriptionKey);
+    }
+  } catch (error) {
+    // A store failure should never block generation
+    if (!isProduction) {
+      console.warn('Description cache lookup failed:', error.message);
+    }
+  }
+  next();
+}
+
+/**
+ * Middleware that looks up a stored analysis before rate limiting. Analyses
+ * are keyed by the processed media, so only media this server has already
+ * downloaded can hit. `fresh` skips the lookup as it does for descriptions.
+ */
+export async function lookupCachedAnalysis(req, res, next) {
+  try {
+    const { nft, language } = req.body || {};
+    req.analysisFresh = req.query?.fresh === 'true' || req.body?.fresh === true;
+
+    if (!req.analysisFresh && !getNftRequestError(req.body)) {
+      const mediaKey = await getMediaKey(nft.image);
+      if (mediaKey) {
+        req.analysisKey = getAnalysisKey({
+          mediaKey,
+          nft,
+          language: resolveLanguage(language, req.headers['accept-language']),
+          model: getDescriptionModel()
+        });
+        req.cachedAnalysis = await getCachedAnalysis(req.analysisKey);
+      }
+    }
+  } catch (error) {
+    // A store failure should never block analysis
+    if (!isProduction) {
+      console.warn('Analysis cache lookup failed:', error.message);
+    }
+  }
+  next();
+}
+
+// The essay's `samples` query parameter; returns null when out of range
+function parseEssaySampleCount(samples) {
+  if (samples === undefined) return ESSAY_SAMPLE_COUNTS.default;
+  const count = typeof samples === 'string' && /^\d{1,2}$/.test(samples) ? parseInt(samples, 10) : NaN;
+  return count >= ESSAY_SAMPLE_COUNTS.min && count <= ESSAY_SAMPLE_COUNTS.max ? count : null;
+}
+
+/**
+ * Middleware that looks up a stored collection essay before rate limiting,
+ * unless a fresh one is requested
+ */
+export async function lookupCachedEssay(req, res, next) {
+  try {
+    // Express sets req.params before route middleware; Vercel puts path segments in the query
+    const contractAddress = req.params?.contractAddress ?? req.query?.contractAddress;
+    const { chain, lang, samples } = req.query || {};
+    const sampleCount = parseEssaySampleCount(samples);
+
+    req.essayKey = validateContractAddress(contractAddress) && validateChain(chain) && validateLanguage(lang) && sampleCount
+      ? getEssayKey({
+          chain: resolveChain(chain),
+          contractAddress,
+          language: resolveLanguage(lang, req.headers['accept-language']),
+          sampleCount,
+          model: getDescriptionModel()
+        })
+      : null;
+    req.essayFresh = req.query?.fresh === 'true';
+
+    if (req.essayKey && !req.essayFresh) {
+      req.cachedEssay = await getCachedEssay(req.essayKey);
+    }
+  } catch (error) {
+    // A store failure should never block generation
+    if (!isProduction) {
+      console.warn('Essay cache lookup failed:', error.message);
+    }
+  }
+  next();
+}
+
+// Validates the NFT and language shared by the Gemini endpoints; returns an error message or null
+function getNftRequestError({ nft, language } = {}) {
+  if (!nft || typeof nft !== 'object') {
+    return 'Invalid NFT data format';
+  }
+
+  if (!nft.image || !validateImageUrl(nft.image)) {
+    return 'This NFT has no image available.';
+  }
+
+  if (!validateLanguage(language)) {
+    return 'Unsupported language';
+  }
+
+  if (!nft.name || typeof nft.name !== 'string') {
+    return 'NFT name is required';
+  }
+
+  if (!nft.tokenId || !validateTokenId(nft.tokenId)) {
+    return 'Valid token ID is required';
+  }
+
+  return null;
+}
+
+/**
+ * Loads the token a stored description will be written for from the metadata
+ * provider. Stored descriptions are shared (repeat visits, share pages,
+ * posters), so they must never come from metadata the client made up.
+ */
+async function getVerifiedNft({ nft, contractAddress, chain }) {
+  let verified;
+  try {
+    verified = await getNftMetadata({ chain: resolveChain(chain), contractAddress, tokenId: toDecimalTokenId(nft.tokenId) });
+  } catch (error) {
+    const wrapped = new Error(`Token metadata could not be loaded: ${error.message}`);
+    wrapped.code = 'NFT_METADATA_UNAVAILABLE';
+    wrapped.status = 502;
+    throw wrapped;
+  }
+
+  if (!verified?.image || !validateImageUrl(verified.image)) {
+    const error = new Error('The token has no image available');
+    error.code = 'NFT_MEDIA_MISSING';
+    error.status = 422;
+    throw error;
+  }
+  return verified;
+}
+
+// The token's rarity for the prompt, when its collection is already indexed.
+// Never delays or fails a description.
+async function getPromptRarity({ nft, contractAddress, chain }) {
+  if (!validateContractAddress(contractAddress) || !validateChain(chain)) {
+    return null;
+  }
+
+  try {
+    const token = await peekTokenRarity({ chain: resolveChain(chain), contractAddress, tokenId: nft.tokenId });
+    return token && {
+      rank: token.rank,
+      tokenCount: token.tokenCount,
+      complete: token.complete,
+      rareTraits: getRareTraits(token)
+    };
+  } catch (error) {
+    if (!isProduction) {
+      console.warn('Rarity lookup failed:', error.message);
+    }
+    return null;
+  }
+}
+
+// Maps media and Gemini errors to a status, a stable code and a user-facing message
+function describeGeminiError(error) {
+  const details = isProduction ? undefined : error.message;
+
+  // Handle specific Gemini API errors
+  if (error.status === 429) {
+    return { status: 429, code: 'RATE_LIMITED', message: 'Too many requests. Please try again in a moment.' };
+  }
+
+  // Media URLs refused by the guarded fetcher (private hosts, bad ports, redirects)
+  if (error.code === 'URL_BLOCKED') {
+    return { status: error.status, code: error.code, message: 'This NFT media URL cannot be fetched.', details };
+  }
+
+  // Media over the download size cap
+  if (error.code === 'MEDIA_TOO_LARGE') {
+    return { status: error.status, code: error.code, message: 'This NFT media file is too large to describe.', details };
+  }
+
+  // The token could not be loaded from the metadata provider
+  if (error.code === 'NFT_METADATA_UNAVAILABLE') {
+    return { status: error.status, code: error.code, message: 'This NFT could not be loaded. Please try again.', details };
+  }
+
+  // The collection's trait index could not be built, or too many are building
+  if (error.code === 'TRAIT_INDEX_BUSY') {
+    return { status: error.status, code: error.code, message: error.message };
+  }
+
+  if (error.code === 'TRAIT_INDEX_FAILED') {
+    return { status: error.status, code: error.code, message: 'This collection could not be indexed. Please try again later.', details };
+  }
+
+  if (error.code === 'NFT_MEDIA_MISSING') {
+    return { status: error.status, code: error.code, message: 'This NFT has no image available.', details };
+  }
+
+  // Structured output that failed validation
+  if (error.code === 'INVALID_ANALYSIS') {
+    return { status: error.status, code: error.code, message: 'The analysis could not be generated. Please try again.', details };
+  }
+
+  // Collections where no token's media could be processed
+  if (error.code === 'NO_ESSAY_SAMPLES') {
+    return { status: error.status, code: error.code, message: 'None of this collection\'s artwork could be loaded for an essay.', details };
+  }
+
+  // Media processing specific errors
+  if (error.message.includes('Failed to process media')) {
+    return { status: 422, code: 'UNSUPPORTED_MEDIA', message: 'This NFT format is not supported yet. Please try another one.', details };
+  }
+
+  // Don't expose internal error details in production
+  return {
+    status: 500,
+    code: 'GENERATION_FAILED',
+    message: isProduction ? 'Something went wrong. Please try again.' : error.message
+  };
+}
+
+// Responds with a JSON error, or an SSE `error` event once a stream has started
+function sendGeminiRouteError(res, error) {
+  const { status, code, message, details } = describeGeminiError(error);
+
+  if (res.headersSent) {
+    if (!res.writableEnded) {
+      sendEvent(res, 'error', { code, message });
+      res.end();
+    }
+    return;
+  }
+
+  sendJson(res, status, { error: message, code, details });
+}
+
+/**
+ * Streams an NFT description as Server-Sent Events, replaying a stored
+ * description when lookupCachedDescription found one
+ */
+export async function handleDescriptionStream(req, res) {
+  const signal = createDisconnectSignal(res);
+
+  try {
+    const { nft, style, language } = req.body || {};
+
+    // Input validation
+    const validationError = getNftRequestError(req.body);
+    if (validationError) {
+      return sendJson(res, 400, { error: validationError });
+    }
+
+    if (!validateDescriptionStyle(style)) {
+      return sendJson(res, 400, { error: 'Unsupported description style' });
+    }
+
+    const startTime = Date.now();
+    const acceptLanguage = req.headers['accept-language'];
+
+    // Replay a stored description through the same event stream
+    if (req.cachedDescription) {
+      const { text, model, processingType } = req.cachedDescription;
+      startEventStream(res, {
+        'Content-Language': req.cachedDescription.language || resolveLanguage(language, acceptLanguage),
+        'X-Description-Cache': 'HIT'
+      });
+
+      sendEvent(res, 'meta', {
+        processingType: processingType || null,
+        model: model || null,
+        cache: 'HIT',
+        style: req.cachedDescription.style || resolveDescriptionStyle(style),
+        language: req.cachedDescription.language || resolveLanguage(language, acceptLanguage)
+      });
+      for (const chunk of chunkDescription(text)) {
+        sendEvent(res, 'delta', { text: chunk });
+      }
+      sendEvent(res, 'done', {
+        timings: { totalMs: Date.now() - startTime, mediaMs: 0, firstTokenMs: 0, generationMs: 0 },
+        usage: null
+      });
+
+      return res.end();
+    }
+
+    if (!hasGeminiAccess()) {
+      return sendJson(res, 500, { error: 'Gemini API key not configured' });
+    }
+
+    // Descriptions that will be stored are written from the provider's copy
+    // of the token; the client's copy is only used for unstored ones
+    const subject = req.descriptionKey ? await getVerifiedNft(req.body) : nft;
+    signal.throwIfAborted();
+
+    if (!isProduction) {
+      console.log(`🎨 Processing NFT: ${subject.name} (${subject.tokenId})`);
+    }
+
+    // Process media with advanced system
+    const processedMedia = await processNftMedia(subject, { signal });
+    const mediaMs = Date.now() - startTime;
+
+    if (!isProduction) {
+      console.log(`✅ Media processed: ${processedMedia.processingType}`);
+    }
+
+    // Generate enhanced prompt based on processing type
+    const descriptionStyle = resolveDescriptionStyle(style);
+    const descriptionLanguage = resolveLanguage(language, acceptLanguage);
+    const rarity = await getPromptRarity(req.body);
+    const enhancedPrompt = generateEnhancedPrompt(subject, processedMedia, descriptionStyle, descriptionLanguage, rarity);
+
+    // Select appropriate model
+    const modelName = selectGeminiModel({ category: processedMedia.processingType });
+
+    // Use inline data (more compatible than File API)
+    const parts = [
+      ...buildMediaParts(processedMedia),
+      { text: enhancedPrompt }
+    ];
+
+    const generationStart = Date.now();
+    const response = await getGemini().models.generateContentStream({
+      model: modelName,
+      contents: { parts: parts },
+      config: {
+        // Use default thinking for higher quality creative text.
+        abortSignal: signal
+      },
+    });
+
+    // From here on, failures are reported as `error` events
+    const cacheStatus = req.descriptionFresh ? 'BYPASS' : 'MISS';
+    startEventStream(res, {
+      'Content-Language': descriptionLanguage,
+      'X-Description-Cache': cacheStatus
+    });
+    sendEvent(res, 'meta', {
+      processingType: processedMedia.processingType,
+      model: modelName,
+      cache: cacheStatus,
+      style: descriptionStyle,
+      language: descriptionLanguage
+    });
+
+    // Stream the response
+    let fullText = '';
+    let firstTokenMs = null;
+    let usageMetadata = null;
+    for await (const chunk of response) {
+      // Stop pulling from Gemini once the viewer has gone
+      if (signal.aborted) break;
+      if (chunk.usageMetadata) {
+        usageMetadata = chunk.usageMetadata;
+      }
+      if (chunk.text) {
+        firstTokenMs ??= Date.now() - generationStart;
+        fullText += chunk.text;
+        sendEvent(res, 'delta', { text: chunk.text });
+      }
+    }
+
+    // Partial descriptions are neither finished nor stored
+    if (signal.aborted) {
+      if (!isProduction) {
+        console.log(`⏹️ Generation cancelled: ${subject.name} (${subject.tokenId})`);
+      }
+      return;
+    }
+
+    sendEvent(res, 'done', {
+      timings: {
+        totalMs: Date.now() - startTime,
+        mediaMs,
+        firstTokenMs,
+        generationMs: Date.now() - generationStart
+      },
+      usage: formatUsage(usageMetadata)
+    });
+    res.end();
+
+    // Only completed descriptions are stored
+    await saveDescription(req.descriptionKey, {
+      text: fullText,
+      model: modelName,
+      style: descriptionStyle,
+      language: descriptionLanguage,
+      processingType: processedMedia.processingType
+    }).catch((error) => {
+      if (!isProduction) {
+        console.warn('Description cache save failed:', error.message);
+      }
+    });
+
+  } catch (error) {
+    // Nobody is listening any more; nothing to report
+    if (signal.aborted) {
+      if (!isProduction) {
+        console.log(`⏹️ Description request cancelled: ${error.message}`);
+      }
+      return;
+    }
+    console.error('Error in advanced Gemini API endpoint:', error);
+    sendGeminiRouteError(res, error);
+  }
+}
+
+/**
+ * Structured analysis of the same processed media: subjects, colors,
+ * medium/style, mood tags, visible text and alt text as validated JSON
+ */
+export async function handleAnalyzeNft(req, res) {
+  const signal = createDisconnectSignal(res);
+
+  try {
+    const { nft, language } = req.body || {};
+
+    const validationError = getNftRequestError(req.body);
+    if (validationError) {
+      return sendJson(res, 400, { error: validationError });
+    }
+
+    const analysisLanguage = resolveLanguage(language, req.headers['accept-language']);
+    res.setHeader('Content-Language', analysisLanguage);
+
+    if (req.cachedAnalysis) {
+      const { createdAt, ...stored } = req.cachedAnalysis;
+      return sendJson(res, 200, { ...stored, cache: 'HIT' });
+    }
+
+    if (!hasGeminiAccess()) {
+      return sendJson(res, 500, { error: 'Gemini API key not configured' });
+    }
+
+    const processedMedia = await processNftMedia(nft, { signal });
+    const modelName = selectGeminiModel({ category: processedMedia.processingType });
+
+    const response = await getGemini().models.generateContent({
+      model: modelName,
+      contents: {
+        parts: [
+          ...buildMediaParts(processedMedia),
+          { text: generateAnalysisPrompt(nft, processedMedia, analysisLanguage) }
+        ]
+      },
+      config: {
+        responseMimeType: 'application/json',
+        responseSchema: ANALYSIS_SCHEMA,
+        abortSignal: signal
+      }
+    });
+
+    const result = {
+      analysis: validateAnalysis(response.text),
+      language: analysisLanguage,
+      model: modelName,
+      processingType: processedMedia.processingType,
+      version: ANALYSIS_VERSION
+    };
+
+    // The media's content key is known now that it has been downloaded
+    const mediaKey = await getMediaKey(nft.image);
+    if (mediaKey) {
+      const key = getAnalysisKey({ mediaKey, nft, language: analysisLanguage, model: getDescriptionModel() });
+      await saveAnalysis(key, result).catch(error => {
+        if (!isProduction) {
+          console.warn('Analysis could not be stored:', error.message);
+        }
+      });
+    }
+
+    sendJson(res, 200, { ...result, cache: req.analysisFresh ? 'BYPASS' : 'MISS' });
+
+  } catch (error) {
+    if (signal.aborted) {
+      if (!isProduction) {
+        console.log(`⏹️ Analysis request cancelled: ${error.message}`);
+      }
+      return;
+    }
+    console.error('Error in Gemini analysis endpoint:', error);
+    sendGeminiRouteError(res, error);
+  }
+}
+
+/**
+ * An essay about a whole collection, written from a contact sheet of sampled
+ * tokens and the collection's trait distribution. Stored per collection,
+ * language and sample count; `?fresh=true` regenerates it.
+ */
+export async function handleCollectionEssay(req, res, params) {
+  const signal = createDisconnectSignal(res);
+
+  try {
+    const { contractAddress } = params;
+    const { chain, lang, samples } = req.query;
+
+    if (!validateContractAddress(contractAddress)) {
+      return sendJson(res, 400, { error: 'Please enter a valid contract address.' });
+    }
+
+    if (!validateChain(chain)) {
+      return sendJson(res, 400, { error: 'This chain is not supported.' });
+    }
+
+    if (!validateLanguage(lang)) {
+      return sendJson(res, 400, { error: 'Unsupported language' });
+    }
+
+    const sampleCount = parseEssaySampleCount(samples);
+    if (!sampleCount) {
+      return sendJson(res, 400, {
+        error: `Please use between ${ESSAY_SAMPLE_COUNTS.min} and ${ESSAY_SAMPLE_COUNTS.max} samples.`
+      });
+    }
+
+    const language = resolveLanguage(lang, req.headers['accept-language']);
+    res.setHeader('Content-Language', language);
+
+    if (req.cachedEssay) {
+      const { text, ...essay } = req.cachedEssay;
+      return sendJson(res, 200, { essay: text, ...essay, cache: 'HIT' });
+    }
+
+    if (!hasGeminiAccess()) {
+      return sendJson(res, 500, { error: 'Gemini API key not configured' });
+    }
+
+    const collection = { chain: resolveChain(chain), contractAddress };
+    const index = await getTraitIndexOrRespond(res, collection);
+    if (!index) return;
+
+    const input = await buildEssayInput({ ...collection, index, sampleCount, signal });
+    const modelName = selectGeminiModel({ category: 'image' });
+
+    const response = await getGemini().models.generateContent({
+      model: modelName,
+      contents: {
+        parts: [
+          ...buildMediaParts(input.contactSheet),
+          { text: generateEssayPrompt(input, language) }
+        ]
+      },
+      config: { abortSignal: signal }
+    });
+
+    const essay = {
+      text: response.text?.trim() || '',
+      model: modelName,
+      language,
+      samples: input.samples,
+      tokenCount: input.tokenCount,
+      complete: input.complete
+    };
+    if (!essay.text) {
+      throw new Error('Gemini returned an empty essay');
+    }
+
+    // Essays from a partial index are not stored, so a later request sees every token
+    if (req.essayKey && input.complete) {
+      await saveEssay(req.essayKey, essay).catch(error => {
+        if (!isProduction) {
+          console.warn('Essay could not be stored:', error.message);
+        }
+      });
+    }
+
+    const { text, ...rest } = essay;
+    sendJson(res, 200, { essay: text, ...rest, cache: req.essayFresh ? 'BYPASS' : 'MISS', createdAt: null });
+
+  } catch (error) {
+    if (signal.aborted) {
+      if (!isProduction) {
+        console.log(`⏹️ Essay request cancelled: ${error.message}`);
+      }
+      return;
+    }
+    console.error('Error in collection essay endpoint:', error);
+    sendGeminiRouteError(res, error);
+  }
+}
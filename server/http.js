@@ -0,0 +1,179 @@
+import cors from 'cors';
+import helmet from 'helmet';
+import rateLimit from 'express-rate-limit';
+import { getAlchemyOrigins } from './chains.js';
+
+// Production check
+const isProduction = process.env.NODE_ENV === 'production';
+
+/**
+ * Sends a JSON response. Works on Express and plain Node (Vercel) responses.
+ */
+export function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Aborts when the client disconnects before the response has finished, so
+ * media processing and Gemini generation stop for viewers who moved on
+ */
+export function createDisconnectSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort(new DOMException('Client disconnected', 'AbortError'));
+    }
+  });
+  return controller.signal;
+}
+
+/**
+ * Runs Express-style middleware outside Express. Resolves true when it calls
+ * next(), or false when it ended the response itself (e.g. a rate limit).
+ */
+export function runMiddleware(req, res, middleware) {
+  return new Promise((resolve, reject) => {
+    const onEnd = () => resolve(false);
+    res.once('finish', onEnd);
+    res.once('close', onEnd);
+
+    middleware(req, res, (error) => {
+      res.off('finish', onEnd);
+      res.off('close', onEnd);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(true);
+      }
+    });
+  });
+}
+
+const contentSecurityDirectives = {
+  defaultSrc: ["'self'"],
+  styleSrc: ["'self'", "'unsafe-inline'"],
+  scriptSrc: ["'self'"],
+  imgSrc: ["'self'", "data:", "https:", "ipfs://"],
+  connectSrc: ["'self'", ...getAlchemyOrigins(), "https://generativelanguage.googleapis.com"],
+};
+
+// Security headers
+export const securityHeaders = helmet({
+  contentSecurityPolicy: {
+    directives: contentSecurityDirectives,
+  },
+});
+
+// The frontend page also loads Google Fonts and plays NFT video and audio
+export const appShellContentSecurityPolicy = helmet.contentSecurityPolicy({
+  directives: {
+    ...contentSecurityDirectives,
+    styleSrc: [...contentSecurityDirectives.styleSrc, "https://fonts.googleapis.com"],
+    fontSrc: ["'self'", "https://fonts.gstatic.com"],
+    mediaSrc: ["'self'", "data:", "https:"],
+  },
+});
+
+// Allowed origins are read per request, after .env.local has been loaded
+function getAllowedOrigins() {
+  return isProduction
+    ? [process.env.FRONTEND_URL || 'https://your-vercel-domain.vercel.app']
+    : ['http://localhost:3000', 'http://localhost:5173', 'http://localhost:5174'];
+}
+
+// CORS configuration
+export const corsMiddleware = cors({
+  origin: (origin, callback) => callback(null, getAllowedOrigins()),
+  credentials: true,
+  exposedHeaders: ['X-Description-Cache'],
+  optionsSuccessStatus: 200
+});
+
+// Express sets req.ip; on Vercel the platform passes the client address in X-Real-IP
+function getClientKey(req) {
+  return req.ip || req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+function sendRateLimited(req, res, next, options) {
+  sendJson(res, options.statusCode, { error: options.message, code: 'RATE_LIMITED' });
+}
+
+// Media routes (grid thumbnails) are requested dozens at a time, so they
+// have their own, larger budget
+function isMediaRequest(req) {
+  return Boolean(req.url?.startsWith('/api/media/'));
+}
+
+// Pages and static assets of the frontend build don't count as API calls
+function isApiRequest(req) {
+  return Boolean(req.url?.startsWith('/api/'));
+}
+
+// Rate limiting for all routes
+export const apiLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // limit each IP to 100 requests per windowMs
+  message: 'Too many requests. Please try again in a moment.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: getClientKey,
+  handler: sendRateLimited,
+  skip: (req) => !isApiRequest(req) || isMediaRequest(req),
+  // Polls of a trait index that is still building (202) are handed back, so
+  // indexing a large collection cannot use up the budget
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode === 202,
+});
+
+// Rate limiting for media routes
+export const mediaLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 1000, // limit each IP to 1000 thumbnails per windowMs
+  message: 'Too many requests. Please try again in a moment.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: getClientKey,
+  handler: sendRateLimited,
+});
+
+// Specific rate limiting for Gemini API
+// Descriptions, analyses and essays replayed from their stores don't call Gemini,
+// so they don't count; nor do essays answered 202 while their trait index builds
+export const geminiLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 10, // limit each IP to 10 requests per minute
+  message: 'Too many requests. Please try again in a moment.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: getClientKey,
+  handler: sendRateLimited,
+  skip: (req) => Boolean(req.cachedDescription || req.cachedAnalysis || req.cachedEssay)
+    || (req.traitIndexStatus !== undefined && !req.traitIndexStatus?.index),
+});
+
+// Rate limiting for starting trait index builds, which walk a whole collection
+// through the metadata provider. lookupTraitIndex leaves req.traitIndexStatus
+// null only when a build would start; everything else doesn't count.
+export const traitIndexLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit each IP to 20 collection builds per windowMs
+  message: 'Too many collections indexed. Please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: getClientKey,
+  handler: sendRateLimited,
+  skip: (req) => req.traitIndexStatus !== null,
+});
+
+// Rate limiting for poster exports, which render large images
+export const posterLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each IP to 30 posters per windowMs
+  message: 'Too many requests. Please try again in a moment.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: getClientKey,
+  handler: sendRateLimited,
+});
@@ -0,0 +1,284 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Production check
+const isProduction = process.env.NODE_ENV === 'production';
+
+/**
+ * Hashes a string or buffer with SHA-256 (hex)
+ */
+export function sha256(input) {
+  return crypto.createHash('sha256').update(input).digest('hex');
+}
+
+/**
+ * Serializes a cache value to JSON, encoding Buffers as base64
+ */
+function serialize(value) {
+  return JSON.stringify(value, function (key, item) {
+    const raw = this[key];
+    if (Buffer.isBuffer(raw)) {
+      return { __buffer: raw.toString('base64') };
+    }
+    return item;
+  });
+}
+
+/**
+ * Restores a JSON cache value, decoding base64 Buffers
+ */
+function deserialize(json) {
+  return JSON.parse(json, (key, item) => {
+    if (item && typeof item === 'object' && typeof item.__buffer === 'string') {
+      return Buffer.from(item.__buffer, 'base64');
+    }
+    return item;
+  });
+}
+
+/**
+ * Creates a two-tier LRU cache: a memory tier bounded by bytes and an
+ * optional disk tier (one JSON file per entry) that survives restarts.
+ * Values may contain Buffers. Entries expire after `ttl` milliseconds.
+ */
+export function createLruCache({ name, maxBytes, maxDiskBytes = 0, ttl, directory }) {
+  // key -> { value, size, timestamp }, in least- to most-recently used order
+  const memory = new Map();
+  let memoryBytes = 0;
+
+  // file name -> { size }, in least- to most-recently used order
+  const disk = new Map();
+  let diskBytes = 0;
+
+  const counters = { hits: 0, misses: 0, evictions: 0 };
+  const useDisk = Boolean(directory && maxDiskBytes > 0);
+
+  const ready = useDisk ? loadDiskIndex() : Promise.resolve();
+
+  async function loadDiskIndex() {
+    try {
+      await fs.mkdir(directory, { recursive: true });
+      const files = (await fs.readdir(directory)).filter(file => file.endsWith('.json'));
+      const entries = await Promise.all(files.map(async (file) => {
+        const stats = await fs.stat(path.join(directory, file)).catch(() => null);
+        return stats ? { file, size: stats.size, mtime: stats.mtimeMs } : null;
+      }));
+
+      entries
+        .filter(Boolean)
+        .sort((a, b) => a.mtime - b.mtime)
+        .forEach(({ file, size }) => {
+          disk.set(file, { size });
+          diskBytes += size;
+        });
+    } catch (error) {
+      if (!isProduction) {
+        console.warn(`${name} cache: disk index load failed:`, error.message);
+      }
+    }
+  }
+
+  function fileNameFor(key) {
+    return `${sha256(key)}.json`;
+  }
+
+  function isExpired(timestamp) {
+    return Date.now() - timestamp >= ttl;
+  }
+
+  function setMemory(key, entry) {
+    deleteMemory(key);
+    memory.set(key, entry);
+    memoryBytes += entry.size;
+
+    // Evict least recently used entries, but always keep the newest one
+    while (memoryBytes > maxBytes && memory.size > 1) {
+      const [oldestKey] = memory.keys();
+      deleteMemory(oldestKey);
+      counters.evictions++;
+    }
+  }
+
+  function deleteMemory(key) {
+    const entry = memory.get(key);
+    if (!entry) return false;
+    memory.delete(key);
+    memoryBytes -= entry.size;
+    return true;
+  }
+
+  async function deleteDisk(file) {
+    const entry = disk.get(file);
+    if (!entry) return false;
+    disk.delete(file);
+    diskBytes -= entry.size;
+    await fs.unlink(path.join(directory, file)).catch(() => {});
+    return true;
+  }
+
+  async function readDisk(key) {
+    const file = fileNameFor(key);
+    if (!disk.has(file)) return undefined;
+
+    try {
+      const stored = deserialize(await fs.readFile(path.join(directory, file), 'utf8'));
+      if (stored.key !== key || isExpired(stored.timestamp)) {
+        await deleteDisk(file);
+        return undefined;
+      }
+
+      // Mark as recently used
+      const entry = disk.get(file);
+      disk.delete(file);
+      disk.set(file, entry);
+      const now = new Date();
+      await fs.utimes(path.join(directory, file), now, now).catch(() => {});
+
+      return stored;
+    } catch {
+      await deleteDisk(file);
+      return undefined;
+    }
+  }
+
+  // Writes one entry's file. Only called through writeDisk, one write per file at a time.
+  async function writeDiskFile(file, key, json, timestamp) {
+    const contents = `{"key":${JSON.stringify(key)},"timestamp":${timestamp},"value":${json}}`;
+    const size = Buffer.byteLength(contents);
+    if (size > maxDiskBytes) return;
+
+    try {
+      await deleteDisk(file);
+      await fs.writeFile(path.join(directory, file), contents);
+      disk.set(file, { size });
+      diskBytes += size;
+
+      while (diskBytes > maxDiskBytes && disk.size > 1) {
+        const [oldestFile] = disk.keys();
+        await deleteDisk(oldestFile);
+        counters.evictions++;
+      }
+    } catch (error) {
+      if (!isProduction) {
+        console.warn(`${name} cache: disk write failed:`, error.message);
+      }
+    }
+  }
+
+  // file name -> the latest pending write. Writes of the same key are chained,
+  // so each replaces the previous entry's size rather than adding to it.
+  const pendingWrites = new Map();
+
+  function writeDisk(key, json, timestamp) {
+    const file = fileNameFor(key);
+    const write = (pendingWrites.get(file) || Promise.resolve())
+      .then(() => writeDiskFile(file, key, json, timestamp));
+
+    pendingWrites.set(file, write);
+    write.finally(() => {
+      if (pendingWrites.get(file) === write) pendingWrites.delete(file);
+    });
+    return write;
+  }
+
+  return {
+    /**
+     * Gets a value, promoting disk hits into memory
+     */
+    async get(key) {
+      await ready;
+
+      const entry = memory.get(key);
+      if (entry) {
+        if (!isExpired(entry.timestamp)) {
+          setMemory(key, entry);
+          counters.hits++;
+          return entry.value;
+        }
+        deleteMemory(key);
+      }
+
+      if (useDisk) {
+        const stored = await readDisk(key);
+        if (stored) {
+          const size = disk.get(fileNameFor(key)).size;
+          setMemory(key, { value: stored.value, size, timestamp: stored.timestamp });
+          counters.hits++;
+          return stored.value;
+        }
+      }
+
+      counters.misses++;
+      return undefined;
+    },
+
+    /**
+     * Stores a value in memory and, when enabled, on disk
+     */
+    async set(key, value) {
+      await ready;
+
+      const json = serialize(value);
+      const timestamp = Date.now();
+      setMemory(key, { value, size: Buffer.byteLength(json), timestamp });
+
+      if (useDisk) {
+        await writeDisk(key, json, timestamp);
+      }
+    },
+
+    /**
+     * Removes one entry from both tiers. Returns true if anything was removed.
+     */
+    async delete(key) {
+      await ready;
+      const removedFromMemory = deleteMemory(key);
+      const removedFromDisk = useDisk ? await deleteDisk(fileNameFor(key)) : false;
+      return removedFromMemory || removedFromDisk;
+    },
+
+    /**
+     * Removes every entry from both tiers
+     */
+    async clear() {
+      await ready;
+      memory.clear();
+      memoryBytes = 0;
+      for (const file of [...disk.keys()]) {
+        await deleteDisk(file);
+      }
+    },
+
+    /**
+     * Drops expired entries from memory (disk entries expire on read)
+     */
+    prune() {
+      for (const [key, entry] of memory) {
+        if (isExpired(entry.timestamp)) {
+          deleteMemory(key);
+        }
+      }
+    },
+
+    /**
+     * Reports hit/miss/eviction counters and usage per tier
+     */
+    stats() {
+      return {
+        hits: counters.hits,
+        misses: counters.misses,
+        evictions: counters.evictions,
+        memory: {
+          entries: memory.size,
+          bytes: memoryBytes,
+          maxBytes
+        },
+        disk: useDisk
+          ? { entries: disk.size, bytes: diskBytes, maxBytes: maxDiskBytes }
+          : null,
+        keys: Array.from(memory.keys())
+      };
+    }
+  };
+}
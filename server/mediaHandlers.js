@@ -0,0 +1,53 @@
+import { getThumbnail, THUMBNAIL_SIZES, DEFAULT_THUMBNAIL_SIZE } from './thumbnails.js';
+import { validateImageUrl } from './requestValidation.js';
+import { sendJson, createDisconnectSignal } from './http.js';
+
+// Production check
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Errors whose status and code pass through to the client
+const CLIENT_ERROR_CODES = ['URL_BLOCKED', 'MEDIA_TOO_LARGE', 'UNSUPPORTED_MEDIA'];
+
+/**
+ * Serves a small square WebP thumbnail of an NFT's media for the
+ * collection grid: `?url=<media URL>&size=<128|256|384>`
+ */
+export async function handleThumbnail(req, res) {
+  const signal = createDisconnectSignal(res);
+
+  try {
+    const { url, size } = req.query;
+
+    if (typeof url !== 'string' || !validateImageUrl(url)) {
+      return sendJson(res, 400, { error: 'A valid media URL is required.' });
+    }
+
+    const width = size === undefined ? DEFAULT_THUMBNAIL_SIZE : parseInt(size, 10);
+    if (!THUMBNAIL_SIZES.includes(width)) {
+      return sendJson(res, 400, { error: `Thumbnail size must be one of ${THUMBNAIL_SIZES.join(', ')}.` });
+    }
+
+    const thumbnail = await getThumbnail(url, width, { signal });
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', thumbnail.mimeType);
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    // Loaded as <img> by the frontend, which may be on another origin in development
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.end(thumbnail.buffer);
+  } catch (error) {
+    if (signal.aborted) return;
+
+    if (CLIENT_ERROR_CODES.includes(error.code)) {
+      return sendJson(res, error.status, { error: error.message, code: error.code });
+    }
+
+    if (!isProduction) {
+      console.warn('Thumbnail generation failed:', error.message);
+    }
+    sendJson(res, 502, {
+      error: isProduction ? 'Thumbnail not available.' : error.message,
+      code: 'THUMBNAIL_FAILED'
+    });
+  }
+}
@@ -0,0 +1,145 @@
+// Bytes needed to identify every supported format
+export const SNIFF_BYTES = 4096;
+
+// Header/extension types that carry no real information about the content
+const GENERIC_MIME_TYPES = new Set([
+  '',
+  'application/octet-stream',
+  'binary/octet-stream',
+  'application/unknown',
+  'text/plain'
+]);
+
+const EXTENSION_MIME_TYPES = {
+  'png': 'image/png',
+  'jpg': 'image/jpeg',
+  'jpeg': 'image/jpeg',
+  'webp': 'image/webp',
+  'gif': 'image/gif',
+  'svg': 'image/svg+xml',
+  'mp4': 'video/mp4',
+  'm4v': 'video/mp4',
+  'webm': 'video/webm',
+  'mov': 'video/quicktime',
+  'mp3': 'audio/mpeg',
+  'wav': 'audio/wav',
+  'glb': 'model/gltf-binary',
+  'html': 'text/html',
+  'htm': 'text/html'
+};
+
+const MIME_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/quicktime': 'mov',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/wav': 'wav',
+  'model/gltf-binary': 'glb',
+  'text/html': 'html'
+};
+
+function startsWithBytes(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+function asciiAt(buffer, offset, length) {
+  if (buffer.length < offset + length) return '';
+  return buffer.toString('latin1', offset, offset + length);
+}
+
+/**
+ * Detects a MIME type from a file's leading bytes. Returns null when the
+ * format is not recognised.
+ */
+export function sniffMimeType(buffer) {
+  if (!buffer || buffer.length < 4) return null;
+
+  if (startsWithBytes(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWithBytes(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (asciiAt(buffer, 0, 6) === 'GIF87a' || asciiAt(buffer, 0, 6) === 'GIF89a') return 'image/gif';
+  if (asciiAt(buffer, 0, 4) === 'glTF') return 'model/gltf-binary';
+
+  // RIFF container: WebP images and WAV audio
+  if (asciiAt(buffer, 0, 4) === 'RIFF') {
+    const format = asciiAt(buffer, 8, 4);
+    if (format === 'WEBP') return 'image/webp';
+    if (format === 'WAVE') return 'audio/wav';
+  }
+
+  // ISO base media (MP4/MOV/M4A): "ftyp" box at offset 4
+  if (asciiAt(buffer, 4, 4) === 'ftyp') {
+    const brand = asciiAt(buffer, 8, 4);
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (brand === 'M4A ' || brand === 'M4B ') return 'audio/mp4';
+    return 'video/mp4';
+  }
+
+  // EBML header: WebM (or Matroska, which Gemini processing treats the same)
+  if (startsWithBytes(buffer, [0x1a, 0x45, 0xdf, 0xa3])) return 'video/webm';
+
+  // MP3: ID3 tag or an MPEG audio frame sync
+  if (asciiAt(buffer, 0, 3) === 'ID3') return 'audio/mpeg';
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 && (buffer[1] & 0x06) !== 0) return 'audio/mpeg';
+
+  // Text formats: skip a BOM and leading whitespace
+  const text = buffer.toString('utf8', 0, Math.min(buffer.length, SNIFF_BYTES))
+    .replace(/^\uFEFF/, '')
+    .trimStart()
+    .toLowerCase();
+
+  if (text.startsWith('<!doctype html') || text.startsWith('<html')) return 'text/html';
+  if (text.startsWith('<svg') || ((text.startsWith('<?xml') || text.startsWith('<!--') || text.startsWith('<!doctype svg')) && text.includes('<svg'))) {
+    return 'image/svg+xml';
+  }
+
+  return null;
+}
+
+/**
+ * Maps a URL's file extension to a MIME type, or null
+ */
+export function mimeTypeFromUrl(url) {
+  try {
+    const urlPath = new URL(url).pathname;
+    const extension = urlPath.includes('.') ? urlPath.split('.').pop().toLowerCase() : '';
+    return EXTENSION_MIME_TYPES[extension] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Maps a MIME type to a file extension for temp files
+ */
+export function extensionForMimeType(mimeType) {
+  return MIME_EXTENSIONS[mimeType] || 'bin';
+}
+
+/**
+ * Picks a MIME type from magic bytes, the Content-Type header and the URL
+ * extension, in that order of trust. Generic header values (octet-stream,
+ * text/plain) are ignored. Returns the type and which source decided it.
+ */
+export function resolveMimeType({ buffer, contentType, url }) {
+  const sniffed = sniffMimeType(buffer);
+  const header = (contentType || '').toLowerCase().split(';')[0].trim();
+  const fromExtension = mimeTypeFromUrl(url);
+
+  if (sniffed) {
+    return { mimeType: sniffed, detectedBy: 'magic_bytes', headerMismatch: Boolean(header && !GENERIC_MIME_TYPES.has(header) && header !== sniffed) };
+  }
+  if (header && !GENERIC_MIME_TYPES.has(header)) {
+    return { mimeType: header, detectedBy: 'content_type', headerMismatch: false };
+  }
+  if (fromExtension) {
+    return { mimeType: fromExtension, detectedBy: 'extension', headerMismatch: false };
+  }
+  return { mimeType: header || 'application/octet-stream', detectedBy: 'content_type', headerMismatch: false };
+}
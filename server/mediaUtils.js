@@ -1,4 +1,3 @@
-import fetch from 'node-fetch';
 import sharp from 'sharp';
 import ffmpeg from 'fluent-ffmpeg';
 // Canvas removed due to installation issues on macOS
@@ -6,35 +5,146 @@ import ffmpeg from 'fluent-ffmpeg';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fetchWithGatewayFailover, resolveGatewayUrl } from './gatewayResolver.js';
+import { SNIFF_BYTES, resolveMimeType, mimeTypeFromUrl, extensionForMimeType } from './mediaSniffer.js';
+import { DATA_DIR } from './dataDirectory.js';
 
 // Production check
 const isProduction = process.env.NODE_ENV === 'production';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 // Temporary directory for media processing
-const TEMP_DIR = path.join(__dirname, 'temp');
+const TEMP_DIR = path.join(DATA_DIR, 'temp');
 
 // Ensure temp directory exists
 await fs.mkdir(TEMP_DIR, { recursive: true }).catch(() => {});
 
+// Largest file we download or process
+const MAX_MEDIA_BYTES = 20 * 1024 * 1024; // 20MB
+
+/**
+ * Creates the error thrown when media exceeds MAX_MEDIA_BYTES. `status` is
+ * the HTTP status route handlers should respond with.
+ */
+export function createMediaTooLargeError() {
+  const error = new Error(`Media file too large. Maximum size is ${MAX_MEDIA_BYTES / (1024 * 1024)}MB.`);
+  error.code = 'MEDIA_TOO_LARGE';
+  error.status = 413;
+  return error;
+}
+
+/**
+ * Decodes a data: URL into its bytes and declared MIME type
+ */
+function decodeDataUrl(url) {
+  const commaIndex = url.indexOf(',');
+  if (commaIndex === -1) {
+    throw new Error('Invalid data URL format');
+  }
+
+  const header = url.slice(0, commaIndex);
+  const data = url.slice(commaIndex + 1);
+
+  // Base64 is ~33% larger than binary, so this bounds the decoded size
+  if (data.length * 0.75 > MAX_MEDIA_BYTES) {
+    throw createMediaTooLargeError();
+  }
+
+  const buffer = header.includes(';base64')
+    ? Buffer.from(data, 'base64')
+    : Buffer.from(decodeURIComponent(data), 'utf8');
+
+  return {
+    buffer,
+    mimeType: header.split(';')[0].replace('data:', '') || 'application/octet-stream'
+  };
+}
+
+/**
+ * Reads a response body as it streams in, aborting as soon as it grows past
+ * maxBytes instead of buffering the whole file first, or when `signal` aborts.
+ * Oversized bodies throw `createTooLargeError()`.
+ */
+export async function readBodyWithLimit(response, maxBytes, signal, createTooLargeError = createMediaTooLargeError) {
+  const declaredLength = parseInt(response.headers.get('content-length') || '', 10);
+  if (declaredLength > maxBytes) {
+    response.body?.destroy?.();
+    throw createTooLargeError();
+  }
+
+  // The abort listener below only hears future aborts
+  if (signal?.aborted) {
+    response.body?.destroy?.();
+    signal.throwIfAborted();
+  }
+
+  const chunks = [];
+  let received = 0;
+  const abortBody = () => response.body.destroy(signal.reason);
+  signal?.addEventListener('abort', abortBody);
+
+  try {
+    for await (const chunk of response.body) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        response.body.destroy();
+        throw createTooLargeError();
+      }
+      chunks.push(chunk);
+    }
+  } finally {
+    signal?.removeEventListener('abort', abortBody);
+  }
+
+  return Buffer.concat(chunks, received);
+}
+
+/**
+ * Reads only the first `length` bytes of a response body, then closes it
+ */
+async function readLeadingBytes(response, length) {
+  const chunks = [];
+  let received = 0;
+
+  for await (const chunk of response.body) {
+    chunks.push(chunk);
+    received += chunk.length;
+    if (received >= length) break;
+  }
+
+  // Leaving the loop early does not always close the stream
+  response.body.destroy?.();
+  return Buffer.concat(chunks, received).subarray(0, length);
+}
+
 /**
- * Detects media type and properties from URL
+ * Gets the full file size from Content-Range (ranged responses) or
+ * Content-Length, or 0 when unknown
  */
-export async function detectMediaType(url) {
+function getResponseSize(response) {
+  const totalFromRange = response.headers.get('content-range')?.split('/')[1];
+  if (response.status === 206 && totalFromRange && totalFromRange !== '*') {
+    return parseInt(totalFromRange, 10) || 0;
+  }
+  return response.status === 200 ? parseInt(response.headers.get('content-length') || '0', 10) || 0 : 0;
+}
+
+/**
+ * Detects media type and properties from URL. The type comes from the
+ * file's magic bytes, falling back to the Content-Type header and then the
+ * URL extension, since gateways often serve everything as
+ * application/octet-stream or text/plain.
+ */
+export async function detectMediaType(url, { signal } = {}) {
   // Handle data URLs (like CryptoPunks SVGs)
   if (url.startsWith('data:')) {
     try {
-      const [header] = url.split(',');
-      const mimeType = header.split(';')[0].replace('data:', '') || 'application/octet-stream';
-      
-      // Estimate size (data URLs are typically small)
-      const estimatedSize = url.length * 0.75; // Base64 is ~33% larger than binary
-      
-      return analyzeMediaInfo(mimeType, estimatedSize, url);
+      const { buffer, mimeType } = decodeDataUrl(url);
+      const resolved = resolveMimeType({ buffer, contentType: mimeType, url: null });
+      return analyzeMediaInfo(resolved.mimeType, buffer.length, url, resolved.detectedBy);
     } catch (error) {
+      if (error.code === 'MEDIA_TOO_LARGE') {
+        throw error;
+      }
       if (!isProduction) {
         console.warn('Data URL parsing failed:', error.message);
       }
@@ -43,37 +153,37 @@ export async function detectMediaType(url) {
   }
   
   try {
-    const response = await fetch(url, { 
-      method: 'HEAD',
-      timeout: 5000,
+    // Servers that ignore Range send the whole file; only the start is read
+    const response = await fetchWithGatewayFailover(url, {
       headers: {
+        'Range': `bytes=0-${SNIFF_BYTES - 1}`,
         'User-Agent': 'ChainGallery/1.0'
-      }
+      },
+      timeout: 5000,
+      signal
     });
     
     if (!response.ok) {
-      // If HEAD fails, try GET with range
-      const getResponse = await fetch(url, {
-        headers: {
-          'Range': 'bytes=0-1023', // First 1KB
-          'User-Agent': 'ChainGallery/1.0'
-        },
-        timeout: 5000
-      });
-      
-      const contentType = getResponse.headers.get('content-type') || 'application/octet-stream';
-      const contentLength = getResponse.headers.get('content-length') || 
-                           getResponse.headers.get('content-range')?.split('/')[1] || '0';
-      
-      return analyzeMediaInfo(contentType, parseInt(contentLength), url);
+      response.body?.destroy?.();
+      throw new Error(`Media request failed with status ${response.status}`);
     }
     
-    const contentType = response.headers.get('content-type') || 'application/octet-stream';
-    const contentLength = parseInt(response.headers.get('content-length') || '0');
+    const size = getResponseSize(response);
+    const buffer = await readLeadingBytes(response, SNIFF_BYTES);
+    const resolved = resolveMimeType({ buffer, contentType: response.headers.get('content-type'), url: response.url || url });
+    
+    if (resolved.headerMismatch && !isProduction) {
+      console.warn(`Content-Type ${response.headers.get('content-type')} does not match file contents (${resolved.mimeType}):`, url);
+    }
     
-    return analyzeMediaInfo(contentType, contentLength, url);
+    return analyzeMediaInfo(resolved.mimeType, size, url, resolved.detectedBy);
     
   } catch (error) {
+    // Refused URLs and cancelled requests must not fall through to a download attempt
+    signal?.throwIfAborted();
+    if (error.code === 'URL_BLOCKED') {
+      throw error;
+    }
     if (!isProduction) {
       console.warn('Media type detection failed:', error.message);
     }
@@ -82,16 +192,28 @@ export async function detectMediaType(url) {
   }
 }
 
+/**
+ * Re-checks detected media info against the downloaded file's magic bytes,
+ * which win if the two disagree (e.g. detection fell back to the extension)
+ */
+export function refineMediaInfo(mediaInfo, download) {
+  if (!download.mimeType || download.mimeType === mediaInfo.mimeType) {
+    return { ...mediaInfo, size: download.size };
+  }
+  return analyzeMediaInfo(download.mimeType, download.size, mediaInfo.url, download.detectedBy);
+}
+
 /**
  * Analyzes media info from content type and size
  */
-function analyzeMediaInfo(contentType, size, url) {
+function analyzeMediaInfo(contentType, size, url, detectedBy = 'content_type') {
   const mimeType = contentType.toLowerCase().split(';')[0].trim();
   
   return {
     mimeType,
     size,
     url,
+    detectedBy,
     isImage: mimeType.startsWith('image/'),
     isVideo: mimeType.startsWith('video/'),
     isAudio: mimeType.startsWith('audio/'),
@@ -107,29 +229,7 @@ function analyzeMediaInfo(contentType, size, url) {
  * Fallback analysis from URL extension
  */
 function analyzeFromUrl(url) {
-  try {
-    const urlPath = new URL(url).pathname;
-    const extension = urlPath.split('.').pop()?.toLowerCase() || '';
-    const mimeTypeMap = {
-      'png': 'image/png',
-      'jpg': 'image/jpeg',
-      'jpeg': 'image/jpeg',
-      'webp': 'image/webp',
-      'gif': 'image/gif',
-      'svg': 'image/svg+xml',
-      'mp4': 'video/mp4',
-      'webm': 'video/webm',
-      'mov': 'video/quicktime',
-      'mp3': 'audio/mpeg',
-      'wav': 'audio/wav'
-    };
-    
-    const mimeType = mimeTypeMap[extension] || 'application/octet-stream';
-    return analyzeMediaInfo(mimeType, 0, url);
-  } catch (error) {
-    // If URL parsing fails, return unknown
-    return analyzeMediaInfo('application/octet-stream', 0, url);
-  }
+  return analyzeMediaInfo(mimeTypeFromUrl(url) || 'application/octet-stream', 0, url, 'extension');
 }
 
 /**
@@ -164,102 +264,70 @@ function categorizeMedia(mimeType) {
 }
 
 /**
- * Converts IPFS URLs to HTTP gateway URLs
+ * Converts IPFS and Arweave URLs to the healthiest HTTP gateway URL
  */
 export function convertIpfsToHttp(url) {
-  if (url.startsWith('ipfs://')) {
-    const ipfsHash = url.replace('ipfs://', '');
-    const gateways = [
-      `https://ipfs.io/ipfs/${ipfsHash}`,
-      `https://gateway.pinata.cloud/ipfs/${ipfsHash}`,
-      `https://cloudflare-ipfs.com/ipfs/${ipfsHash}`,
-      `https://dweb.link/ipfs/${ipfsHash}`
-    ];
-    return gateways[0];
-  }
-  return url;
+  return resolveGatewayUrl(url);
 }
 
 /**
- * Downloads media file to temporary location
+ * Downloads media file to temporary location. The body is streamed and the
+ * download aborted once it passes MAX_MEDIA_BYTES (MEDIA_TOO_LARGE error)
+ * or when `signal` aborts.
  */
-export async function downloadMedia(url) {
+export async function downloadMedia(url, { signal } = {}) {
   let buffer;
+  let contentType = null;
+  let resolvedUrl = url;
   
   // Handle data URLs (like CryptoPunks SVGs)
   if (url.startsWith('data:')) {
     try {
-      // Extract base64 data from data URL
-      const [header, data] = url.split(',');
-      if (!data) {
-        throw new Error('Invalid data URL format');
-      }
-      
-      // Check if it's base64 encoded
-      if (header.includes('base64')) {
-        buffer = Buffer.from(data, 'base64').buffer;
-      } else {
-        // URL-encoded data
-        buffer = Buffer.from(decodeURIComponent(data), 'utf8').buffer;
-      }
+      ({ buffer, mimeType: contentType } = decodeDataUrl(url));
+      resolvedUrl = null;
     } catch (error) {
+      if (error.code === 'MEDIA_TOO_LARGE') {
+        throw error;
+      }
       throw new Error(`Failed to process data URL: ${error.message}`);
     }
   } else {
-    // Handle regular URLs
-    const httpUrl = convertIpfsToHttp(url);
-    const response = await fetch(httpUrl, {
+    // Handle regular URLs, failing over across gateways
+    const response = await fetchWithGatewayFailover(url, {
       timeout: 30000,
       headers: {
         'User-Agent': 'ChainGallery/1.0'
-      }
+      },
+      signal
     });
     
     if (!response.ok) {
+      response.body?.destroy?.();
       throw new Error(`Failed to download media: ${response.status}`);
     }
     
-    buffer = await response.arrayBuffer();
+    resolvedUrl = response.url || resolveGatewayUrl(url);
+    contentType = response.headers.get('content-type');
+    buffer = await readBodyWithLimit(response, MAX_MEDIA_BYTES, signal);
   }
   
-  // Security check - max 20MB
-  if (buffer.byteLength > 20 * 1024 * 1024) {
-    throw new Error('Media file too large. Maximum size is 20MB.');
+  if (buffer.length > MAX_MEDIA_BYTES) {
+    throw createMediaTooLargeError();
   }
   
-  const tempId = uuidv4();
-  // Extract extension more safely
-  let extension = 'bin';
+  // Name the temp file after what the bytes are, not what the URL claims,
+  // so ffmpeg and sharp pick the right decoder
+  const { mimeType, detectedBy } = resolveMimeType({ buffer, contentType, url: resolvedUrl });
+  const tempPath = path.join(TEMP_DIR, `${uuidv4()}.${extensionForMimeType(mimeType)}`);
   
-  if (url.startsWith('data:')) {
-    // For data URLs, extract extension from mime type
-    const [header] = url.split(',');
-    const mimeType = header.split(';')[0].replace('data:', '');
-    const extensionMap = {
-      'image/png': 'png',
-      'image/jpeg': 'jpg',
-      'image/svg+xml': 'svg',
-      'image/gif': 'gif',
-      'image/webp': 'webp'
-    };
-    extension = extensionMap[mimeType] || 'bin';
-  } else {
-    // For regular URLs
-    const httpUrl = convertIpfsToHttp(url);
-    const urlPath = new URL(httpUrl).pathname;
-    extension = urlPath.split('.').pop()?.toLowerCase() || 'bin';
-  }
-  
-  // Sanitize extension (only allow alphanumeric)
-  const safeExtension = extension.replace(/[^a-z0-9]/gi, '') || 'bin';
-  const tempPath = path.join(TEMP_DIR, `${tempId}.${safeExtension}`);
-  
-  await fs.writeFile(tempPath, Buffer.from(buffer));
+  await fs.writeFile(tempPath, buffer);
   
   return {
     path: tempPath,
-    buffer: Buffer.from(buffer),
-    size: buffer.byteLength,
+    buffer,
+    size: buffer.length,
+    mimeType,
+    detectedBy,
     cleanup: () => fs.unlink(tempPath).catch(() => {})
   };
 }
@@ -306,7 +374,7 @@ export async function extractVideoFrame(filePath, timeOffset = 1) {
     const outputPath = path.join(TEMP_DIR, `${tempId}_frame.png`);
     
     ffmpeg(filePath)
-      .seekInput(timeOffset) // Seek to 1 second
+      .seekInput(timeOffset)
       .frames(1)
       .output(outputPath)
       .on('end', async () => {
@@ -325,6 +393,164 @@ export async function extractVideoFrame(filePath, timeOffset = 1) {
   });
 }
 
+/**
+ * Probes a media file with ffprobe and returns its duration in seconds
+ */
+export async function probeMediaDuration(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (error, metadata) => {
+      if (error) {
+        reject(new Error(`Media probe failed: ${error.message}`));
+        return;
+      }
+      
+      const duration = parseFloat(metadata?.format?.duration);
+      resolve(Number.isFinite(duration) && duration > 0 ? duration : null);
+    });
+  });
+}
+
+/**
+ * Returns evenly spaced sample timestamps across a duration.
+ * Samples sit at the middle of each slice so the first and last frames
+ * (often black or a fade) are avoided.
+ */
+export function getStoryboardTimestamps(duration, frameCount) {
+  const slice = duration / frameCount;
+  return Array.from({ length: frameCount }, (_, index) => (index + 0.5) * slice);
+}
+
+/**
+ * Extracts evenly spaced frames from a video file using its probed duration
+ */
+export async function extractVideoFrames(filePath, frameCount = 6) {
+  const duration = await probeMediaDuration(filePath);
+  if (!duration) {
+    throw new Error('Video duration not available');
+  }
+  
+  const timestamps = getStoryboardTimestamps(duration, frameCount);
+  const frames = [];
+  
+  // Sequential on purpose: each extraction spawns its own ffmpeg process
+  for (const timestamp of timestamps) {
+    const buffer = await extractVideoFrame(filePath, timestamp);
+    frames.push({ buffer, timestamp });
+  }
+  
+  return { frames, duration };
+}
+
+/**
+ * Extracts evenly spaced frames from an animated GIF using Sharp.
+ * Frame delays are used to map sample times onto frames, so GIFs
+ * with uneven timing are still sampled across their real duration.
+ */
+export async function extractGifFrames(filePath, frameCount = 6) {
+  const metadata = await sharp(filePath).metadata();
+  const pageCount = metadata.pages || 1;
+  
+  if (pageCount < 2) {
+    const buffer = await extractGifFrame(filePath);
+    return { frames: [{ buffer, timestamp: 0 }], duration: 0 };
+  }
+  
+  // GIF delays are in milliseconds; browsers treat 0 as roughly 100ms
+  const delays = Array.from({ length: pageCount }, (_, index) => {
+    const delay = metadata.delay?.[index];
+    return delay && delay > 0 ? delay : 100;
+  });
+  const duration = delays.reduce((total, delay) => total + delay, 0) / 1000;
+  
+  const timestamps = getStoryboardTimestamps(duration, Math.min(frameCount, pageCount));
+  const frames = [];
+  
+  for (const timestamp of timestamps) {
+    let elapsed = 0;
+    let page = 0;
+    while (page < pageCount - 1 && elapsed + delays[page] / 1000 <= timestamp) {
+      elapsed += delays[page] / 1000;
+      page++;
+    }
+    
+    const buffer = await sharp(filePath, { page, pages: 1 })
+      .png()
+      .toBuffer();
+    frames.push({ buffer, timestamp });
+  }
+  
+  return { frames, duration };
+}
+
+/**
+ * Tiles frames into a labelled contact sheet, read left-to-right, top-to-bottom.
+ * Frames are labelled with their number and timestamp unless they carry a
+ * `label` of their own.
+ */
+export async function createContactSheet(frames, tileSize = 256, background = { r: 0, g: 0, b: 0, alpha: 1 }) {
+  const columns = Math.ceil(Math.sqrt(frames.length));
+  const rows = Math.ceil(frames.length / columns);
+  
+  const composites = await Promise.all(frames.map(async (frame, index) => {
+    const tile = await sharp(frame.buffer)
+      .resize(tileSize, tileSize, { fit: 'contain', background })
+      .png()
+      .toBuffer();
+    
+    const label = frame.label ?? `${index + 1} · ${formatTimestamp(frame.timestamp)}`;
+    const labelSvg = `
+      <svg width="${tileSize}" height="${tileSize}" xmlns="http://www.w3.org/2000/svg">
+        <rect x="4" y="4" width="${label.length * 9 + 12}" height="24" fill="#000" fill-opacity="0.7"/>
+        <text x="10" y="21" font-family="Arial" font-size="15" fill="#fff">${escapeSvgText(label)}</text>
+      </svg>
+    `;
+    
+    const labelledTile = await sharp(tile)
+      .composite([{ input: Buffer.from(labelSvg), top: 0, left: 0 }])
+      .png()
+      .toBuffer();
+    
+    return {
+      input: labelledTile,
+      left: (index % columns) * tileSize,
+      top: Math.floor(index / columns) * tileSize
+    };
+  }));
+  
+  const buffer = await sharp({
+    create: {
+      width: columns * tileSize,
+      height: rows * tileSize,
+      channels: 4,
+      background
+    }
+  })
+    .composite(composites)
+    .png()
+    .toBuffer();
+  
+  return {
+    buffer,
+    layout: { columns, rows, tileSize }
+  };
+}
+
+function escapeSvgText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Formats a timestamp in seconds for frame labels (e.g. "1.5s", "1:02")
+ */
+export function formatTimestamp(seconds) {
+  if (seconds < 60) {
+    return `${seconds.toFixed(1)}s`;
+  }
+  const minutes = Math.floor(seconds / 60);
+  const remainder = Math.floor(seconds % 60).toString().padStart(2, '0');
+  return `${minutes}:${remainder}`;
+}
+
 /**
  * Rasterizes SVG to PNG using Sharp (simplified version)
  */
@@ -414,4 +640,4 @@ export async function cleanupTempFiles() {
 }
 
 // Schedule cleanup every hour
-setInterval(cleanupTempFiles, 60 * 60 * 1000);
+setInterval(cleanupTempFiles, 60 * 60 * 1000).unref();
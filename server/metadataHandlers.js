@@ -0,0 +1,104 @@
+import { validateChain, resolveChain } from './chains.js';
+import { getContractMetadata, getNftMetadata, getCollectionNfts } from './providers/index.js';
+import { validateContractAddress, validateTokenId } from './requestValidation.js';
+import { sendJson } from './http.js';
+
+// Production check
+const isProduction = process.env.NODE_ENV === 'production';
+
+// NFT metadata handlers. Paths keep the /api/alchemy prefix; the provider
+// layer decides whether data comes from Alchemy, the contract over JSON-RPC,
+// or both. `params` holds the path parameters.
+
+export async function handleContractMetadata(req, res, params) {
+  try {
+    const { contractAddress } = params;
+    const { chain } = req.query;
+
+    // Input validation
+    if (!validateContractAddress(contractAddress)) {
+      return sendJson(res, 400, { error: 'Please enter a valid contract address.' });
+    }
+
+    if (!validateChain(chain)) {
+      return sendJson(res, 400, { error: 'This chain is not supported.' });
+    }
+
+    const collection = await getContractMetadata({ chain: resolveChain(chain), contractAddress });
+    sendJson(res, 200, collection);
+  } catch (error) {
+    console.error('Error fetching contract metadata:', error);
+    const errorMessage = isProduction ? 'Collection information not available.' : error.message;
+    sendJson(res, 500, { error: errorMessage });
+  }
+}
+
+export async function handleNftMetadata(req, res, params) {
+  try {
+    const { contractAddress, tokenId } = params;
+    const { chain } = req.query;
+
+    // Input validation
+    if (!validateContractAddress(contractAddress)) {
+      return sendJson(res, 400, { error: 'Please enter a valid contract address.' });
+    }
+
+    if (!validateTokenId(tokenId)) {
+      return sendJson(res, 400, { error: 'Please enter a valid token ID.' });
+    }
+
+    if (!validateChain(chain)) {
+      return sendJson(res, 400, { error: 'This chain is not supported.' });
+    }
+
+    const nft = await getNftMetadata({ chain: resolveChain(chain), contractAddress, tokenId });
+    sendJson(res, 200, nft);
+  } catch (error) {
+    console.error('Error fetching NFT metadata:', error);
+    const errorMessage = isProduction ? 'NFT information not available.' : error.message;
+    sendJson(res, 500, { error: errorMessage });
+  }
+}
+
+export async function handleCollectionNfts(req, res, params) {
+  try {
+    const { contractAddress } = params;
+    const { pageKey, limit = 100, chain } = req.query;
+
+    // Input validation
+    if (!validateContractAddress(contractAddress)) {
+      return sendJson(res, 400, { error: 'Please enter a valid contract address.' });
+    }
+
+    if (!validateChain(chain)) {
+      return sendJson(res, 400, { error: 'This chain is not supported.' });
+    }
+
+    // Validate limit parameter
+    const limitNum = parseInt(limit);
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+      return sendJson(res, 400, { error: 'Please use a limit between 1 and 100.' });
+    }
+
+    const page = await getCollectionNfts({
+      chain: resolveChain(chain),
+      contractAddress,
+      pageKey: pageKey && typeof pageKey === 'string' ? pageKey : undefined,
+      limit: limitNum
+    });
+    sendJson(res, 200, page);
+  } catch (error) {
+    console.error('Error fetching collection NFTs:', error);
+    const errorMessage = isProduction ? 'Collection NFTs not available.' : error.message;
+    sendJson(res, 500, { error: errorMessage });
+  }
+}
+
+export function handleHealth(req, res) {
+  sendJson(res, 200, {
+    status: 'OK',
+    message: 'ChainGallery Backend is running',
+    timestamp: new Date().toISOString(),
+    environment: isProduction ? 'production' : 'development'
+  });
+}
@@ -0,0 +1,81 @@
+import { getMockMediaOrigin, MOCK_MEDIA_PATH } from './mockMode.js';
+
+// Inline SVG, delivered as OpenSea-style image_data (a data: URI once normalized)
+const INLINE_SVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="240" height="240"><rect width="24" height="24" fill="#638596"/><rect x="7" y="5" width="10" height="14" fill="#dbb180"/><rect x="9" y="9" width="2" height="2" fill="#000"/><rect x="13" y="9" width="2" height="2" fill="#000"/><rect x="10" y="15" width="4" height="1" fill="#5c3a21"/></svg>';
+
+// One template per media type the pipeline handles
+const MEDIA_TEMPLATES = [
+  { name: 'Sunset Relay', file: 'sunset.png', medium: 'Gradient', description: 'A low sun sinking into a still harbour.' },
+  { name: 'Orbit Study', file: 'orbit.gif', medium: 'Animation', description: 'A small moon crossing its frame in six steps.' },
+  { name: 'Glyph', file: 'glyph.svg', medium: 'Vector', description: 'Concentric shapes drawn as a single sigil.' },
+  { name: 'Pulse Loop', file: 'pulse.mp4', medium: 'Video', description: 'A short loop of a drifting light.' },
+  { name: 'Low Hum', file: 'hum.mp3', medium: 'Sound', description: 'Two seconds of near silence.' },
+  { name: 'Inline Face', imageData: INLINE_SVG, medium: 'Pixel', description: 'An on-chain portrait stored as SVG.' }
+];
+
+const PALETTES = ['Dusk', 'Ember', 'Glacier', 'Moss'];
+
+function mediaUrl(file) {
+  return `${getMockMediaOrigin()}${MOCK_MEDIA_PATH}/${file}`;
+}
+
+function horizonsToken(tokenId) {
+  const template = MEDIA_TEMPLATES[(tokenId - 1) % MEDIA_TEMPLATES.length];
+  const url = template.file ? mediaUrl(template.file) : undefined;
+  const timeBased = template.medium === 'Video' || template.medium === 'Sound';
+
+  return {
+    tokenId: String(tokenId),
+    metadata: {
+      name: `${template.name} #${tokenId}`,
+      description: template.description,
+      image: url,
+      image_data: template.imageData,
+      animation_url: timeBased ? url : undefined,
+      attributes: [
+        { trait_type: 'Medium', value: template.medium },
+        { trait_type: 'Palette', value: PALETTES[tokenId % PALETTES.length] },
+        { trait_type: 'Edition', value: Math.ceil(tokenId / MEDIA_TEMPLATES.length) }
+      ]
+    }
+  };
+}
+
+/**
+ * Fixture collections for MOCK_PROVIDERS mode. Built on each call because
+ * media URLs depend on the server's port.
+ *
+ * The Mock Failures tokens carry a `mock_gemini` trait that the fake Gemini
+ * acts on: `rate_limit` (429), `stream_error` (fails mid-stream) or
+ * `invalid_json` (malformed structured analysis). Any NFT sent to the Gemini
+ * routes can use the same trait.
+ */
+export function getMockCollections() {
+  return [
+    {
+      address: '0x00000000000000000000000000000000000c0de1',
+      name: 'Mock Horizons',
+      slug: 'mock-horizons',
+      symbol: 'MOCKH',
+      tokenType: 'ERC721',
+      description: 'Fixture collection covering every media type the describer handles.',
+      imageUrl: mediaUrl('sunset.png'),
+      tokens: Array.from({ length: 24 }, (_, index) => horizonsToken(index + 1))
+    },
+    {
+      address: '0x00000000000000000000000000000000000c0de2',
+      name: 'Mock Failures',
+      slug: 'mock-failures',
+      symbol: 'MOCKF',
+      tokenType: 'ERC721',
+      description: 'Fixture tokens that make the fake Gemini and media pipeline fail on purpose.',
+      imageUrl: null,
+      tokens: [
+        { tokenId: '1', metadata: { name: 'Rate Limited', description: 'Gemini answers with a 429.', image: mediaUrl('sunset.png'), attributes: [{ trait_type: 'mock_gemini', value: 'rate_limit' }] } },
+        { tokenId: '2', metadata: { name: 'Broken Stream', description: 'Gemini fails after a few words.', image: mediaUrl('orbit.gif'), attributes: [{ trait_type: 'mock_gemini', value: 'stream_error' }] } },
+        { tokenId: '3', metadata: { name: 'Garbled Analysis', description: 'Gemini returns malformed analysis JSON.', image: mediaUrl('glyph.svg'), attributes: [{ trait_type: 'mock_gemini', value: 'invalid_json' }] } },
+        { tokenId: '4', metadata: { name: 'Missing Media', description: 'The media file does not exist.', image: mediaUrl('missing.png'), attributes: [] } }
+      ]
+    }
+  ];
+}
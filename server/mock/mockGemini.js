@@ -0,0 +1,138 @@
+import { sha256 } from '../lruCache.js';
+
+// Delay between streamed chunks, so clients see a real stream
+const CHUNK_DELAY_MS = parseInt(process.env.MOCK_GEMINI_DELAY_MS || '') || 40;
+
+const OPENINGS = [
+  'Light settles across the piece like a held breath',
+  'Colour gathers at the centre and leaks outward',
+  'Quiet geometry holds the frame together',
+  'Everything here leans toward a distant horizon'
+];
+
+const CLOSINGS = [
+  'and the work seems to wait for whoever looks next.',
+  'leaving a calm that lingers after the image is gone.',
+  'as if the scene were remembered rather than seen.',
+  'turning a small canvas into a wide, open room.'
+];
+
+/**
+ * Creates the error the real SDK throws for an HTTP error status
+ */
+function createApiError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Reads the fenced NFT (or collection) metadata back out of a prompt's text parts
+ */
+function readPromptMetadata(contents) {
+  const text = (contents?.parts || []).map(part => part.text || '').join('\n');
+  const json = text.match(/<(nft|collection)_metadata>\n([\s\S]*?)\n<\/\1_metadata>/)?.[2];
+  let metadata = {};
+  try {
+    metadata = json ? JSON.parse(json) : {};
+  } catch {
+    // Fall through with empty metadata
+  }
+  const behavior = metadata.traits?.find(trait => trait.type === 'mock_gemini')?.value || null;
+  return { text, metadata, behavior };
+}
+
+function usageFor(promptText, outputText) {
+  const promptTokenCount = Math.ceil(promptText.length / 4);
+  const candidatesTokenCount = Math.ceil(outputText.length / 4);
+  return { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount };
+}
+
+/**
+ * Deterministic description: the same prompt always yields the same text
+ */
+function describe(promptText, metadata) {
+  const hash = parseInt(sha256(promptText).slice(0, 8), 16);
+  const name = metadata.name || 'this piece';
+  return `${OPENINGS[hash % OPENINGS.length]} in ${name}, ${CLOSINGS[(hash >>> 4) % CLOSINGS.length]} (Mock description.)`;
+}
+
+function analyze(metadata) {
+  return {
+    subjects: [metadata.name || 'artwork', ...(metadata.traits || []).map(trait => trait.value)].slice(0, 3),
+    dominantColors: [
+      { name: 'deep blue', hex: '#1d2671' },
+      { name: 'amber', hex: '#f7b733' }
+    ],
+    medium: metadata.traits?.find(trait => trait.type === 'Medium')?.value || 'digital',
+    style: 'mock',
+    moodTags: ['calm', 'still'],
+    visibleText: [],
+    altText: `Mock alt text for ${metadata.name || 'this NFT'}.`
+  };
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function* streamText(promptText, outputText, { failMidStream, signal }) {
+  const words = outputText.split(' ');
+  for (let index = 0; index < words.length; index += 4) {
+    await delay(CHUNK_DELAY_MS, signal);
+    if (failMidStream && index >= 8) {
+      throw createApiError(500, 'Mock Gemini stream interrupted');
+    }
+    const last = index + 4 >= words.length;
+    yield {
+      text: words.slice(index, index + 4).join(' ') + (last ? '' : ' '),
+      usageMetadata: last ? usageFor(promptText, outputText) : undefined
+    };
+  }
+}
+
+/**
+ * Creates a stand-in for the GoogleGenAI client with the two calls the
+ * handlers use. A `mock_gemini` trait in the NFT's metadata selects failures:
+ * `rate_limit`, `stream_error` or `invalid_json`.
+ */
+export function createMockGemini() {
+  return {
+    models: {
+      async generateContentStream({ contents, config = {} }) {
+        const { text, metadata, behavior } = readPromptMetadata(contents);
+        config.abortSignal?.throwIfAborted();
+        if (behavior === 'rate_limit') {
+          throw createApiError(429, 'Mock Gemini rate limit');
+        }
+        return streamText(text, describe(text, metadata), {
+          failMidStream: behavior === 'stream_error',
+          signal: config.abortSignal
+        });
+      },
+
+      async generateContent({ contents, config = {} }) {
+        const { text, metadata, behavior } = readPromptMetadata(contents);
+        await delay(CHUNK_DELAY_MS, config.abortSignal);
+        if (behavior === 'rate_limit') {
+          throw createApiError(429, 'Mock Gemini rate limit');
+        }
+
+        const output = config.responseMimeType === 'application/json'
+          ? (behavior === 'invalid_json' ? '{"subjects": [' : JSON.stringify(analyze(metadata)))
+          : describe(text, metadata);
+        return { text: output, usageMetadata: usageFor(text, output) };
+      }
+    }
+  };
+}
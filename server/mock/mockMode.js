@@ -0,0 +1,35 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Fixture media files served by the Express server in mock mode
+export const MOCK_MEDIA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'media');
+export const MOCK_MEDIA_PATH = '/mock-media';
+
+/**
+ * Whether MOCK_PROVIDERS swaps Alchemy/RPC and Gemini for local fixtures
+ */
+export function isMockMode() {
+  return process.env.MOCK_PROVIDERS === 'true';
+}
+
+/**
+ * Origin fixture media URLs point at: this server, on the loopback address
+ */
+export function getMockMediaOrigin() {
+  return process.env.MOCK_MEDIA_ORIGIN || `http://127.0.0.1:${process.env.PORT || 3001}`;
+}
+
+/**
+ * Whether a URL is one of this server's fixture media files. In mock mode
+ * these are the only loopback URLs media fetches may reach.
+ */
+export function isMockMediaUrl(url) {
+  if (!isMockMode()) return false;
+
+  try {
+    const urlObj = new URL(url);
+    return urlObj.origin === getMockMediaOrigin() && urlObj.pathname.startsWith(`${MOCK_MEDIA_PATH}/`);
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,198 @@
+import { resolveGatewayUrl } from './gatewayResolver.js';
+
+/**
+ * API response shapes. Clients depend on these, never on the upstream
+ * provider's layout, so provider changes (e.g. Alchemy v2 -> v3) stay internal.
+ *
+ * @typedef {Object} NftAttribute
+ * @property {string} key - Trait type
+ * @property {string} value - Trait value (numbers are stringified)
+ *
+ * @typedef {Object} Nft
+ * @property {string} contractAddress - Lowercase contract address
+ * @property {string} tokenId - Decimal token ID
+ * @property {'ERC721'|'ERC1155'|null} tokenType
+ * @property {string} name - Token name, or "Token #<id>" when missing
+ * @property {string} description
+ * @property {string} image - HTTP URL for display and analysis ('' when none)
+ * @property {string|null} imageRaw - Image URL as stored in the metadata (may be ipfs://, ar:// or data:)
+ * @property {string|null} animationUrl - HTTP URL of the animation/video/audio, if any
+ * @property {string|null} animationUrlRaw - Animation URL as stored in the metadata
+ * @property {string|null} thumbnailUrl - Small preview image, if the provider has one
+ * @property {NftAttribute[]} attributes
+ *
+ * @typedef {Object} Collection
+ * @property {string} address - Lowercase contract address
+ * @property {string} chain
+ * @property {string|null} name
+ * @property {string|null} symbol
+ * @property {'ERC721'|'ERC1155'|null} tokenType
+ * @property {number|null} totalSupply
+ * @property {string|null} deployer
+ * @property {number|null} deployedBlockNumber
+ * @property {string|null} description
+ * @property {string|null} imageUrl
+ * @property {string|null} slug - Marketplace (OpenSea) slug, when known
+ *
+ * @typedef {Object} NftPage
+ * @property {Nft[]} nfts
+ * @property {string|null} nextPageKey - Pass back as `pageKey` for the next page
+ */
+
+/**
+ * Converts a hex or decimal token ID to a decimal string (BigInt-safe)
+ */
+export function toDecimalTokenId(tokenId) {
+  if (tokenId === undefined || tokenId === null || tokenId === '') return '0';
+  try {
+    return BigInt(String(tokenId)).toString();
+  } catch {
+    return String(tokenId);
+  }
+}
+
+function normalizeTokenType(tokenType) {
+  const normalized = typeof tokenType === 'string' ? tokenType.toUpperCase() : '';
+  return normalized === 'ERC721' || normalized === 'ERC1155' ? normalized : null;
+}
+
+function toHttpUrl(url) {
+  return url ? resolveGatewayUrl(url) : null;
+}
+
+function firstString(...values) {
+  return values.find(value => typeof value === 'string' && value.trim() !== '') || null;
+}
+
+/**
+ * Normalizes an Alchemy NFT (v2, with v3 field fallbacks) into our Nft shape
+ * @returns {Nft}
+ */
+export function normalizeAlchemyNft(raw) {
+  const metadata = raw?.metadata && typeof raw.metadata === 'object' ? raw.metadata : {};
+  const tokenId = toDecimalTokenId(raw?.id?.tokenId ?? raw?.tokenId);
+  const media = Array.isArray(raw?.media) ? raw.media[0] || {} : {};
+
+  const imageRaw = firstString(metadata.image, metadata.image_url, media.raw, raw?.image?.originalUrl);
+
+  // Prefer provider-cached URLs over raw data URLs for display performance
+  const displayImage = firstString(
+    raw?.image?.cachedUrl,
+    raw?.image?.pngUrl,
+    raw?.image?.thumbnailUrl,
+    media.gateway,
+    media.thumbnail,
+    imageRaw
+  );
+
+  const animationUrlRaw = firstString(metadata.animation_url, raw?.animation?.originalUrl);
+
+  return {
+    contractAddress: (raw?.contract?.address || '').toLowerCase(),
+    tokenId,
+    tokenType: normalizeTokenType(raw?.id?.tokenMetadata?.tokenType || raw?.tokenType || raw?.contractMetadata?.tokenType),
+    name: firstString(raw?.title, metadata.name, raw?.name) || `Token #${tokenId}`,
+    description: firstString(metadata.description, raw?.description) || '',
+    image: toHttpUrl(displayImage) || '',
+    imageRaw,
+    animationUrl: toHttpUrl(raw?.animation?.cachedUrl || animationUrlRaw),
+    animationUrlRaw,
+    thumbnailUrl: firstString(raw?.image?.thumbnailUrl, media.thumbnail),
+    attributes: normalizeAttributes(metadata.attributes)
+  };
+}
+
+/**
+ * Normalizes token metadata JSON (as resolved from tokenURI/uri) into our Nft shape
+ * @returns {Nft}
+ */
+export function normalizeTokenMetadata({ contractAddress, tokenId, tokenType, metadata }) {
+  const json = metadata && typeof metadata === 'object' ? metadata : {};
+  const decimalTokenId = toDecimalTokenId(tokenId);
+  const imageRaw = firstString(json.image, json.image_url, json.image_data && svgToDataUri(json.image_data));
+  const animationUrlRaw = firstString(json.animation_url);
+
+  return {
+    contractAddress: contractAddress.toLowerCase(),
+    tokenId: decimalTokenId,
+    tokenType: normalizeTokenType(tokenType),
+    name: firstString(json.name) || `Token #${decimalTokenId}`,
+    description: firstString(json.description) || '',
+    image: toHttpUrl(imageRaw) || '',
+    imageRaw,
+    animationUrl: toHttpUrl(animationUrlRaw),
+    animationUrlRaw,
+    thumbnailUrl: null,
+    attributes: normalizeAttributes(json.attributes)
+  };
+}
+
+/**
+ * Wraps inline SVG markup (OpenSea's image_data) in a data URI
+ */
+function svgToDataUri(svg) {
+  return typeof svg === 'string' && svg.trim().startsWith('<svg')
+    ? `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`
+    : null;
+}
+
+function normalizeAttributes(attributes) {
+  return Array.isArray(attributes)
+    ? attributes
+        .filter(attr => attr && typeof attr === 'object' && attr.value !== undefined && attr.value !== null)
+        .map(attr => ({
+          key: String(attr.trait_type ?? attr.key ?? ''),
+          value: String(attr.value)
+        }))
+    : [];
+}
+
+/**
+ * Normalizes Alchemy contract metadata (v2, with v3 field fallbacks) into our Collection shape
+ * @returns {Collection}
+ */
+export function normalizeAlchemyContract(raw, chain) {
+  const contract = raw?.contractMetadata && typeof raw.contractMetadata === 'object' ? raw.contractMetadata : raw || {};
+  const openSea = contract.openSea || contract.openSeaMetadata || {};
+
+  const totalSupply = parseInt(contract.totalSupply ?? contract.supply, 10);
+  const deployedBlockNumber = parseInt(contract.deployedBlockNumber, 10);
+
+  return {
+    address: (raw?.address || contract.address || '').toLowerCase(),
+    chain,
+    name: firstString(contract.name, openSea.collectionName),
+    symbol: firstString(contract.symbol),
+    tokenType: normalizeTokenType(contract.tokenType),
+    totalSupply: Number.isFinite(totalSupply) && totalSupply > 0 ? totalSupply : null,
+    deployer: firstString(contract.contractDeployer),
+    deployedBlockNumber: Number.isFinite(deployedBlockNumber) ? deployedBlockNumber : null,
+    description: firstString(openSea.description),
+    imageUrl: toHttpUrl(firstString(openSea.imageUrl)),
+    slug: firstString(openSea.collectionSlug)
+  };
+}
+
+/**
+ * Normalizes Alchemy searchContractMetadata results (a list in v2,
+ * `{ contracts }` in v3) into Collections
+ * @returns {Collection[]}
+ */
+export function normalizeAlchemyContractSearch(raw, chain) {
+  const contracts = Array.isArray(raw) ? raw : Array.isArray(raw?.contracts) ? raw.contracts : [];
+  return contracts
+    .map(contract => normalizeAlchemyContract(contract, chain))
+    .filter(collection => /^0x[a-f0-9]{40}$/.test(collection.address));
+}
+
+/**
+ * Normalizes an Alchemy getNFTsForCollection page into our NftPage shape
+ * @returns {NftPage}
+ */
+export function normalizeAlchemyNftPage(raw) {
+  const nfts = Array.isArray(raw?.nfts) ? raw.nfts.map(normalizeAlchemyNft) : [];
+  return {
+    nfts,
+    nextPageKey: firstString(raw?.nextToken, raw?.pageKey)
+  };
+}
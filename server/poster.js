@@ -0,0 +1,179 @@
+import sharp from 'sharp';
+import path from 'path';
+import QRCode from 'qrcode';
+import { getArtwork } from './thumbnails.js';
+import { renderTextBlock } from './textRender.js';
+import { createLruCache, sha256 } from './lruCache.js';
+import { DATA_DIR } from './dataDirectory.js';
+
+/**
+ * Poster presets: pixel size, the share of the height the artwork may take,
+ * and the PDF page size in points (1/72 inch)
+ */
+export const POSTER_SIZES = {
+  square: { width: 2048, height: 2048, artwork: 0.42, pageWidth: 576, pageHeight: 576 }, // 8 x 8 in
+  a4: { width: 2480, height: 3508, artwork: 0.5, pageWidth: 595.28, pageHeight: 841.89 }, // 300 dpi
+  story: { width: 1440, height: 2560, artwork: 0.5, pageWidth: 405, pageHeight: 720 } // 9:16
+};
+export const DEFAULT_POSTER_SIZE = 'a4';
+
+export const POSTER_FORMATS = ['png', 'pdf'];
+export const DEFAULT_POSTER_FORMAT = 'png';
+
+const MIME_TYPES = { png: 'image/png', pdf: 'application/pdf' };
+const MUTED_COLOR = '#555555';
+
+// Finished posters, keyed by everything drawn on them
+const posterCache = createLruCache({
+  name: 'Poster',
+  maxBytes: 64 * 1024 * 1024, // 64MB
+  maxDiskBytes: 256 * 1024 * 1024, // 256MB
+  ttl: 24 * 60 * 60 * 1000, // 1 day
+  directory: path.join(DATA_DIR, 'cache', 'posters')
+});
+
+/**
+ * Draws a QR code as a square PNG with crisp modules
+ */
+async function renderQrCode(text, size) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const pixels = Buffer.alloc(modules.size * modules.size);
+  for (let i = 0; i < pixels.length; i++) {
+    pixels[i] = modules.data[i] ? 0x11 : 0xff;
+  }
+
+  return sharp(pixels, { raw: { width: modules.size, height: modules.size, channels: 1 } })
+    .resize(size, size, { kernel: 'nearest' })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Wraps a JPEG in a one-page PDF, scaled to fill the page
+ */
+function createImagePdf(jpeg, { width, height, pageWidth, pageHeight }) {
+  const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Poster Do Q`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Poster 4 0 R >> >> /Contents 5 0 R >>`,
+    [
+      `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+      jpeg,
+      '\nendstream'
+    ],
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+  ];
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let offset = chunks[0].length;
+  const offsets = [];
+
+  objects.forEach((object, index) => {
+    offsets.push(offset);
+    const parts = [`${index + 1} 0 obj\n`, ...[object].flat(), '\nendobj\n'];
+    for (const part of parts) {
+      const chunk = Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1');
+      chunks.push(chunk);
+      offset += chunk.length;
+    }
+  });
+
+  // Cross-reference entries are exactly 20 bytes each
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map((start) => `${String(start).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    'startxref',
+    String(offset),
+    '%%EOF\n'
+  ].join('\n');
+  chunks.push(Buffer.from(xref, 'latin1'));
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Gets a printable poster ({ buffer, mimeType }) for an NFT: the artwork,
+ * title, collection name and token ID, the description wrapped to fit, and
+ * a QR code back to its share URL. `size` is a POSTER_SIZES key; `format`
+ * is png or pdf.
+ */
+export async function getPoster(
+  { name, tokenId, collectionName, description, imageUrl, shareUrl },
+  { size = DEFAULT_POSTER_SIZE, format = DEFAULT_POSTER_FORMAT, signal } = {}
+) {
+  const cacheKey = sha256(JSON.stringify([size, format, name, tokenId, collectionName, description, imageUrl, shareUrl]));
+  const cached = await posterCache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const preset = POSTER_SIZES[size];
+  const { width, height } = preset;
+  const unit = width / 100;
+  const margin = Math.round(6 * unit);
+  const textWidth = width - 2 * margin;
+  const font = (scale) => `sans ${Math.round(scale * unit)}`;
+
+  const artworkSize = Math.round(Math.min(textWidth, height * preset.artwork));
+  const artwork = await getArtwork(imageUrl, artworkSize, { signal, quality: 90 });
+  signal?.throwIfAborted();
+
+  // Footer: the QR code on the right, the site and link on its left
+  const qrSize = Math.round(14 * unit);
+  const qrCode = await renderQrCode(shareUrl, qrSize);
+  const footerTop = height - margin - qrSize;
+  const footerTextWidth = textWidth - qrSize - Math.round(3 * unit);
+  const brand = await renderTextBlock('CHAINGALLERY', { font: font(2.2), width: footerTextWidth, weight: 'bold', maxHeight: qrSize });
+  const link = await renderTextBlock(shareUrl, { font: font(1.4), width: footerTextWidth, color: MUTED_COLOR, maxHeight: qrSize - (brand ? brand.height : 0) - unit });
+
+  // Text under the artwork, top down; the description gets whatever room is left
+  let top = margin + artworkSize + Math.round(4 * unit);
+  const title = await renderTextBlock(name, { font: font(4.5), width: textWidth, weight: 'bold', maxHeight: Math.round(14 * unit) });
+  const titleTop = top;
+  top += title ? title.height + Math.round(unit) : 0;
+
+  const subtitle = await renderTextBlock(collectionName ? `${collectionName} · #${tokenId}` : `#${tokenId}`, {
+    font: font(2.4),
+    width: textWidth,
+    color: MUTED_COLOR,
+    maxHeight: Math.round(8 * unit)
+  });
+  const subtitleTop = top;
+  top += subtitle ? subtitle.height + Math.round(3 * unit) : 0;
+
+  const body = await renderTextBlock(description, {
+    font: font(2.2),
+    width: textWidth,
+    maxHeight: footerTop - Math.round(3 * unit) - top
+  });
+
+  const layers = [
+    { input: artwork, left: Math.round((width - artworkSize) / 2), top: margin },
+    title && { input: title.buffer, left: margin, top: titleTop },
+    subtitle && { input: subtitle.buffer, left: margin, top: subtitleTop },
+    body && { input: body.buffer, left: margin, top },
+    brand && { input: brand.buffer, left: margin, top: height - margin - brand.height - (link ? link.height + Math.round(unit / 2) : 0) },
+    link && { input: link.buffer, left: margin, top: height - margin - link.height },
+    { input: qrCode, left: width - margin - qrSize, top: footerTop }
+  ].filter(Boolean);
+
+  const canvas = sharp({
+    create: { width, height, channels: 3, background: '#ffffff' }
+  }).composite(layers);
+
+  let poster;
+  if (format === 'pdf') {
+    const jpeg = await canvas.jpeg({ quality: 90 }).toBuffer();
+    poster = { buffer: createImagePdf(jpeg, preset), mimeType: MIME_TYPES.pdf };
+  } else {
+    poster = { buffer: await canvas.png().toBuffer(), mimeType: MIME_TYPES.png };
+  }
+
+  await posterCache.set(cacheKey, poster);
+  return poster;
+}
@@ -0,0 +1,64 @@
+import fetch from 'node-fetch';
+import { getAlchemyNftBaseUrl, resolveChain } from '../chains.js';
+import { normalizeAlchemyNft, normalizeAlchemyContract, normalizeAlchemyContractSearch, normalizeAlchemyNftPage } from '../nftNormalizer.js';
+
+/**
+ * Fetches JSON from the Alchemy NFT API
+ */
+async function fetchAlchemy(chain, path) {
+  if (!process.env.ALCHEMY_API_KEY) {
+    throw new Error('Alchemy API key not configured');
+  }
+
+  const url = `${getAlchemyNftBaseUrl(chain, process.env.ALCHEMY_API_KEY)}${path}`;
+
+  const response = await fetch(url, {
+    timeout: 10000,
+    headers: {
+      'User-Agent': 'ChainGallery/1.0'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Alchemy API request failed with status ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Gets collection metadata from Alchemy's indexer
+ */
+export async function getContractMetadata({ chain, contractAddress }) {
+  const data = await fetchAlchemy(chain, `/getContractMetadata?contractAddress=${contractAddress}`);
+  return normalizeAlchemyContract(data, resolveChain(chain));
+}
+
+/**
+ * Gets token metadata from Alchemy's indexer
+ */
+export async function getNftMetadata({ chain, contractAddress, tokenId }) {
+  const data = await fetchAlchemy(chain, `/getNFTMetadata?contractAddress=${contractAddress}&tokenId=${tokenId}`);
+  return normalizeAlchemyNft(data);
+}
+
+/**
+ * Gets one page of a collection's tokens from Alchemy's indexer
+ */
+export async function getCollectionNfts({ chain, contractAddress, pageKey, limit }) {
+  let path = `/getNFTsForCollection?contractAddress=${contractAddress}&withMetadata=true&limit=${limit}`;
+  if (pageKey) {
+    path += `&startToken=${encodeURIComponent(pageKey)}`;
+  }
+
+  const data = await fetchAlchemy(chain, path);
+  return normalizeAlchemyNftPage(data);
+}
+
+/**
+ * Searches Alchemy's indexer for collections by name
+ */
+export async function searchCollections({ chain, query }) {
+  const data = await fetchAlchemy(chain, `/searchContractMetadata?query=${encodeURIComponent(query)}`);
+  return normalizeAlchemyContractSearch(data, resolveChain(chain));
+}
@@ -0,0 +1,105 @@
+import * as alchemyProvider from './alchemyProvider.js';
+import * as rpcProvider from './rpcProvider.js';
+import * as mockProvider from './mockProvider.js';
+import { isMockMode } from '../mock/mockMode.js';
+
+// Production check
+const isProduction = process.env.NODE_ENV === 'production';
+
+// NFT_METADATA_PROVIDER selects where metadata comes from:
+// - 'alchemy': Alchemy's indexer only (default)
+// - 'rpc': direct tokenURI/uri resolution over JSON-RPC only
+// - 'alchemy_rpc_fallback': Alchemy first, RPC when Alchemy fails or has no media
+// MOCK_PROVIDERS=true overrides it with local fixtures ('mock').
+export const PROVIDER_MODES = ['alchemy', 'rpc', 'alchemy_rpc_fallback'];
+
+/**
+ * Gets the configured provider mode
+ */
+export function getProviderMode() {
+  if (isMockMode()) return 'mock';
+  const mode = process.env.NFT_METADATA_PROVIDER;
+  return PROVIDER_MODES.includes(mode) ? mode : 'alchemy';
+}
+
+/**
+ * Whether the configured mode needs an Alchemy API key
+ */
+export function requiresAlchemy() {
+  return !['rpc', 'mock'].includes(getProviderMode());
+}
+
+// Methods plain JSON-RPC cannot serve (rpcProvider always throws for them).
+// In fallback mode they stay on Alchemy, so its own error reaches the client.
+const ALCHEMY_ONLY_METHODS = ['getCollectionNfts', 'searchCollections'];
+
+/**
+ * Runs a provider method according to the configured mode.
+ * `isIncomplete` decides whether an Alchemy result should still fall back.
+ */
+async function withProviders(method, args, isIncomplete = () => false) {
+  const mode = getProviderMode();
+
+  if (mode === 'mock') {
+    return mockProvider[method](args);
+  }
+
+  if (mode === 'rpc') {
+    return rpcProvider[method](args);
+  }
+
+  if (mode === 'alchemy' || ALCHEMY_ONLY_METHODS.includes(method)) {
+    return alchemyProvider[method](args);
+  }
+
+  let alchemyResult;
+  try {
+    alchemyResult = await alchemyProvider[method](args);
+    if (!isIncomplete(alchemyResult)) {
+      return alchemyResult;
+    }
+  } catch (error) {
+    if (!isProduction) {
+      console.warn(`Alchemy ${method} failed, falling back to RPC:`, error.message);
+    }
+  }
+
+  try {
+    return await rpcProvider[method](args);
+  } catch (error) {
+    // A partial Alchemy result is still better than nothing
+    if (alchemyResult) {
+      return alchemyResult;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Gets collection metadata
+ */
+export function getContractMetadata({ chain, contractAddress }) {
+  return withProviders('getContractMetadata', { chain, contractAddress }, collection => !collection.name && !collection.totalSupply);
+}
+
+/**
+ * Gets token metadata. Tokens the indexer has no media for (e.g. freshly
+ * revealed) are re-resolved from the contract in fallback mode.
+ */
+export function getNftMetadata({ chain, contractAddress, tokenId }) {
+  return withProviders('getNftMetadata', { chain, contractAddress, tokenId }, nft => !nft.image && !nft.imageRaw);
+}
+
+/**
+ * Gets one page of a collection's tokens
+ */
+export function getCollectionNfts({ chain, contractAddress, pageKey, limit }) {
+  return withProviders('getCollectionNfts', { chain, contractAddress, pageKey, limit });
+}
+
+/**
+ * Searches collections by name
+ */
+export function searchCollections({ chain, query }) {
+  return withProviders('searchCollections', { chain, query });
+}
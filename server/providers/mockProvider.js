@@ -0,0 +1,81 @@
+import { resolveChain } from '../chains.js';
+import { normalizeTokenMetadata } from '../nftNormalizer.js';
+import { getMockCollections } from '../mock/fixtures.js';
+
+/**
+ * Finds a fixture collection; any chain serves the same fixtures
+ */
+function findCollection(contractAddress) {
+  const collection = getMockCollections().find(({ address }) => address === contractAddress.toLowerCase());
+  if (!collection) {
+    throw new Error(`No mock collection at ${contractAddress}`);
+  }
+  return collection;
+}
+
+function toNft(collection, { tokenId, metadata }) {
+  return normalizeTokenMetadata({
+    contractAddress: collection.address,
+    tokenId,
+    tokenType: collection.tokenType,
+    metadata
+  });
+}
+
+/**
+ * Gets fixture collection metadata
+ */
+export async function getContractMetadata({ chain, contractAddress }) {
+  const collection = findCollection(contractAddress);
+
+  return {
+    address: collection.address,
+    chain: resolveChain(chain),
+    name: collection.name,
+    symbol: collection.symbol,
+    tokenType: collection.tokenType,
+    totalSupply: collection.tokens.length,
+    deployer: null,
+    deployedBlockNumber: null,
+    description: collection.description,
+    imageUrl: collection.imageUrl,
+    slug: collection.slug
+  };
+}
+
+/**
+ * Gets fixture token metadata
+ */
+export async function getNftMetadata({ contractAddress, tokenId }) {
+  const collection = findCollection(contractAddress);
+  const token = collection.tokens.find(entry => entry.tokenId === String(tokenId));
+  if (!token) {
+    throw new Error(`No mock token ${tokenId} in ${collection.name}`);
+  }
+  return toNft(collection, token);
+}
+
+/**
+ * Gets one page of fixture tokens. Page keys are token offsets.
+ */
+export async function getCollectionNfts({ contractAddress, pageKey, limit }) {
+  const collection = findCollection(contractAddress);
+  const start = parseInt(pageKey || '0', 10) || 0;
+  const end = start + limit;
+
+  return {
+    nfts: collection.tokens.slice(start, end).map(token => toNft(collection, token)),
+    nextPageKey: end < collection.tokens.length ? String(end) : null
+  };
+}
+
+/**
+ * Searches fixture collections by name, symbol or slug
+ */
+export async function searchCollections({ chain, query }) {
+  const text = query.toLowerCase();
+  const matches = getMockCollections().filter(({ name, symbol, slug }) =>
+    [name, symbol, slug].some(field => field.toLowerCase().includes(text))
+  );
+  return Promise.all(matches.map(({ address }) => getContractMetadata({ chain, contractAddress: address })));
+}
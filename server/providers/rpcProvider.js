@@ -0,0 +1,217 @@
+import fetch from 'node-fetch';
+import { getRpcUrl, resolveChain } from '../chains.js';
+import { normalizeTokenMetadata } from '../nftNormalizer.js';
+import { fetchWithGatewayFailover } from '../gatewayResolver.js';
+import { readBodyWithLimit } from '../mediaUtils.js';
+
+// Largest token metadata document we download
+const MAX_METADATA_BYTES = 1024 * 1024; // 1MB
+
+// Function selectors (first 4 bytes of keccak256 of the signature)
+const SELECTORS = {
+  tokenURI: '0xc87b56dd', // tokenURI(uint256) - ERC-721
+  uri: '0x0e89341c', // uri(uint256) - ERC-1155
+  name: '0x06fdde03', // name()
+  symbol: '0x95d89b41', // symbol()
+  totalSupply: '0x18160ddd' // totalSupply()
+};
+
+let rpcRequestId = 0;
+
+/**
+ * Sends a JSON-RPC request and returns its result
+ */
+export async function sendRpcRequest(rpcUrl, method, params) {
+  const response = await fetch(rpcUrl, {
+    method: 'POST',
+    timeout: 10000,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'ChainGallery/1.0'
+    },
+    body: JSON.stringify({ jsonrpc: '2.0', id: ++rpcRequestId, method, params })
+  });
+
+  if (!response.ok) {
+    throw new Error(`RPC request failed with status ${response.status}`);
+  }
+
+  const payload = await response.json();
+  if (payload.error) {
+    throw new Error(`RPC error: ${payload.error.message || payload.error.code}`);
+  }
+
+  return payload.result;
+}
+
+/**
+ * Sends a JSON-RPC request to the chain's configured RPC URL
+ */
+async function rpcRequest(chain, method, params) {
+  const rpcUrl = getRpcUrl(chain);
+  if (!rpcUrl) {
+    throw new Error(`No RPC URL configured for chain "${resolveChain(chain)}"`);
+  }
+  return sendRpcRequest(rpcUrl, method, params);
+}
+
+/**
+ * Calls a read-only contract function and returns the raw hex result
+ */
+async function ethCall(chain, contractAddress, data) {
+  const result = await rpcRequest(chain, 'eth_call', [{ to: contractAddress, data }, 'latest']);
+  if (typeof result !== 'string' || result === '0x') {
+    throw new Error('Contract call returned no data');
+  }
+  return result;
+}
+
+/**
+ * ABI-encodes a uint256 as 64 hex characters (no 0x prefix)
+ */
+export function encodeUint256(value) {
+  return BigInt(value).toString(16).padStart(64, '0');
+}
+
+/**
+ * Decodes an ABI-encoded string return value. Falls back to bytes32 for
+ * older contracts that return names and symbols that way.
+ */
+export function decodeAbiString(hex) {
+  const data = hex.startsWith('0x') ? hex.slice(2) : hex;
+
+  if (data.length === 64) {
+    return Buffer.from(data, 'hex').toString('utf8').replace(/\0+$/, '');
+  }
+
+  const offset = parseInt(data.slice(0, 64), 16) * 2;
+  const length = parseInt(data.slice(offset, offset + 64), 16) * 2;
+  return Buffer.from(data.slice(offset + 64, offset + 64 + length), 'hex').toString('utf8');
+}
+
+/**
+ * Applies the ERC-1155 {id} substitution: lowercase hex, zero-padded to 64 characters
+ */
+export function substituteTokenId(uri, tokenId) {
+  return uri.replace(/\{id\}/g, encodeUint256(tokenId));
+}
+
+/**
+ * Parses metadata from a data: URI (base64 or URL-encoded/plain JSON)
+ */
+export function parseDataUriJson(uri) {
+  const commaIndex = uri.indexOf(',');
+  if (commaIndex === -1) {
+    throw new Error('Invalid data URI');
+  }
+
+  const header = uri.slice(0, commaIndex);
+  const body = uri.slice(commaIndex + 1);
+
+  if (header.includes(';base64')) {
+    return JSON.parse(Buffer.from(body, 'base64').toString('utf8'));
+  }
+
+  try {
+    return JSON.parse(decodeURIComponent(body));
+  } catch {
+    // Many contracts emit raw JSON after "data:application/json;utf8,"
+    return JSON.parse(body);
+  }
+}
+
+/**
+ * Resolves a token URI to its metadata JSON
+ */
+async function fetchTokenMetadata(uri) {
+  if (uri.startsWith('data:')) {
+    return parseDataUriJson(uri);
+  }
+
+  const response = await fetchWithGatewayFailover(uri, {
+    timeout: 10000,
+    headers: {
+      'Accept': 'application/json',
+      'User-Agent': 'ChainGallery/1.0'
+    }
+  });
+
+  if (!response.ok) {
+    response.body?.destroy?.();
+    throw new Error(`Token metadata request failed with status ${response.status}`);
+  }
+
+  const body = await readBodyWithLimit(response, MAX_METADATA_BYTES, undefined, () =>
+    new Error(`Token metadata is larger than ${MAX_METADATA_BYTES / 1024}KB`)
+  );
+  return JSON.parse(body.toString('utf8'));
+}
+
+/**
+ * Reads the token URI, trying ERC-721 tokenURI first and then ERC-1155 uri
+ */
+async function getTokenUri(chain, contractAddress, tokenId) {
+  const encodedId = encodeUint256(tokenId);
+
+  try {
+    const result = await ethCall(chain, contractAddress, `${SELECTORS.tokenURI}${encodedId}`);
+    return { uri: decodeAbiString(result), tokenType: 'ERC721' };
+  } catch (erc721Error) {
+    try {
+      const result = await ethCall(chain, contractAddress, `${SELECTORS.uri}${encodedId}`);
+      return { uri: substituteTokenId(decodeAbiString(result), tokenId), tokenType: 'ERC1155' };
+    } catch {
+      throw new Error(`Token URI not available: ${erc721Error.message}`);
+    }
+  }
+}
+
+/**
+ * Gets token metadata directly from the contract
+ */
+export async function getNftMetadata({ chain, contractAddress, tokenId }) {
+  const { uri, tokenType } = await getTokenUri(chain, contractAddress, tokenId);
+  const metadata = await fetchTokenMetadata(uri.trim());
+
+  return normalizeTokenMetadata({ contractAddress, tokenId, tokenType, metadata });
+}
+
+/**
+ * Gets collection metadata directly from the contract. Optional functions
+ * (name, symbol, totalSupply) that revert are reported as null.
+ */
+export async function getContractMetadata({ chain, contractAddress }) {
+  const [name, symbol, totalSupply] = await Promise.all([
+    ethCall(chain, contractAddress, SELECTORS.name).then(decodeAbiString).catch(() => null),
+    ethCall(chain, contractAddress, SELECTORS.symbol).then(decodeAbiString).catch(() => null),
+    ethCall(chain, contractAddress, SELECTORS.totalSupply).then(result => Number(BigInt(result))).catch(() => null)
+  ]);
+
+  return {
+    address: contractAddress.toLowerCase(),
+    chain: resolveChain(chain),
+    name: name || null,
+    symbol: symbol || null,
+    tokenType: null,
+    totalSupply: totalSupply && totalSupply > 0 ? totalSupply : null,
+    deployer: null,
+    deployedBlockNumber: null,
+    description: null,
+    imageUrl: null,
+    slug: null
+  };
+}
+
+/**
+ * Contracts cannot be enumerated over plain JSON-RPC without an indexer
+ */
+export async function getCollectionNfts() {
+  throw new Error('Collection listing is not supported by the RPC provider');
+}
+
+/**
+ * Nor can they be searched by name
+ */
+export async function searchCollections() {
+  throw new Error('Collection search is not supported by the RPC provider');
+}
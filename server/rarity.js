@@ -0,0 +1,127 @@
+import { peekTraitIndex, getUniqueAttributes } from './traitIndex.js';
+
+// Traits held by at most this share of the collection are exceptionally rare
+export const RARE_TRAIT_FREQUENCY = 0.01;
+
+/**
+ * @typedef {Object} TraitRarity
+ * @property {string} traitType
+ * @property {string} value
+ * @property {number} count - Indexed tokens with this value
+ * @property {number} frequency - Share of indexed tokens with this value (0-1)
+ *
+ * @typedef {Object} RankedToken
+ * @property {string} tokenId
+ * @property {number} rank - 1 is the rarest; equal scores share a rank
+ * @property {number} statisticalScore - Product of the token's trait frequencies (lower is rarer)
+ * @property {number} traitCount - Number of traits the token has
+ * @property {number} traitCountScore - Share of tokens with the same number of traits (lower is rarer)
+ * @property {TraitRarity[]} traits - Rarest first
+ *
+ * @typedef {Object} CollectionRarity
+ * @property {string} chain
+ * @property {string} contractAddress
+ * @property {number} tokenCount
+ * @property {boolean} complete - False when scores cover only the indexed part of the collection
+ * @property {RankedToken[]} ranking - Rarest first
+ * @property {Map<string, RankedToken>} byTokenId
+ */
+
+// Scores depend only on the index, so they are computed once per index object
+const rarityByIndex = new WeakMap();
+
+/**
+ * Scores and ranks every indexed token. Tokens are ordered by statistical
+ * rarity, then by trait-count rarity for equal scores.
+ * @param {import('./traitIndex.js').TraitIndex} index
+ * @returns {CollectionRarity}
+ */
+function computeRarity(index) {
+  const { tokenCount } = index;
+
+  const valueCounts = new Map();
+  for (const { traitType, values } of index.traits) {
+    for (const { value, count } of values) {
+      valueCounts.set(`${traitType}\u0000${value}`, count);
+    }
+  }
+
+  const scored = index.tokens.map((nft) => {
+    const traits = getUniqueAttributes(nft)
+      .map(({ key, value }) => {
+        const count = valueCounts.get(`${key}\u0000${value}`) || 1;
+        return { traitType: key, value, count, frequency: count / tokenCount };
+      })
+      .sort((a, b) => a.frequency - b.frequency || a.traitType.localeCompare(b.traitType));
+
+    // Multiplying in a fixed order keeps equal trait sets at exactly equal scores
+    const statisticalScore = traits.reduce((score, trait) => score * trait.frequency, 1);
+    return { tokenId: nft.tokenId, statisticalScore, traitCount: traits.length, traits };
+  });
+
+  const traitCountTotals = new Map();
+  for (const { traitCount } of scored) {
+    traitCountTotals.set(traitCount, (traitCountTotals.get(traitCount) || 0) + 1);
+  }
+  for (const token of scored) {
+    token.traitCountScore = traitCountTotals.get(token.traitCount) / tokenCount;
+  }
+
+  const ranking = scored.sort((a, b) =>
+    a.statisticalScore - b.statisticalScore ||
+    a.traitCountScore - b.traitCountScore ||
+    a.tokenId.localeCompare(b.tokenId, undefined, { numeric: true })
+  );
+
+  // Competition ranking: tokens with equal scores share a rank
+  ranking.forEach((token, position) => {
+    const previous = ranking[position - 1];
+    const tied = previous &&
+      previous.statisticalScore === token.statisticalScore &&
+      previous.traitCountScore === token.traitCountScore;
+    token.rank = tied ? previous.rank : position + 1;
+  });
+
+  return {
+    chain: index.chain,
+    contractAddress: index.contractAddress,
+    tokenCount,
+    complete: index.complete,
+    ranking,
+    byTokenId: new Map(ranking.map((token) => [token.tokenId, token]))
+  };
+}
+
+/**
+ * Gets rarity scores and ranks for a collection from its built trait index
+ * @param {import('./traitIndex.js').TraitIndex} index
+ * @returns {CollectionRarity}
+ */
+export function getCollectionRarity(index) {
+  if (!rarityByIndex.has(index)) {
+    rarityByIndex.set(index, computeRarity(index));
+  }
+  return rarityByIndex.get(index);
+}
+
+/**
+ * Gets one token's rarity with its collection's size, or null when the
+ * collection has not been indexed yet (nothing is built here, so callers
+ * on the description path never wait for a collection walk)
+ */
+export async function peekTokenRarity({ chain, contractAddress, tokenId }) {
+  const index = await peekTraitIndex({ chain, contractAddress });
+  if (!index) return null;
+
+  const rarity = getCollectionRarity(index);
+  const token = rarity.byTokenId.get(String(tokenId));
+  return token ? { ...token, tokenCount: rarity.tokenCount, complete: rarity.complete } : null;
+}
+
+/**
+ * The token's exceptionally rare traits, rarest first
+ * @param {RankedToken} token
+ */
+export function getRareTraits(token) {
+  return token.traits.filter((trait) => trait.frequency <= RARE_TRAIT_FREQUENCY);
+}
@@ -0,0 +1,18 @@
+// Input validators shared by the route handlers
+
+export function validateContractAddress(address) {
+  return typeof address === 'string' && /^0x[a-fA-F0-9]{40}$/.test(address);
+}
+
+export function validateTokenId(tokenId) {
+  return /^\d+$/.test(tokenId) && parseInt(tokenId) >= 0;
+}
+
+export function validateImageUrl(url) {
+  try {
+    const urlObj = new URL(url);
+    return ['http:', 'https:', 'ipfs:', 'ar:', 'data:'].includes(urlObj.protocol);
+  } catch {
+    return false;
+  }
+}
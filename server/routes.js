@@ -0,0 +1,193 @@
+import {
+  sendJson,
+  runMiddleware,
+  securityHeaders,
+  corsMiddleware,
+  apiLimiter,
+  geminiLimiter,
+  mediaLimiter,
+  posterLimiter,
+  traitIndexLimiter,
+  appShellContentSecurityPolicy
+} from './http.js';
+import {
+  lookupCachedDescription,
+  lookupCachedAnalysis,
+  handleDescriptionStream,
+  handleAnalyzeNft,
+  lookupCachedEssay,
+  handleCollectionEssay
+} from './geminiHandlers.js';
+import {
+  handleContractMetadata,
+  handleNftMetadata,
+  handleCollectionNfts,
+  handleHealth
+} from './metadataHandlers.js';
+import {
+  lookupTraitIndex,
+  handleCollectionTraits,
+  handleCollectionTokens,
+  handleCollectionRarity,
+  handleCollectionSearch,
+  handleEnsLookup
+} from './collectionHandlers.js';
+import { handleThumbnail } from './mediaHandlers.js';
+import { handleSharePage, handleShareCard, handlePoster } from './shareHandlers.js';
+
+/**
+ * API routes shared by the Express server and the Vercel functions in api/.
+ * Each route lists its methods, route-specific middleware and a handler
+ * called as handler(req, res, pathParams).
+ */
+export const routes = {
+  streamDescription: {
+    path: '/api/gemini/stream-nft-description',
+    methods: ['POST'],
+    middleware: [lookupCachedDescription, geminiLimiter],
+    handler: handleDescriptionStream
+  },
+  analyzeNft: {
+    path: '/api/gemini/analyze-nft',
+    methods: ['POST'],
+    middleware: [lookupCachedAnalysis, geminiLimiter],
+    handler: handleAnalyzeNft
+  },
+  contractMetadata: {
+    path: '/api/alchemy/contract-metadata/:contractAddress',
+    methods: ['GET'],
+    middleware: [],
+    handler: handleContractMetadata
+  },
+  nftMetadata: {
+    path: '/api/alchemy/nft-metadata/:contractAddress/:tokenId',
+    methods: ['GET'],
+    middleware: [],
+    handler: handleNftMetadata
+  },
+  collectionNfts: {
+    path: '/api/alchemy/collection-nfts/:contractAddress',
+    methods: ['GET'],
+    middleware: [],
+    handler: handleCollectionNfts
+  },
+  collectionTraits: {
+    path: '/api/collections/:contractAddress/traits',
+    methods: ['GET'],
+    middleware: [lookupTraitIndex, traitIndexLimiter],
+    handler: handleCollectionTraits
+  },
+  collectionTokens: {
+    path: '/api/collections/:contractAddress/tokens',
+    methods: ['GET'],
+    middleware: [lookupTraitIndex, traitIndexLimiter],
+    handler: handleCollectionTokens
+  },
+  collectionRarity: {
+    path: '/api/collections/:contractAddress/rarity',
+    methods: ['GET'],
+    middleware: [lookupTraitIndex, traitIndexLimiter],
+    handler: handleCollectionRarity
+  },
+  collectionEssay: {
+    path: '/api/collections/:contractAddress/essay',
+    methods: ['GET'],
+    middleware: [lookupCachedEssay, lookupTraitIndex, traitIndexLimiter, geminiLimiter],
+    handler: handleCollectionEssay
+  },
+  collectionSearch: {
+    path: '/api/collections/search',
+    methods: ['GET'],
+    middleware: [],
+    handler: handleCollectionSearch
+  },
+  ensLookup: {
+    path: '/api/collections/resolve',
+    methods: ['GET'],
+    middleware: [],
+    handler: handleEnsLookup
+  },
+  thumbnail: {
+    path: '/api/media/thumbnail',
+    methods: ['GET'],
+    middleware: [mediaLimiter],
+    handler: handleThumbnail
+  },
+  sharePage: {
+    path: '/api/share/:contractAddress/:tokenId',
+    methods: ['GET'],
+    middleware: [appShellContentSecurityPolicy],
+    handler: handleSharePage
+  },
+  shareCard: {
+    path: '/api/share/:contractAddress/:tokenId/card',
+    methods: ['GET'],
+    middleware: [mediaLimiter],
+    handler: handleShareCard
+  },
+  poster: {
+    path: '/api/share/:contractAddress/:tokenId/poster',
+    methods: ['GET'],
+    middleware: [posterLimiter],
+    handler: handlePoster
+  },
+  health: {
+    path: '/api/health',
+    methods: ['GET'],
+    middleware: [],
+    handler: handleHealth
+  }
+};
+
+// Middleware every route runs first; the Express app installs the same list globally
+export const globalMiddleware = [securityHeaders, corsMiddleware, apiLimiter];
+
+function sendMethodNotAllowed(req, res) {
+  sendJson(res, 405, { error: 'Method not allowed' });
+}
+
+/**
+ * Express adapter: mounts every route on the app
+ */
+export function mountRoutes(app) {
+  for (const route of Object.values(routes)) {
+    // Express 4 does not catch rejected promises; pass them to the error handler
+    const handler = (req, res, next) => Promise.resolve(route.handler(req, res, req.params)).catch(next);
+    for (const method of route.methods) {
+      app[method.toLowerCase()](route.path, ...route.middleware, handler);
+    }
+    app.all(route.path, sendMethodNotAllowed);
+  }
+}
+
+/**
+ * Vercel adapter: runs one route for a function invocation. Vercel parses
+ * the JSON body and puts dynamic path segments in req.query.
+ *
+ * Each function in api/ is a CommonJS file that imports this ES module and
+ * passes its route here, so the Express server and Vercel validate, process
+ * and respond the same way.
+ */
+export async function handleVercelRequest(route, req, res) {
+  try {
+    for (const middleware of globalMiddleware) {
+      if (!(await runMiddleware(req, res, middleware))) return;
+    }
+
+    if (!route.methods.includes(req.method)) {
+      return sendMethodNotAllowed(req, res);
+    }
+
+    for (const middleware of route.middleware) {
+      if (!(await runMiddleware(req, res, middleware))) return;
+    }
+
+    await route.handler(req, res, req.query);
+  } catch (error) {
+    console.error('Unhandled error:', error);
+    if (!res.headersSent) {
+      const errorMessage = process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message;
+      sendJson(res, 500, { error: errorMessage });
+    }
+  }
+}
@@ -0,0 +1,234 @@
+import fetch from 'node-fetch';
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import { isMockMediaUrl } from './mock/mockMode.js';
+
+const MAX_REDIRECTS = 5;
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+const ALLOWED_PORTS = (process.env.MEDIA_FETCH_ALLOWED_PORTS || '80,443')
+  .split(',')
+  .map(port => parseInt(port.trim(), 10))
+  .filter(Number.isFinite);
+
+// Private, loopback, link-local and other non-public ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local (cloud metadata endpoints)
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+  ['2001:db8::', 32], // documentation
+  ['2001::', 32], // Teredo (the embedded IPv4 address is obfuscated)
+  ['64:ff9b:1::', 48] // local-use NAT64
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Creates the error returned when a URL is refused. `status` is the HTTP
+ * status route handlers should respond with.
+ */
+export function createBlockedUrlError(reason) {
+  const error = new Error(`Media URL not allowed: ${reason}`);
+  error.code = 'URL_BLOCKED';
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Expands a valid IPv6 address, in any notation, into its eight 16-bit groups
+ */
+function parseIpv6Groups(address) {
+  let text = address.toLowerCase();
+
+  // A dotted IPv4 tail (::ffff:127.0.0.1) is two groups
+  const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted[2].split('.').map(Number);
+    text = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
+}
+
+function formatIpv4(high, low) {
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+/**
+ * Gets the IPv4 address an IPv6 address carries, for the forms that reach
+ * it: IPv4-mapped and IPv4-compatible (::ffff:a.b.c.d, ::a.b.c.d), NAT64
+ * (64:ff9b::/96) and 6to4 (2002::/16). Returns null for other addresses.
+ */
+function getEmbeddedIpv4(address) {
+  const groups = parseIpv6Groups(address);
+  const prefixIsZero = (length) => groups.slice(0, length).every(group => group === 0);
+
+  if (prefixIsZero(5) && (groups[5] === 0xffff || groups[5] === 0) && (groups[6] !== 0 || groups[7] > 1)) {
+    return formatIpv4(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return formatIpv4(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x2002) {
+    return formatIpv4(groups[1], groups[2]);
+  }
+  return null;
+}
+
+/**
+ * Checks whether an IP address is in a blocked range. IPv6 addresses that
+ * embed an IPv4 address (mapped, compatible, NAT64, 6to4) are checked
+ * against the IPv4 ranges too.
+ */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return blockedAddresses.check(address, 'ipv4');
+  }
+  if (family === 6) {
+    const embeddedIpv4 = getEmbeddedIpv4(address);
+    if (embeddedIpv4 && blockedAddresses.check(embeddedIpv4, 'ipv4')) {
+      return true;
+    }
+    return blockedAddresses.check(address, 'ipv6');
+  }
+  return true;
+}
+
+/**
+ * Validates a URL's scheme and port, and that its host resolves only to
+ * public addresses
+ */
+export async function assertUrlAllowed(url) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    throw createBlockedUrlError('invalid URL');
+  }
+
+  // This server's own fixture media in MOCK_PROVIDERS mode
+  if (isMockMediaUrl(url)) {
+    return;
+  }
+
+  if (!ALLOWED_PROTOCOLS.includes(urlObj.protocol)) {
+    throw createBlockedUrlError(`protocol ${urlObj.protocol} is not allowed`);
+  }
+
+  const port = urlObj.port ? parseInt(urlObj.port, 10) : (urlObj.protocol === 'https:' ? 443 : 80);
+  if (!ALLOWED_PORTS.includes(port)) {
+    throw createBlockedUrlError(`port ${port} is not allowed`);
+  }
+
+  if (urlObj.username || urlObj.password) {
+    throw createBlockedUrlError('credentials in URLs are not allowed');
+  }
+
+  // URL keeps IPv6 literals in brackets
+  const hostname = urlObj.hostname.replace(/^\[|\]$/g, '');
+
+  if (net.isIP(hostname)) {
+    if (isBlockedAddress(hostname)) {
+      throw createBlockedUrlError('private or reserved address');
+    }
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch {
+    throw createBlockedUrlError(`host ${hostname} could not be resolved`);
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw createBlockedUrlError(`host ${hostname} resolves to a private or reserved address`);
+  }
+}
+
+/**
+ * DNS lookup used for the actual connection. Re-checking here means a host
+ * that resolves differently between validation and connect (DNS rebinding)
+ * still cannot reach a private address.
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isBlockedAddress(entry.address))) {
+      callback(createBlockedUrlError(`host ${hostname} resolves to a private or reserved address`));
+      return;
+    }
+
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Fetches an untrusted URL. Every hop, including redirects, must use an
+ * allowed scheme and port and resolve to a public address; at most
+ * MAX_REDIRECTS redirects are followed.
+ */
+export async function safeFetch(url, options = {}) {
+  let currentUrl = url;
+  let method = options.method || 'GET';
+  let body = options.body;
+
+  for (let redirectCount = 0; redirectCount <= MAX_REDIRECTS; redirectCount++) {
+    await assertUrlAllowed(currentUrl);
+
+    const response = await fetch(currentUrl, {
+      ...options,
+      method,
+      body,
+      redirect: 'manual',
+      agent: (parsedUrl) => (parsedUrl.protocol === 'https:' ? httpsAgent : httpAgent)
+    });
+
+    const location = response.headers.get('location');
+    if (![301, 302, 303, 307, 308].includes(response.status) || !location) {
+      return response;
+    }
+
+    // Drain the redirect body so the socket can be reused
+    response.body?.resume?.();
+
+    currentUrl = new URL(location, currentUrl).toString();
+    if (response.status === 303 || ((response.status === 301 || response.status === 302) && method === 'POST')) {
+      method = method === 'HEAD' ? 'HEAD' : 'GET';
+      body = undefined;
+    }
+  }
+
+  throw createBlockedUrlError(`more than ${MAX_REDIRECTS} redirects`);
+}
@@ -0,0 +1,66 @@
+import sharp from 'sharp';
+import path from 'path';
+import { getArtwork } from './thumbnails.js';
+import { renderTextBlock } from './textRender.js';
+import { createLruCache, sha256 } from './lruCache.js';
+import { DATA_DIR } from './dataDirectory.js';
+
+// Open Graph's recommended large image size; the NFT fills the left square
+export const SHARE_CARD_WIDTH = 1200;
+export const SHARE_CARD_HEIGHT = 630;
+
+const PADDING = 56;
+const TEXT_LEFT = SHARE_CARD_HEIGHT + PADDING;
+const TEXT_WIDTH = SHARE_CARD_WIDTH - TEXT_LEFT - PADDING;
+
+// Finished cards, keyed by everything drawn on them
+const shareCardCache = createLruCache({
+  name: 'Share card',
+  maxBytes: 32 * 1024 * 1024, // 32MB
+  maxDiskBytes: 128 * 1024 * 1024, // 128MB
+  ttl: 7 * 24 * 60 * 60 * 1000, // 7 days
+  directory: path.join(DATA_DIR, 'cache', 'share-cards')
+});
+
+/**
+ * Gets a 1200x630 PNG share card ({ buffer, mimeType }): the NFT's image on
+ * the left, its name and a description excerpt on the right
+ */
+export async function getShareCard({ name, excerpt, imageUrl }, { signal } = {}) {
+  const cacheKey = sha256(JSON.stringify([imageUrl, name, excerpt]));
+  const cached = await shareCardCache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  // The NFT's image, square and the height of the card
+  const image = await getArtwork(imageUrl, SHARE_CARD_HEIGHT, { signal });
+
+  const brand = await renderTextBlock('CHAINGALLERY', { font: 'sans 20', width: TEXT_WIDTH, weight: 'bold', maxHeight: 40 });
+  const brandTop = SHARE_CARD_HEIGHT - PADDING - brand.height;
+  const title = await renderTextBlock(name, { font: 'sans 44', width: TEXT_WIDTH, weight: 'bold', maxHeight: 160 });
+  const titleHeight = title ? title.height + 24 : 0;
+  const body = await renderTextBlock(excerpt, {
+    font: 'sans 24',
+    width: TEXT_WIDTH,
+    maxHeight: brandTop - PADDING - titleHeight - 32
+  });
+
+  const layers = [
+    { input: image, left: 0, top: 0 },
+    title && { input: title.buffer, left: TEXT_LEFT, top: PADDING },
+    body && { input: body.buffer, left: TEXT_LEFT, top: PADDING + titleHeight },
+    { input: brand.buffer, left: TEXT_LEFT, top: brandTop }
+  ].filter(Boolean);
+
+  const buffer = await sharp({
+    create: { width: SHARE_CARD_WIDTH, height: SHARE_CARD_HEIGHT, channels: 4, background: '#ffffff' }
+  })
+    .composite(layers)
+    .png()
+    .toBuffer();
+
+  const card = { buffer, mimeType: 'image/png' };
+  await shareCardCache.set(cacheKey, card);
+  return card;
+}
@@ -0,0 +1,212 @@
+import { validateChain, resolveChain, DEFAULT_CHAIN } from './chains.js';
+import { getNftMetadata, getContractMetadata } from './providers/index.js';
+import { getStoredDescription } from './geminiHandlers.js';
+import { validateDescriptionStyle, resolveDescriptionStyle, DEFAULT_DESCRIPTION_STYLE } from './descriptionStyles.js';
+import { validateLanguage, resolveLanguage } from './descriptionLanguages.js';
+import { sanitizeMetadataText } from './promptSafety.js';
+import { toDecimalTokenId } from './nftNormalizer.js';
+import { validateContractAddress, validateTokenId, validateImageUrl } from './requestValidation.js';
+import { renderAppShell, sendHtml, handleAppShell } from './appShell.js';
+import { getShareCard } from './shareCard.js';
+import { getPoster, POSTER_SIZES, POSTER_FORMATS, DEFAULT_POSTER_SIZE, DEFAULT_POSTER_FORMAT } from './poster.js';
+import { sendJson, createDisconnectSignal } from './http.js';
+
+// Production check
+const isProduction = process.env.NODE_ENV === 'production';
+
+const TITLE_LENGTH = 120;
+const EXCERPT_LENGTH = 200;
+const DESCRIPTION_LENGTH = 1500;
+const SITE_DESCRIPTION = 'Discover and explore NFT collections with AI-powered descriptions';
+
+// Share previews and posters for token links (/c/:contract/:tokenId).
+// Crawlers don't run the app, so the page comes with its tags filled in and
+// points at a generated card image. `params` holds the path parameters.
+
+/**
+ * Reads a share request. Unknown styles and languages fall back to the
+ * defaults rather than failing, since these URLs are pasted around by hand.
+ * Returns null when the path or chain is invalid.
+ */
+function parseShareRequest(req, params) {
+  const { contractAddress, tokenId } = params;
+  const { chain, style, lang } = req.query;
+
+  if (!validateContractAddress(contractAddress) || !validateTokenId(tokenId) || !validateChain(chain)) {
+    return null;
+  }
+
+  return {
+    chain: resolveChain(chain),
+    contractAddress,
+    tokenId: toDecimalTokenId(tokenId),
+    style: resolveDescriptionStyle(validateDescriptionStyle(style) ? style : undefined),
+    language: resolveLanguage(validateLanguage(lang) ? lang : undefined, req.headers['accept-language'])
+  };
+}
+
+// Query string that keeps a share link's chain, style and language (see services/routing.ts)
+function getShareQuery({ chain, style, language }) {
+  const query = new URLSearchParams();
+  if (chain !== DEFAULT_CHAIN) query.set('chain', chain);
+  if (style !== DEFAULT_DESCRIPTION_STYLE) query.set('style', style);
+  query.set('lang', language);
+  return query.toString();
+}
+
+// Absolute URLs are required in Open Graph tags. FRONTEND_URL names the
+// public origin; without it the request's Host is used. Any client can send
+// X-Forwarded-Host and X-Forwarded-Proto, so they are only read when
+// TRUST_PROXY=true says a proxy in front of the server sets them.
+function getPublicOrigin(req) {
+  if (process.env.FRONTEND_URL) {
+    return process.env.FRONTEND_URL.replace(/\/$/, '');
+  }
+  if (process.env.TRUST_PROXY === 'true') {
+    const protocol = String(req.headers['x-forwarded-proto'] || 'http').split(',')[0].trim();
+    const host = String(req.headers['x-forwarded-host'] || req.headers.host).split(',')[0].trim();
+    return `${protocol}://${host}`;
+  }
+  return `http://${req.headers.host}`;
+}
+
+// The token link a share page, card or poster stands for
+function getShareUrl(req, request) {
+  return `${getPublicOrigin(req)}/c/${request.contractAddress}/${request.tokenId}?${getShareQuery(request)}`;
+}
+
+/**
+ * Gets what a share preview or poster shows: the token's name, image and its
+ * stored description in the link's style and language (or its own metadata
+ * description until one has been generated), whole and as an excerpt
+ */
+async function getShareContent(request) {
+  const nft = await getNftMetadata(request);
+
+  let stored;
+  try {
+    stored = await getStoredDescription(request);
+  } catch (error) {
+    // The metadata description is a fine stand-in
+    if (!isProduction) {
+      console.warn('Stored description lookup failed:', error.message);
+    }
+  }
+
+  const text = stored?.text || nft.description;
+  return {
+    name: sanitizeMetadataText(nft.name || `#${request.tokenId}`, TITLE_LENGTH),
+    excerpt: sanitizeMetadataText(text, EXCERPT_LENGTH) || SITE_DESCRIPTION,
+    description: sanitizeMetadataText(text, DESCRIPTION_LENGTH, { multiline: true }),
+    imageUrl: nft.image && validateImageUrl(nft.image) ? nft.image : null
+  };
+}
+
+/**
+ * The app page for a token link, with its title, description and share card
+ * in the meta tags. Falls back to the plain page when the token can't be loaded.
+ */
+export async function handleSharePage(req, res, params) {
+  const request = parseShareRequest(req, params);
+  if (!request) {
+    return handleAppShell(req, res);
+  }
+
+  try {
+    const { name, excerpt } = await getShareContent(request);
+    const tokenPath = `${request.contractAddress}/${request.tokenId}`;
+
+    sendHtml(res, await renderAppShell({
+      title: `${name} - ChainGallery`,
+      description: excerpt,
+      url: getShareUrl(req, request),
+      image: `${getPublicOrigin(req)}/api/share/${tokenPath}/card?${getShareQuery(request)}`,
+      language: request.language
+    }));
+  } catch (error) {
+    console.error('Error building share page:', error);
+    return handleAppShell(req, res);
+  }
+}
+
+/**
+ * A 1200x630 PNG share card for a token: its image, name and description excerpt
+ */
+export async function handleShareCard(req, res, params) {
+  const signal = createDisconnectSignal(res);
+
+  try {
+    const request = parseShareRequest(req, params);
+    if (!request) {
+      return sendJson(res, 400, { error: 'Please use a valid contract address, token ID and chain.' });
+    }
+
+    const content = await getShareContent(request);
+    const card = await getShareCard(content, { signal });
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', card.mimeType);
+    // Short enough that a description generated later makes it onto the card
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.end(card.buffer);
+  } catch (error) {
+    if (signal.aborted) return;
+
+    console.error('Error generating share card:', error);
+    sendJson(res, 502, {
+      error: isProduction ? 'Share card not available.' : error.message,
+      code: 'SHARE_CARD_FAILED'
+    });
+  }
+}
+
+/**
+ * A downloadable poster for a token: `?size=square|a4|story&format=png|pdf`
+ * plus the share link's chain, style and lang
+ */
+export async function handlePoster(req, res, params) {
+  const signal = createDisconnectSignal(res);
+
+  try {
+    const request = parseShareRequest(req, params);
+    if (!request) {
+      return sendJson(res, 400, { error: 'Please use a valid contract address, token ID and chain.' });
+    }
+
+    const { size = DEFAULT_POSTER_SIZE, format = DEFAULT_POSTER_FORMAT } = req.query;
+    if (typeof size !== 'string' || !Object.hasOwn(POSTER_SIZES, size)) {
+      return sendJson(res, 400, { error: `Poster size must be one of ${Object.keys(POSTER_SIZES).join(', ')}.` });
+    }
+    if (typeof format !== 'string' || !POSTER_FORMATS.includes(format)) {
+      return sendJson(res, 400, { error: `Poster format must be one of ${POSTER_FORMATS.join(', ')}.` });
+    }
+
+    const [content, collection] = await Promise.all([
+      getShareContent(request),
+      // The poster reads fine without the collection's name
+      getContractMetadata(request).catch(() => null)
+    ]);
+    const poster = await getPoster({
+      ...content,
+      tokenId: request.tokenId,
+      collectionName: sanitizeMetadataText(collection?.name, TITLE_LENGTH),
+      shareUrl: getShareUrl(req, request)
+    }, { size, format, signal });
+
+    const fileName = content.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || request.tokenId;
+    res.statusCode = 200;
+    res.setHeader('Content-Type', poster.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="chaingallery-${fileName}-${size}.${format}"`);
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.end(poster.buffer);
+  } catch (error) {
+    if (signal.aborted) return;
+
+    console.error('Error generating poster:', error);
+    sendJson(res, 502, {
+      error: isProduction ? 'Poster not available.' : error.message,
+      code: 'POSTER_FAILED'
+    });
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Server-Sent Events helpers for the description stream.
+ *
+ * Events, in order:
+ * - meta:  { processingType, model, cache, style, language }
+ * - delta: { text }
+ * - done:  { timings: { totalMs, mediaMs, firstTokenMs, generationMs }, usage }
+ * - error: { code, message } (ends the stream in place of `done`)
+ */
+
+/**
+ * Sends SSE headers. After this, failures must be reported with an `error`
+ * event because the status code can no longer change.
+ */
+export function startEventStream(res, headers = {}) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop reverse proxies (nginx) from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  for (const [name, value] of Object.entries(headers)) {
+    res.setHeader(name, value);
+  }
+  res.flushHeaders?.();
+}
+
+/**
+ * Writes one event. Data is JSON, so newlines in text never break framing.
+ */
+export function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Converts Gemini's usageMetadata into the `done` event's usage shape
+ */
+export function formatUsage(usageMetadata) {
+  if (!usageMetadata) return null;
+  return {
+    promptTokens: usageMetadata.promptTokenCount ?? null,
+    outputTokens: usageMetadata.candidatesTokenCount ?? null,
+    totalTokens: usageMetadata.totalTokenCount ?? null
+  };
+}
@@ -0,0 +1,55 @@
+import sharp from 'sharp';
+
+// Text for share cards and posters is drawn with Pango, which reads markup
+function escapeMarkup(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function renderPango(text, { font, width, color, weight, align }) {
+  return sharp({
+    text: {
+      text: `<span foreground="${color}" font_weight="${weight}">${escapeMarkup(text)}</span>`,
+      font,
+      width,
+      align,
+      dpi: 72, // Font sizes are in pixels
+      rgba: true,
+      wrap: 'word-char'
+    }
+  }).png().toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Renders text wrapped to `width` as a transparent PNG
+ * ({ buffer, width, height }). Text taller than maxHeight is cut at a word
+ * and ends with an ellipsis. Returns null for empty text or when not even
+ * one word fits.
+ */
+export async function renderTextBlock(text, { font, width, maxHeight, color = '#111111', weight = 'normal', align = 'left' }) {
+  if (!text || maxHeight <= 0) return null;
+
+  const options = { font, width, color, weight, align };
+  const toBlock = ({ data, info }) => ({ buffer: data, width: info.width, height: info.height });
+
+  const full = await renderPango(text, options);
+  if (full.info.height <= maxHeight) {
+    return toBlock(full);
+  }
+
+  // Longest word prefix that fits, found by bisection
+  const words = text.split(' ');
+  let best = null;
+  let low = 1;
+  let high = words.length - 1;
+  while (low <= high) {
+    const count = Math.floor((low + high) / 2);
+    const candidate = await renderPango(`${words.slice(0, count).join(' ').replace(/[\s.,;:]+$/, '')}…`, options);
+    if (candidate.info.height <= maxHeight) {
+      best = candidate;
+      low = count + 1;
+    } else {
+      high = count - 1;
+    }
+  }
+  return best && toBlock(best);
+}
@@ -0,0 +1,107 @@
+import sharp from 'sharp';
+import path from 'path';
+import { downloadMedia, extractVideoFrame, rasterizeSvg } from './mediaUtils.js';
+import { createLruCache, sha256 } from './lruCache.js';
+import { DATA_DIR } from './dataDirectory.js';
+
+// Production check
+const isProduction = process.env.NODE_ENV === 'production';
+
+const PLACEHOLDER_COLOR = { r: 240, g: 240, b: 240, alpha: 1 };
+
+// Square sizes the grid may request; anything else is refused so the cache
+// cannot be filled with arbitrary variants. Share cards use one more size
+// of their own (see shareCard.js).
+export const THUMBNAIL_SIZES = [128, 256, 384];
+export const DEFAULT_THUMBNAIL_SIZE = 256;
+
+// Finished thumbnails, keyed by media URL, size and quality
+const thumbnailCache = createLruCache({
+  name: 'Thumbnail',
+  maxBytes: 32 * 1024 * 1024, // 32MB
+  maxDiskBytes: 256 * 1024 * 1024, // 256MB
+  ttl: 7 * 24 * 60 * 60 * 1000, // 7 days
+  directory: path.join(DATA_DIR, 'cache', 'thumbnails')
+});
+
+/**
+ * Creates the error thrown for media that has no still image (e.g. audio).
+ * `status` is the HTTP status route handlers should respond with.
+ */
+function createNoThumbnailError(mimeType) {
+  const error = new Error(`No thumbnail available for ${mimeType}`);
+  error.code = 'UNSUPPORTED_MEDIA';
+  error.status = 415;
+  return error;
+}
+
+/**
+ * Gets a still image sharp can read: the first frame for GIFs and other
+ * images, a rasterized SVG, or a frame from early in a video
+ */
+async function getStillImage(download, size) {
+  const { mimeType } = download;
+
+  if (mimeType === 'image/svg+xml') {
+    return rasterizeSvg(download.buffer, size, size);
+  }
+  if (mimeType.startsWith('image/')) {
+    return download.buffer;
+  }
+  if (mimeType.startsWith('video/')) {
+    return extractVideoFrame(download.path, 0);
+  }
+  throw createNoThumbnailError(mimeType);
+}
+
+/**
+ * Gets a square WebP thumbnail ({ buffer, mimeType }) for a media URL.
+ * Downloads go through the same guarded, size-capped fetch as descriptions.
+ * Posters ask for a higher `quality` than the grid.
+ */
+export async function getThumbnail(url, size, { signal, quality = 70 } = {}) {
+  const cacheKey = sha256(`${url}_${size}_${quality}`);
+  const cached = await thumbnailCache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const download = await downloadMedia(url, { signal });
+  try {
+    signal?.throwIfAborted();
+    const still = await getStillImage(download, size);
+    const buffer = await sharp(still)
+      .resize(size, size, { fit: 'cover' })
+      .webp({ quality })
+      .toBuffer();
+
+    const thumbnail = { buffer, mimeType: 'image/webp' };
+    await thumbnailCache.set(cacheKey, thumbnail);
+    return thumbnail;
+  } finally {
+    await download.cleanup();
+  }
+}
+
+/**
+ * Gets an NFT's image as a square for share cards and posters. Media without
+ * a still image (e.g. audio), or that fails to load, gets a plain placeholder
+ * so the picture can still be made.
+ */
+export async function getArtwork(url, size, { signal, quality } = {}) {
+  try {
+    if (url) {
+      const { buffer } = await getThumbnail(url, size, { signal, quality });
+      return buffer;
+    }
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    if (!isProduction) {
+      console.warn('Artwork failed, using a placeholder:', error.message);
+    }
+  }
+
+  return sharp({
+    create: { width: size, height: size, channels: 4, background: PLACEHOLDER_COLOR }
+  }).png().toBuffer();
+}
@@ -0,0 +1,383 @@
+import path from 'path';
+import { createLruCache } from './lruCache.js';
+import { DATA_DIR } from './dataDirectory.js';
+import { getCollectionNfts } from './providers/index.js';
+
+// Production check
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Bump when the index layout changes so stored indexes are rebuilt
+const TRAIT_INDEX_VERSION = 2;
+
+// Collections are walked page by page up to this many tokens; larger ones
+// get a partial index (`complete: false`)
+const MAX_INDEXED_TOKENS = 10000;
+const PAGE_SIZE = 100;
+
+// Per-token caps, so one token's metadata cannot bloat the index
+const MAX_TOKEN_TRAITS = 50;
+const MAX_TOKEN_NAME_LENGTH = 200;
+const MAX_TRAIT_TEXT_LENGTH = 100;
+
+// Collection walks running at once in this process; requests for other
+// collections are turned away until one finishes
+const MAX_CONCURRENT_BUILDS = 3;
+
+// A walk fetches pages for about this long before saving its progress. In
+// serverless functions each request walks one slice.
+const BUILD_SLICE_MS = 5 * 1000; // 5 seconds
+
+// How long a failed build is reported before a request may start another
+const FAILED_BUILD_TTL = 60 * 1000; // 1 minute
+
+/**
+ * @typedef {Object} TraitValueCount
+ * @property {string} value
+ * @property {number} count - Indexed tokens with this value
+ *
+ * @typedef {Object} TraitType
+ * @property {string} traitType
+ * @property {TraitValueCount[]} values - Most common first
+ *
+ * @typedef {Object} IndexedToken - The parts of an Nft the index keeps
+ * @property {string} tokenId
+ * @property {string} name
+ * @property {import('./nftNormalizer.js').NftAttribute[]} attributes
+ *
+ * @typedef {Object} TraitIndex
+ * @property {string} chain
+ * @property {string} contractAddress - Lowercase contract address
+ * @property {number} tokenCount - Tokens indexed
+ * @property {boolean} complete - Whether every token in the collection was indexed
+ * @property {string} builtAt - ISO timestamp
+ * @property {TraitType[]} traits - Sorted by trait type
+ * @property {IndexedToken[]} tokens
+ *
+ * @typedef {Object} TraitIndexBuild - A walk's saved progress
+ * @property {IndexedToken[]} tokens - Tokens walked so far
+ * @property {string|null} pageKey - Next page to fetch
+ * @property {string} [failed] - Error message, when the walk failed
+ * @property {number} [failedAt] - When it failed (ms)
+ *
+ * @typedef {Object} TraitIndexStatus - Exactly one property is set
+ * @property {TraitIndex} [index] - The built index
+ * @property {{ tokenCount: number }} [building] - Progress of the build in progress
+ * @property {Error} [error] - Why the last build failed
+ */
+
+// Built indexes per chain and contract
+const traitIndexCache = createLruCache({
+  name: 'Trait index',
+  maxBytes: 64 * 1024 * 1024, // 64MB
+  maxDiskBytes: 256 * 1024 * 1024, // 256MB
+  ttl: 24 * 60 * 60 * 1000, // 24 hours
+  directory: path.join(DATA_DIR, 'cache', 'traits')
+});
+
+// Progress of walks in progress or recently failed, by index key. Kept in
+// the store rather than in memory, so a walk resumes where the last request
+// or process left off: serverless functions freeze once they respond and
+// share no memory, and servers restart.
+const buildCache = createLruCache({
+  name: 'Trait index build',
+  maxBytes: 32 * 1024 * 1024, // 32MB
+  maxDiskBytes: 128 * 1024 * 1024, // 128MB
+  ttl: 60 * 60 * 1000, // 1 hour
+  directory: path.join(DATA_DIR, 'cache', 'trait-builds')
+});
+
+// Walks running in this process, by index key, so concurrent requests share one
+const runningBuilds = new Map();
+
+// Vercel functions are frozen after responding, so nothing can run in the background
+function isServerless() {
+  return Boolean(process.env.VERCEL);
+}
+
+// Trait types and values are matched case-insensitively
+function normalizeTraitText(text) {
+  return String(text).trim().toLowerCase();
+}
+
+/**
+ * A token's attributes with repeats removed, so a token counts once per
+ * trait value even if its metadata lists it twice
+ * @returns {import('./nftNormalizer.js').NftAttribute[]}
+ */
+export function getUniqueAttributes(nft) {
+  const seen = new Set();
+  return nft.attributes.filter(({ key, value }) => {
+    const id = `${key}\u0000${value}`;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+}
+
+/**
+ * Counts trait values across tokens
+ * @returns {TraitType[]}
+ */
+function countTraits(tokens) {
+  // trait type -> value -> count
+  const counts = new Map();
+
+  for (const nft of tokens) {
+    for (const { key, value } of getUniqueAttributes(nft)) {
+      if (!counts.has(key)) counts.set(key, new Map());
+      const values = counts.get(key);
+      values.set(value, (values.get(value) || 0) + 1);
+    }
+  }
+
+  return [...counts]
+    .map(([traitType, values]) => ({
+      traitType,
+      values: [...values]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    }))
+    .sort((a, b) => a.traitType.localeCompare(b.traitType));
+}
+
+function truncateTraitText(text, maxLength) {
+  return String(text).slice(0, maxLength);
+}
+
+/**
+ * Keeps the parts of a token the index needs: its ID, its name for name
+ * searches and its (capped) attributes
+ * @returns {IndexedToken}
+ */
+function toIndexedToken(nft) {
+  return {
+    tokenId: nft.tokenId,
+    name: truncateTraitText(nft.name, MAX_TOKEN_NAME_LENGTH),
+    attributes: nft.attributes.slice(0, MAX_TOKEN_TRAITS).map(({ key, value }) => ({
+      key: truncateTraitText(key, MAX_TRAIT_TEXT_LENGTH),
+      value: truncateTraitText(value, MAX_TRAIT_TEXT_LENGTH)
+    }))
+  };
+}
+
+/**
+ * Walks the next slice of the collection through the metadata provider,
+ * continuing from `build`. Resolves with the finished index once the walk
+ * reaches the end (or the token cap), or with the updated progress.
+ * @param {TraitIndexBuild} build
+ * @returns {Promise<{ index?: TraitIndex, build?: TraitIndexBuild }>}
+ */
+async function walkSlice({ chain, contractAddress }, build) {
+  const deadline = Date.now() + BUILD_SLICE_MS;
+  const tokens = new Map(build.tokens.map(token => [token.tokenId, token]));
+  let { pageKey } = build;
+  let done;
+
+  do {
+    const page = await getCollectionNfts({ chain, contractAddress, pageKey: pageKey ?? undefined, limit: PAGE_SIZE });
+    for (const nft of page.nfts) {
+      tokens.set(nft.tokenId, toIndexedToken(nft));
+    }
+    // Stop on empty pages or a repeated key rather than looping forever
+    pageKey = page.nfts.length > 0 && page.nextPageKey !== pageKey ? page.nextPageKey || null : null;
+    done = !pageKey || tokens.size >= MAX_INDEXED_TOKENS;
+  } while (!done && Date.now() < deadline);
+
+  const indexedTokens = [...tokens.values()];
+  if (!done) {
+    return { build: { tokens: indexedTokens, pageKey } };
+  }
+
+  const traits = countTraits(indexedTokens);
+  if (!isProduction) {
+    console.log(`🗂️ Trait index built for ${contractAddress}: ${indexedTokens.length} tokens, ${traits.length} trait types`);
+  }
+
+  return {
+    index: {
+      chain,
+      contractAddress: contractAddress.toLowerCase(),
+      tokenCount: indexedTokens.length,
+      complete: !pageKey,
+      builtAt: new Date().toISOString(),
+      traits,
+      tokens: indexedTokens
+    }
+  };
+}
+
+function getTraitIndexKey(chain, contractAddress) {
+  return [chain, contractAddress.toLowerCase(), `v${TRAIT_INDEX_VERSION}`].join('_');
+}
+
+/**
+ * Gets a collection's trait index if it has already been built, without
+ * starting a build
+ * @returns {Promise<TraitIndex|undefined>}
+ */
+export function peekTraitIndex({ chain, contractAddress }) {
+  return traitIndexCache.get(getTraitIndexKey(chain, contractAddress));
+}
+
+function createFailedBuildError(message) {
+  const error = new Error(`The collection could not be indexed: ${message}`);
+  error.code = 'TRAIT_INDEX_FAILED';
+  error.status = 502;
+  return error;
+}
+
+/**
+ * Gets a collection's built trait index or the state of its build, without
+ * starting one
+ * @returns {Promise<TraitIndexStatus|null>} null when there is neither
+ */
+export async function getTraitIndexStatus({ chain, contractAddress }) {
+  const key = getTraitIndexKey(chain, contractAddress);
+
+  const index = await traitIndexCache.get(key);
+  if (index) {
+    return { index };
+  }
+
+  const build = await buildCache.get(key);
+  if (!build) {
+    return null;
+  }
+  if (build.failed) {
+    // Failed walks may be started again after a while
+    return Date.now() - build.failedAt < FAILED_BUILD_TTL ? { error: createFailedBuildError(build.failed) } : null;
+  }
+  return { building: { tokenCount: build.tokens.length } };
+}
+
+/**
+ * Walks the collection from its saved progress: one slice, or every slice
+ * until the index is built. Progress is saved after each slice, the index
+ * when the walk is done. Resolves with the index, or null while unfinished.
+ */
+function runBuild(key, { chain, contractAddress }, { untilDone }) {
+  if (runningBuilds.has(key)) {
+    return runningBuilds.get(key);
+  }
+
+  const run = (async () => {
+    try {
+      let build = (await buildCache.get(key)) || { tokens: [], pageKey: null };
+      for (;;) {
+        const result = await walkSlice({ chain, contractAddress }, build);
+        if (result.index) {
+          await traitIndexCache.set(key, result.index);
+          await buildCache.delete(key);
+          return result.index;
+        }
+
+        build = result.build;
+        await buildCache.set(key, build);
+        if (!untilDone) return null;
+      }
+    } catch (error) {
+      console.error(`Trait index build failed for ${contractAddress}:`, error.message);
+      await buildCache.set(key, { tokens: [], pageKey: null, failed: error.message, failedAt: Date.now() }).catch(() => {});
+      throw createFailedBuildError(error.message);
+    } finally {
+      runningBuilds.delete(key);
+    }
+  })();
+
+  runningBuilds.set(key, run);
+  return run;
+}
+
+/**
+ * Gets a collection's trait index, starting its build on first use. Until
+ * the build finishes this reports its progress instead; callers answer 202
+ * and let the client ask again.
+ *
+ * The first request only records the build. A long-running server then walks
+ * the collection in the background; in serverless functions, which freeze
+ * once they respond, each later request walks one slice before answering.
+ * Fails with TRAIT_INDEX_BUSY (503) when too many other collections are
+ * being indexed, or with TRAIT_INDEX_FAILED (502) for a minute after a build
+ * failed.
+ * @returns {Promise<TraitIndexStatus>}
+ */
+export async function requestTraitIndex({ chain, contractAddress }) {
+  const collection = { chain, contractAddress };
+  const key = getTraitIndexKey(chain, contractAddress);
+
+  const status = await getTraitIndexStatus(collection);
+  if (status?.index) {
+    return status;
+  }
+  if (status?.error) {
+    throw status.error;
+  }
+  if (runningBuilds.has(key)) {
+    return status || { building: { tokenCount: 0 } };
+  }
+
+  if (runningBuilds.size >= MAX_CONCURRENT_BUILDS) {
+    const error = new Error('Too many collections are being indexed. Please try again in a moment.');
+    error.code = 'TRAIT_INDEX_BUSY';
+    error.status = 503;
+    throw error;
+  }
+
+  if (!status) {
+    await buildCache.set(key, { tokens: [], pageKey: null });
+  }
+
+  if (!isServerless()) {
+    // Also resumes walks a restart interrupted
+    runBuild(key, collection, { untilDone: true }).catch(() => {});
+    return status || { building: { tokenCount: 0 } };
+  }
+
+  if (!status) {
+    return { building: { tokenCount: 0 } };
+  }
+
+  // Answer 202 even when this slice finishes the walk: the route's limiters
+  // ran before it, and the next request finds the index
+  const index = await runBuild(key, collection, { untilDone: false });
+  const build = index ? null : await buildCache.get(key);
+  return { building: { tokenCount: index ? index.tokenCount : build?.tokens.length ?? 0 } };
+}
+
+/**
+ * Finds indexed tokens that have every trait type in `traits` (any of the
+ * values given for the same type) and whose name contains `query`
+ * @param {TraitIndex} index
+ * @param {{ traits?: { traitType: string, value: string }[], query?: string }} filter
+ */
+export function findMatchingTokens(index, { traits = [], query = '' }) {
+  // trait type -> accepted values
+  const wanted = new Map();
+  for (const { traitType, value } of traits) {
+    const type = normalizeTraitText(traitType);
+    if (!wanted.has(type)) wanted.set(type, new Set());
+    wanted.get(type).add(normalizeTraitText(value));
+  }
+  const needle = normalizeTraitText(query);
+
+  return index.tokens.filter((nft) => {
+    if (needle && !nft.name.toLowerCase().includes(needle)) {
+      return false;
+    }
+    for (const [type, values] of wanted) {
+      const hasTrait = nft.attributes.some(
+        ({ key, value }) => normalizeTraitText(key) === type && values.has(normalizeTraitText(value))
+      );
+      if (!hasTrait) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Gets trait index cache statistics
+ */
+export function getTraitIndexStats() {
+  const { keys, ...stats } = traitIndexCache.stats();
+  return stats;
+}
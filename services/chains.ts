@@ -0,0 +1,38 @@
+export type Chain = 'ethereum' | 'base' | 'polygon' | 'arbitrum' | 'optimism';
+
+export interface ChainInfo {
+  name: string;
+  openseaSlug: string;
+  explorerUrl: string;
+  explorerName: string;
+}
+
+// Keep in sync with the backend allowlist in server/chains.js
+export const CHAINS: Record<Chain, ChainInfo> = {
+  ethereum: { name: 'Ethereum', openseaSlug: 'ethereum', explorerUrl: 'https://etherscan.io', explorerName: 'Etherscan' },
+  base: { name: 'Base', openseaSlug: 'base', explorerUrl: 'https://basescan.org', explorerName: 'Basescan' },
+  polygon: { name: 'Polygon', openseaSlug: 'polygon', explorerUrl: 'https://polygonscan.com', explorerName: 'Polygonscan' },
+  arbitrum: { name: 'Arbitrum', openseaSlug: 'arbitrum', explorerUrl: 'https://arbiscan.io', explorerName: 'Arbiscan' },
+  optimism: { name: 'Optimism', openseaSlug: 'optimism', explorerUrl: 'https://optimistic.etherscan.io', explorerName: 'Optimism Explorer' },
+};
+
+export const DEFAULT_CHAIN: Chain = 'ethereum';
+
+export function isSupportedChain(chain: string | null | undefined): chain is Chain {
+  return !!chain && Object.prototype.hasOwnProperty.call(CHAINS, chain);
+}
+
+// OpenSea item page for a token
+export function getMarketplaceUrl(chain: Chain, contractAddress: string, tokenId: string): string {
+  return `https://opensea.io/item/${CHAINS[chain].openseaSlug}/${contractAddress}/${tokenId}`;
+}
+
+// Block explorer page for a token
+export function getExplorerUrl(chain: Chain, contractAddress: string, tokenId: string): string {
+  return `${CHAINS[chain].explorerUrl}/nft/${contractAddress}/${tokenId}`;
+}
+
+// Block explorer page for an address (a contract or a deployer)
+export function getAddressExplorerUrl(chain: Chain, address: string): string {
+  return `${CHAINS[chain].explorerUrl}/address/${address}`;
+}
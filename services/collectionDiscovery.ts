@@ -0,0 +1,130 @@
+import { DEFAULT_CHAIN, isSupportedChain, type Chain } from './chains';
+import type { Collection } from './reservoirService';
+
+// A collection remembered in this browser, as shown in the collection picker
+export interface SavedCollection {
+  address: string; // Lowercase
+  chain: Chain;
+  name: string | null;
+  imageUrl: string | null;
+  savedAt: number; // ms since epoch
+}
+
+export type SavedCollectionInfo = Omit<SavedCollection, 'savedAt'>;
+
+const RECENT_STORAGE_KEY = 'chaingallery.recentCollections';
+const FAVORITE_STORAGE_KEY = 'chaingallery.favoriteCollections';
+const MAX_RECENT_COLLECTIONS = 8;
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+// Keep in sync with the backend's check in server/ens.js
+const ENS_NAME_PATTERN = /^(?:[a-z0-9_-]+\.)+eth$/;
+
+export function isContractAddress(text: string): boolean {
+  return ADDRESS_PATTERN.test(text);
+}
+
+export function isEnsName(text: string): boolean {
+  return ENS_NAME_PATTERN.test(text.toLowerCase());
+}
+
+export function isSameCollection(a: { address: string; chain: Chain }, b: { address: string; chain: Chain }): boolean {
+  return a.chain === b.chain && a.address.toLowerCase() === b.address.toLowerCase();
+}
+
+// Stored lists are dropped entry by entry when malformed (e.g. edited by hand)
+function readCollections(key: string): SavedCollection[] {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key) || '[]');
+    if (!Array.isArray(stored)) return [];
+    return stored.filter((entry): entry is SavedCollection =>
+      !!entry && typeof entry.address === 'string' && isContractAddress(entry.address) && isSupportedChain(entry.chain)
+    );
+  } catch {
+    return [];
+  }
+}
+
+function writeCollections(key: string, collections: SavedCollection[]): void {
+  try {
+    localStorage.setItem(key, JSON.stringify(collections));
+  } catch (error) {
+    // Storage may be full or disabled (e.g. private browsing); the lists just aren't kept
+    if (import.meta.env.DEV) {
+      console.warn('Failed to save collections:', error);
+    }
+  }
+}
+
+// Most recently viewed first
+export function getRecentCollections(): SavedCollection[] {
+  return readCollections(RECENT_STORAGE_KEY);
+}
+
+// Most recently added first
+export function getFavoriteCollections(): SavedCollection[] {
+  return readCollections(FAVORITE_STORAGE_KEY);
+}
+
+// Move a viewed collection to the top of the recent list. A favorite's
+// name and image are refreshed too.
+export function addRecentCollection(info: SavedCollectionInfo): SavedCollection[] {
+  const entry: SavedCollection = { ...info, address: info.address.toLowerCase(), savedAt: Date.now() };
+  const recent = [entry, ...getRecentCollections().filter((saved) => !isSameCollection(saved, entry))]
+    .slice(0, MAX_RECENT_COLLECTIONS);
+  writeCollections(RECENT_STORAGE_KEY, recent);
+
+  const favorites = getFavoriteCollections();
+  if (favorites.some((saved) => isSameCollection(saved, entry))) {
+    writeCollections(FAVORITE_STORAGE_KEY, favorites.map((saved) =>
+      isSameCollection(saved, entry) ? { ...saved, name: entry.name ?? saved.name, imageUrl: entry.imageUrl ?? saved.imageUrl } : saved
+    ));
+  }
+  return recent;
+}
+
+// Add a collection to the favorites, or remove it when it is already there.
+// Returns the new list.
+export function toggleFavoriteCollection(info: SavedCollectionInfo): SavedCollection[] {
+  const favorites = getFavoriteCollections();
+  const updated = favorites.some((saved) => isSameCollection(saved, info))
+    ? favorites.filter((saved) => !isSameCollection(saved, info))
+    : [{ ...info, address: info.address.toLowerCase(), savedAt: Date.now() }, ...favorites];
+  writeCollections(FAVORITE_STORAGE_KEY, updated);
+  return updated;
+}
+
+// Find collections by name or marketplace slug, best matches first.
+// Throws when the backend request fails.
+export async function searchCollections(query: string, chain: Chain = DEFAULT_CHAIN, signal?: AbortSignal): Promise<Collection[]> {
+  // Use local backend for development, production backend for production
+  const BACKEND_URL = import.meta.env.DEV ? 'http://localhost:3001' : '';
+  const params = new URLSearchParams({ q: query, chain });
+  const response = await fetch(`${BACKEND_URL}/api/collections/search?${params}`, { signal });
+  if (!response.ok) {
+    throw new Error(`Backend API request failed with status ${response.status}`);
+  }
+
+  const data: { collections: Collection[] } = await response.json();
+  if (!Array.isArray(data.collections)) {
+    throw new Error('Invalid data structure from backend API');
+  }
+  return data.collections;
+}
+
+// Resolve an ENS name (e.g. "name.eth") to the address it points at, or null
+// when it has none. Throws when the lookup itself fails.
+export async function resolveEnsName(name: string, signal?: AbortSignal): Promise<string | null> {
+  // Use local backend for development, production backend for production
+  const BACKEND_URL = import.meta.env.DEV ? 'http://localhost:3001' : '';
+  const response = await fetch(`${BACKEND_URL}/api/collections/resolve?name=${encodeURIComponent(name)}`, { signal });
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Backend API request failed with status ${response.status}`);
+  }
+
+  const data: { address: string } = await response.json();
+  return data.address;
+}
@@ -0,0 +1,16 @@
+export type DescriptionStyle = 'poetic' | 'curator' | 'technical' | 'children' | 'caption';
+
+// Keep in sync with the backend allowlist in server/descriptionStyles.js
+export const DESCRIPTION_STYLES: Record<DescriptionStyle, { name: string }> = {
+  poetic: { name: 'Poetic' },
+  curator: { name: 'Curator label' },
+  technical: { name: 'Technical / art-historical' },
+  children: { name: "Children's" },
+  caption: { name: 'One-line caption' },
+};
+
+export const DEFAULT_DESCRIPTION_STYLE: DescriptionStyle = 'poetic';
+
+export function isDescriptionStyle(style: string | null | undefined): style is DescriptionStyle {
+  return !!style && Object.prototype.hasOwnProperty.call(DESCRIPTION_STYLES, style);
+}
@@ -1,64 +1,280 @@
 import type { Nft } from './reservoirService';
+import type { Chain } from './chains';
+import type { DescriptionStyle } from './descriptionStyles';
+import type { Language } from './languages';
+import { fetchWhenIndexed } from './traitService';
+
+export interface StreamDescriptionOptions {
+  /** Collection contract; required for the backend to store and replay descriptions. */
+  contractAddress?: string;
+  /** Chain the collection lives on; part of the backend cache key. */
+  chain?: Chain;
+  /** Voice and length of the description; part of the backend cache key. */
+  style?: DescriptionStyle;
+  /** Output language; the backend falls back to Accept-Language when omitted. */
+  language?: Language;
+  /** Skip any stored description and generate a new one. */
+  fresh?: boolean;
+  /** Aborting closes the request, which also stops generation on the backend. */
+  signal?: AbortSignal;
+}
+
+export type DescriptionCacheStatus = 'HIT' | 'MISS' | 'BYPASS';
+
+/** First event: how the description is being produced. */
+export interface DescriptionMetaEvent {
+  type: 'meta';
+  processingType: string | null;
+  model: string | null;
+  cache: DescriptionCacheStatus;
+  style: DescriptionStyle;
+  language: Language;
+}
+
+/** A chunk of description text, in order. */
+export interface DescriptionDeltaEvent {
+  type: 'delta';
+  text: string;
+}
+
+/** Last event of a successful stream. */
+export interface DescriptionDoneEvent {
+  type: 'done';
+  timings: {
+    totalMs: number;
+    mediaMs: number;
+    firstTokenMs: number | null;
+    generationMs: number;
+  };
+  /** Token usage reported by Gemini; null for replayed descriptions. */
+  usage: {
+    promptTokens: number | null;
+    outputTokens: number | null;
+    totalTokens: number | null;
+  } | null;
+}
+
+/** Last event of a failed stream, including HTTP and network failures. */
+export interface DescriptionErrorEvent {
+  type: 'error';
+  code: string;
+  message: string;
+}
+
+export type DescriptionEvent =
+  | DescriptionMetaEvent
+  | DescriptionDeltaEvent
+  | DescriptionDoneEvent
+  | DescriptionErrorEvent;
+
+/**
+ * Parses one Server-Sent Events block ("event: ...\ndata: ...") into a typed event.
+ */
+function parseEventBlock(block: string): DescriptionEvent | null {
+  let eventName = 'message';
+  const dataLines: string[] = [];
+
+  for (const line of block.split(/\r?\n/)) {
+    if (line.startsWith('event:')) {
+      eventName = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  }
+
+  if (dataLines.length === 0 || !['meta', 'delta', 'done', 'error'].includes(eventName)) {
+    return null;
+  }
+
+  return { type: eventName, ...JSON.parse(dataLines.join('\n')) } as DescriptionEvent;
+}
 
 /**
  * Streams a creative description for a given NFT from the backend Gemini API.
  * It automatically handles various media types (images, gifs, videos) by
  * converting them to a static image for visual analysis and includes NFT traits.
+ * Descriptions the backend has already generated are replayed from its store.
  * @param nft The NFT object containing metadata, media URL, and attributes.
- * @returns An async generator that yields text chunks of the description.
+ * @param options Collection address for caching, description style and language, and whether to force a fresh description.
+ * @returns An async generator of protocol events: `meta`, then `delta`s, then
+ * `done` or `error`. Failures are always reported as a final `error` event;
+ * an aborted stream simply ends.
  */
 export async function* streamNftDescription(
   nft: Nft,
-): AsyncGenerator<string, void, undefined> {
+  options: StreamDescriptionOptions = {},
+): AsyncGenerator<DescriptionEvent, void, undefined> {
+  let response: Response;
   try {
     // Use local backend for development, production backend for production
     const BACKEND_URL = import.meta.env.DEV ? 'http://localhost:3001' : '';
-    const response = await fetch(`${BACKEND_URL}/api/gemini/stream-nft-description`, {
+    response = await fetch(`${BACKEND_URL}/api/gemini/stream-nft-description`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
       },
-      body: JSON.stringify({ nft }),
+      body: JSON.stringify({
+        nft,
+        contractAddress: options.contractAddress,
+        chain: options.chain,
+        style: options.style,
+        language: options.language,
+        fresh: options.fresh === true,
+      }),
+      signal: options.signal,
     });
+  } catch (error) {
+    if (options.signal?.aborted) return;
+    console.error('Error streaming from backend Gemini API:', error);
+    yield { type: 'error', code: 'NETWORK_ERROR', message: 'Could not reach the description service.' };
+    return;
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    
+    // Handle rate limiting specifically
+    if (response.status === 429) {
+      yield { type: 'error', code: 'RATE_LIMITED', message: 'Too many requests. Please try again in a moment.' };
+      return;
+    }
+    
+    yield {
+      type: 'error',
+      code: errorData.code || `HTTP_${response.status}`,
+      message: errorData.error || `HTTP error! status: ${response.status}`,
+    };
+    return;
+  }
+
+  if (!response.body) {
+    yield { type: 'error', code: 'NO_BODY', message: 'No response body available for streaming' };
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finished = false;
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
+  try {
+    while (!finished) {
+      const { done, value } = await reader.read();
       
-      // Handle rate limiting specifically
-      if (response.status === 429) {
-        throw new Error('Too many requests. Please try again in a moment.');
-      }
+      if (done) break;
       
-      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-    }
+      buffer += decoder.decode(value, { stream: true });
 
-    if (!response.body) {
-      throw new Error('No response body available for streaming');
-    }
+      // Events are separated by a blank line
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop() ?? '';
 
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-
-    try {
-      while (true) {
-        const { done, value } = await reader.read();
-        
-        if (done) break;
-        
-        const chunk = decoder.decode(value, { stream: true });
-        if (chunk) {
-          yield chunk;
+      for (const block of blocks) {
+        const event = parseEventBlock(block);
+        if (!event) continue;
+        yield event;
+        if (event.type === 'done' || event.type === 'error') {
+          finished = true;
+          break;
         }
       }
-    } finally {
-      reader.releaseLock();
     }
   } catch (error) {
-    console.error('Error streaming from backend Gemini API:', error);
-    const errorMessage =
-      error instanceof Error ? error.message : 'An unknown error occurred.';
-    yield `Error: Could not generate content for "${nft.name}". ${errorMessage}`;
-    // Re-throwing allows the caller to handle the error state definitively.
-    throw new Error(errorMessage);
+    if (options.signal?.aborted) return;
+    console.error('Error reading description stream:', error);
+    yield { type: 'error', code: 'STREAM_INTERRUPTED', message: 'The description stream was interrupted.' };
+    return;
+  } finally {
+    reader.releaseLock();
+  }
+
+  if (!finished && !options.signal?.aborted) {
+    yield { type: 'error', code: 'STREAM_INTERRUPTED', message: 'The description stream ended unexpectedly.' };
+  }
+}
+
+export interface NftAnalysis {
+  subjects: string[];
+  /** `hex` is null when the model's value was not a valid #rrggbb color. */
+  dominantColors: { name: string; hex: string | null }[];
+  medium: string;
+  style: string;
+  moodTags: string[];
+  visibleText: string[];
+  altText: string;
+}
+
+/**
+ * Fetches a structured analysis of an NFT's artwork (subjects, colors,
+ * medium/style, mood tags, visible text and alt text) from the backend.
+ * The backend validates the JSON before returning it.
+ * @param nft The NFT object containing metadata and media URL.
+ * @param language Output language for the free-text fields.
+ * @param signal Aborting cancels the request and the backend's generation.
+ */
+export async function analyzeNft(nft: Nft, language?: Language, signal?: AbortSignal): Promise<NftAnalysis> {
+  const BACKEND_URL = import.meta.env.DEV ? 'http://localhost:3001' : '';
+  const response = await fetch(`${BACKEND_URL}/api/gemini/analyze-nft`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ nft, language }),
+    signal,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    if (response.status === 429) {
+      throw new Error('Too many requests. Please try again in a moment.');
+    }
+    throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.analysis;
+}
+
+export interface CollectionEssay {
+  essay: string;
+  language: Language;
+  model: string;
+  /** The tokens on the contact sheet the essay was written from, in tile order. */
+  samples: { tokenId: string; name: string }[];
+  tokenCount: number;
+  complete: boolean;
+  cache: DescriptionCacheStatus;
+  createdAt: string | null;
+}
+
+/**
+ * Fetches an essay about a whole collection, written by Gemini from a contact
+ * sheet of sampled tokens and the collection's trait distribution. Essays are
+ * stored per collection, so repeat visits are served without calling Gemini.
+ * @param fresh Regenerate instead of returning the stored essay.
+ * @param signal Aborting cancels the request and the backend's generation.
+ */
+export async function getCollectionEssay(
+  contractAddress: string,
+  chain: Chain,
+  language?: Language,
+  { fresh = false, signal }: { fresh?: boolean; signal?: AbortSignal } = {}
+): Promise<CollectionEssay> {
+  const BACKEND_URL = import.meta.env.DEV ? 'http://localhost:3001' : '';
+  const params = new URLSearchParams({ chain });
+  if (language) params.set('lang', language);
+  if (fresh) params.set('fresh', 'true');
+
+  const response = await fetchWhenIndexed(`${BACKEND_URL}/api/collections/${contractAddress}/essay?${params}`, signal);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    if (response.status === 429) {
+      throw new Error('Too many requests. Please try again in a moment.');
+    }
+    throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
   }
-}
\ No newline at end of file
+
+  return response.json();
+}
@@ -0,0 +1,35 @@
+export type Language = 'en' | 'tr' | 'es' | 'ja' | 'de';
+
+export interface LanguageInfo {
+  /** Name in the language itself, for the selector. */
+  nativeName: string;
+  /** Open Graph locale, e.g. for og:locale. */
+  ogLocale: string;
+}
+
+// Keep in sync with the backend allowlist in server/descriptionLanguages.js
+export const LANGUAGES: Record<Language, LanguageInfo> = {
+  en: { nativeName: 'English', ogLocale: 'en_US' },
+  tr: { nativeName: 'Türkçe', ogLocale: 'tr_TR' },
+  es: { nativeName: 'Español', ogLocale: 'es_ES' },
+  ja: { nativeName: '日本語', ogLocale: 'ja_JP' },
+  de: { nativeName: 'Deutsch', ogLocale: 'de_DE' },
+};
+
+export const DEFAULT_LANGUAGE: Language = 'en';
+
+export function isSupportedLanguage(language: string | null | undefined): language is Language {
+  return !!language && Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+}
+
+// First supported language from the browser's preferences (what it sends as Accept-Language)
+export function getBrowserLanguage(): Language {
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+  for (const tag of preferred) {
+    const language = tag?.toLowerCase().split('-')[0];
+    if (isSupportedLanguage(language)) {
+      return language;
+    }
+  }
+  return DEFAULT_LANGUAGE;
+}
@@ -0,0 +1,35 @@
+import type { Chain } from './chains';
+import type { DescriptionStyle } from './descriptionStyles';
+import type { Language } from './languages';
+
+export type PosterSize = 'square' | 'a4' | 'story';
+export type PosterFormat = 'png' | 'pdf';
+
+// Keep in sync with POSTER_SIZES and POSTER_FORMATS in server/poster.js
+export const POSTER_SIZES: Record<PosterSize, { name: string }> = {
+  square: { name: 'Square' },
+  a4: { name: 'A4' },
+  story: { name: 'Story' },
+};
+
+export const POSTER_FORMATS: Record<PosterFormat, { name: string }> = {
+  png: { name: 'PNG' },
+  pdf: { name: 'PDF' },
+};
+
+export interface PosterOptions {
+  chain: Chain;
+  style: DescriptionStyle;
+  language: Language;
+  size: PosterSize;
+  format: PosterFormat;
+}
+
+// Download link for a token's poster. The backend prints the description
+// stored for this style and language, so link to it once one has been generated.
+export function getPosterUrl(collectionAddress: string, tokenId: string, { chain, style, language, size, format }: PosterOptions): string {
+  // Use local backend for development, production backend for production
+  const BACKEND_URL = import.meta.env.DEV ? 'http://localhost:3001' : '';
+  const params = new URLSearchParams({ chain, style, lang: language, size, format });
+  return `${BACKEND_URL}/api/share/${collectionAddress}/${tokenId}/poster?${params}`;
+}
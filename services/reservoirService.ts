@@ -1,89 +1,47 @@
+import { DEFAULT_CHAIN, type Chain } from './chains';
+
 export interface Attribute {
   key: string;
   value: string;
 }
 
+// NFT as returned by the backend. See the typedefs in server/nftNormalizer.js.
 export interface Nft {
-  tokenId: string;
+  contractAddress: string;
+  tokenId: string; // Decimal
+  tokenType: 'ERC721' | 'ERC1155' | null;
   name: string;
-  image: string;
   description: string;
+  image: string; // HTTP URL ('' when none)
+  imageRaw: string | null; // As stored in metadata (ipfs://, ar://, data:...)
+  animationUrl: string | null;
+  animationUrlRaw: string | null;
+  thumbnailUrl: string | null;
   attributes: Attribute[];
 }
 
-export interface AlchemyNft {
-  contract: {
-    address: string;
-  };
-  tokenId: string; // Direct tokenId (legacy)
-  tokenType: string;
-  name: string;
-  description: string;
-  id: {
-    tokenId: string;
-    tokenMetadata: any;
-  };
-  title: string;
-  image: {
-    cachedUrl: string;
-    thumbnailUrl: string;
-    pngUrl: string;
-    contentType: string;
-    size: number;
-  };
-  media: Array<{
-    gateway: string;
-    thumbnail: string;
-    raw: string;
-  }>;
-  metadata: {
-    name: string;
-    description: string;
-    image: string;
-    attributes?: Array<{
-      trait_type: string;
-      value: string;
-    }>;
-  };
-}
-
-// Helper function to convert hex token ID to decimal
-function convertHexToDecimal(hexTokenId: string): string {
-  return hexTokenId.startsWith('0x') ? parseInt(hexTokenId, 16).toString() : hexTokenId;
+// Collection (contract) metadata as returned by the backend
+export interface Collection {
+  address: string;
+  chain: Chain;
+  name: string | null;
+  symbol: string | null;
+  tokenType: 'ERC721' | 'ERC1155' | null;
+  totalSupply: number | null;
+  deployer: string | null;
+  deployedBlockNumber: number | null;
+  description: string | null;
+  imageUrl: string | null;
+  slug: string | null; // Marketplace (OpenSea) slug, when known
 }
 
-// Helper function to convert IPFS URLs to HTTP gateways
-function convertIpfsToHttp(url: string): string {
-  if (url.startsWith('ipfs://')) {
-    const ipfsHash = url.replace('ipfs://', '');
-    return `https://ipfs.io/ipfs/${ipfsHash}`;
-  }
-  return url;
-}
-
-// Helper function to map Alchemy NFT to our Nft interface
-function mapAlchemyNftToNft(nft: AlchemyNft): Nft {
-  const hexTokenId = nft.id?.tokenId || nft.tokenId || '0';
-  const decimalTokenId = convertHexToDecimal(hexTokenId);
-  
-  // Prioritize gateway/thumbnail URLs over raw data URLs for better frontend performance
-  const rawImageUrl = nft.image?.cachedUrl || nft.image?.pngUrl || nft.image?.thumbnailUrl || nft.media?.[0]?.gateway || nft.media?.[0]?.thumbnail || nft.metadata?.image || nft.media?.[0]?.raw || '';
-  const httpImageUrl = convertIpfsToHttp(rawImageUrl);
-  
-  return {
-    tokenId: decimalTokenId,
-    name: nft.title || nft.metadata?.name || nft.name || `Token #${decimalTokenId}`,
-    image: httpImageUrl,
-    description: nft.metadata?.description || nft.description || '',
-    attributes: nft.metadata?.attributes?.map(attr => ({
-      key: attr.trait_type,
-      value: attr.value
-    })) || [],
-  };
+export interface NftPage {
+  nfts: Nft[];
+  nextPageKey: string | null;
 }
 
 // Get a single random NFT from collection
-export async function getRandomNft(collectionAddress: string): Promise<Nft | null> {
+export async function getRandomNft(collectionAddress: string, chain: Chain = DEFAULT_CHAIN): Promise<Nft | null> {
   if (!collectionAddress) {
     if (import.meta.env.DEV) {
       console.warn("getRandomNft called with no collection address.");
@@ -93,7 +51,7 @@ export async function getRandomNft(collectionAddress: string): Promise<Nft | nul
 
     try {
     // Get total supply first
-    const totalSupply = await getCollectionTotalSupply(collectionAddress);
+    const totalSupply = await getCollectionTotalSupply(collectionAddress, chain);
     
     if (!totalSupply) {
       // Some collections don't expose total supply, use fallback method
@@ -101,13 +59,8 @@ export async function getRandomNft(collectionAddress: string): Promise<Nft | nul
         console.warn('Collection total supply not available, using fallback pagination method');
       }
       
-      // Fallback: try to get first few NFTs and pick random
-      const fallbackNfts = await getCollectionNfts(collectionAddress);
-      if (fallbackNfts.length > 0) {
-        const randomIndex = Math.floor(Math.random() * fallbackNfts.length);
-        return fallbackNfts[randomIndex];
-      }
-      return null;
+      // Fallback: pick from the first page of tokens
+      return await getRandomNftFromFirstPage(collectionAddress, chain);
     }
     
 
@@ -116,7 +69,7 @@ export async function getRandomNft(collectionAddress: string): Promise<Nft | nul
     const randomTokenId = Math.floor(Math.random() * totalSupply);
 
     // Fetch single NFT
-    const nft = await getNftByTokenId(collectionAddress, randomTokenId.toString());
+    const nft = await getNftByTokenId(collectionAddress, randomTokenId.toString(), chain);
     return nft;
   } catch (error) {
     if (import.meta.env.DEV) {
@@ -124,11 +77,7 @@ export async function getRandomNft(collectionAddress: string): Promise<Nft | nul
     }
     // Fallback to old method
     try {
-      const fallbackNfts = await getCollectionNfts(collectionAddress);
-      if (fallbackNfts.length > 0) {
-        const randomIndex = Math.floor(Math.random() * fallbackNfts.length);
-        return fallbackNfts[randomIndex];
-      }
+      return await getRandomNftFromFirstPage(collectionAddress, chain);
     } catch (fallbackError) {
       if (import.meta.env.DEV) {
         console.error("Fallback also failed:", fallbackError);
@@ -139,7 +88,7 @@ export async function getRandomNft(collectionAddress: string): Promise<Nft | nul
 }
 
 // Get NFT by specific token ID
-export async function getNftByTokenId(collectionAddress: string, tokenId: string): Promise<Nft | null> {
+export async function getNftByTokenId(collectionAddress: string, tokenId: string, chain: Chain = DEFAULT_CHAIN): Promise<Nft | null> {
   if (!collectionAddress || !tokenId) {
     if (import.meta.env.DEV) {
       console.warn("getNftByTokenId called with invalid parameters.");
@@ -150,13 +99,13 @@ export async function getNftByTokenId(collectionAddress: string, tokenId: string
   try {
     // Use local backend for development, production backend for production
     const BACKEND_URL = import.meta.env.DEV ? 'http://localhost:3001' : '';
-    const response = await fetch(`${BACKEND_URL}/api/alchemy/nft-metadata/${collectionAddress}/${tokenId}`);
+    const response = await fetch(`${BACKEND_URL}/api/alchemy/nft-metadata/${collectionAddress}/${tokenId}?chain=${chain}`);
     if (!response.ok) {
       throw new Error(`Backend API request failed with status ${response.status}`);
     }
 
-    const nft: AlchemyNft = await response.json();
-    return mapAlchemyNftToNft(nft);
+    const nft: Nft = await response.json();
+    return nft;
   } catch (error) {
     if (import.meta.env.DEV) {
       console.error("Failed to fetch NFT by token ID:", error);
@@ -165,94 +114,81 @@ export async function getNftByTokenId(collectionAddress: string, tokenId: string
   }
 }
 
-// Get collection total supply
-export async function getCollectionTotalSupply(collectionAddress: string): Promise<number | null> {
+// Get collection (contract) metadata
+export async function getCollection(collectionAddress: string, chain: Chain = DEFAULT_CHAIN): Promise<Collection | null> {
   try {
     // Use local backend for development, production backend for production
     const BACKEND_URL = import.meta.env.DEV ? 'http://localhost:3001' : '';
-    const response = await fetch(`${BACKEND_URL}/api/alchemy/contract-metadata/${collectionAddress}`);
+    const response = await fetch(`${BACKEND_URL}/api/alchemy/contract-metadata/${collectionAddress}?chain=${chain}`);
 
     if (!response.ok) {
       throw new Error(`Backend API request failed with status ${response.status}`);
     }
 
-    const data = await response.json();
-    
-    // Try different possible field paths for total supply
-    const totalSupply = parseInt(
-      data.totalSupply || 
-      data.contractMetadata?.totalSupply || 
-      data.contractMetadata?.supply ||
-      '0'
-    );
-    
-    return totalSupply;
+    const collection: Collection = await response.json();
+    return collection;
   } catch (error) {
     if (import.meta.env.DEV) {
-      console.error("Failed to fetch collection total supply:", error);
+      console.error("Failed to fetch collection metadata:", error);
     }
     return null;
   }
 }
 
-// This function is now only used as a fallback in getRandomNft
-export async function getCollectionNfts(collectionAddress: string): Promise<Nft[]> {
-  if (!collectionAddress) {
-    if (import.meta.env.DEV) {
-      console.warn("getCollectionNfts called with no collection address.");
-    }
-    return [];
-  }
-
-  try {
-    const allNfts: Nft[] = [];
-    let pageKey: string | undefined;
-    const pageSize = 100; // Alchemy max per request
-
-    do {
-      // Use local backend for development, production backend for production
-      const BACKEND_URL = import.meta.env.DEV ? 'http://localhost:3001' : '';
-      let url = `${BACKEND_URL}/api/alchemy/collection-nfts/${collectionAddress}?limit=${pageSize}`;
-      if (pageKey) {
-        url += `&pageKey=${pageKey}`;
-      }
-
-      const response = await fetch(url);
-
-      if (!response.ok) {
-        throw new Error(`Backend API request failed with status ${response.status}`);
-      }
-
-      const data = await response.json();
+// Get collection total supply
+export async function getCollectionTotalSupply(collectionAddress: string, chain: Chain = DEFAULT_CHAIN): Promise<number | null> {
+  const collection = await getCollection(collectionAddress, chain);
+  return collection?.totalSupply ?? null;
+}
 
-      if (!data.nfts || !Array.isArray(data.nfts)) {
-        throw new Error('Invalid data structure from backend API');
-      }
+// Get one page of a collection's tokens. Pass the previous page's
+// nextPageKey to continue; throws when the backend request fails.
+export async function getCollectionPage(
+  collectionAddress: string,
+  chain: Chain = DEFAULT_CHAIN,
+  pageKey: string | null = null,
+  limit: number = 24,
+  signal?: AbortSignal,
+): Promise<NftPage> {
+  // Use local backend for development, production backend for production
+  const BACKEND_URL = import.meta.env.DEV ? 'http://localhost:3001' : '';
+  let url = `${BACKEND_URL}/api/alchemy/collection-nfts/${collectionAddress}?limit=${limit}&chain=${chain}`;
+  if (pageKey) {
+    url += `&pageKey=${encodeURIComponent(pageKey)}`;
+  }
 
-      // Add NFTs from this page
-      const pageNfts: Nft[] = data.nfts.map(mapAlchemyNftToNft);
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Backend API request failed with status ${response.status}`);
+  }
 
-      allNfts.push(...pageNfts);
+  const data: NftPage = await response.json();
+  if (!data.nfts || !Array.isArray(data.nfts)) {
+    throw new Error('Invalid data structure from backend API');
+  }
+  return data;
+}
 
-      // Get page key for next page
-      pageKey = data.nextToken;
+// Fallback for getRandomNft when the total supply is unknown: pick from the first page
+async function getRandomNftFromFirstPage(collectionAddress: string, chain: Chain): Promise<Nft | null> {
+  const { nfts } = await getCollectionPage(collectionAddress, chain, null, 100);
+  return nfts.length > 0 ? nfts[Math.floor(Math.random() * nfts.length)] : null;
+}
 
-      // Safety check to prevent infinite loops
-      if (allNfts.length > 10000) {
-        if (import.meta.env.DEV) {
-          console.warn('Collection has more than 10,000 NFTs. Stopping pagination for safety.');
-        }
-        break;
-      }
+export type ThumbnailSize = 128 | 256 | 384;
 
-    } while (pageKey);
+// Small square thumbnail served and cached by the backend. data: URIs
+// (inline SVGs) are already local and are used as they are.
+export function getThumbnailUrl(nft: Nft, size: ThumbnailSize = 256): string | null {
+  return getImageThumbnailUrl(nft.image, size);
+}
 
-    return allNfts;
+// The same for any image URL, e.g. a collection's
+export function getImageThumbnailUrl(imageUrl: string | null, size: ThumbnailSize = 256): string | null {
+  if (!imageUrl) return null;
+  if (imageUrl.startsWith('data:')) return imageUrl;
 
-  } catch (error) {
-    if (import.meta.env.DEV) {
-      console.error("Failed to fetch NFTs from backend:", error);
-    }
-    return [];
-  }
+  // Use local backend for development, production backend for production
+  const BACKEND_URL = import.meta.env.DEV ? 'http://localhost:3001' : '';
+  return `${BACKEND_URL}/api/media/thumbnail?url=${encodeURIComponent(imageUrl)}&size=${size}`;
 }
@@ -0,0 +1,87 @@
+import { DEFAULT_CHAIN, isSupportedChain, type Chain } from './chains';
+import { isDescriptionStyle, type DescriptionStyle } from './descriptionStyles';
+import { isSupportedLanguage, type Language } from './languages';
+import type { CollectionFilter } from './traitService';
+
+export type View = 'nft' | 'grid' | 'about';
+
+// What the address bar describes. Paths:
+//   /c/:contract            a collection (a random token is picked)
+//   /c/:contract/:tokenId   one token
+//   /c/:contract/browse     the collection grid, filtered by ?trait=Type:Value and ?q=
+//   /c/:contract/about      the collection overview and essay
+// plus ?chain= (when not the default), ?style= and ?lang=.
+// Keep the patterns in sync with the app shell routes in server/appShell.js.
+export interface AppRoute {
+  collectionAddress: string | null; // null: the default collection
+  chain: Chain;
+  view: View;
+  tokenId: string | null; // null: pick a random token
+  filter: CollectionFilter | null; // Grid only
+  style: DescriptionStyle | null; // null: the default style
+  language: Language | null; // null: the browser's language
+}
+
+const ROUTE_PATTERN = /^\/c\/(0x[a-fA-F0-9]{40})(?:\/(\d+|browse|about))?\/?$/;
+
+// Trait filters in the query string look like `Type:Value`
+function parseFilter(params: URLSearchParams): CollectionFilter | null {
+  const traits = params.getAll('trait').flatMap((entry) => {
+    const separator = entry.indexOf(':');
+    const traitType = entry.slice(0, separator).trim();
+    const value = entry.slice(separator + 1).trim();
+    return separator > 0 && traitType && value ? [{ traitType, value }] : [];
+  });
+  const query = params.get('q')?.trim() ?? '';
+  return traits.length > 0 || query ? { traits, query } : null;
+}
+
+// Reads a route from a location. Older share links
+// (?collection=&token=&chain=&style=&lang=&view=grid) are understood too.
+export function parseRoute({ pathname, search }: { pathname: string; search: string }): AppRoute {
+  const params = new URLSearchParams(search);
+  const match = pathname.match(ROUTE_PATTERN);
+  const chain = params.get('chain');
+  const style = params.get('style');
+  const language = params.get('lang');
+
+  const legacyCollection = params.get('collection');
+  const legacyToken = params.get('token');
+  const collectionAddress = match?.[1] ?? (legacyCollection && /^0x[a-fA-F0-9]{40}$/.test(legacyCollection) ? legacyCollection : null);
+  const segment = match?.[2] ?? null;
+  const view: View = segment === 'about' ? 'about'
+    : segment === 'browse' || (!match && params.get('view') === 'grid') ? 'grid' : 'nft';
+  const tokenId = segment && /^\d+$/.test(segment) ? segment : (!match && legacyToken && /^\d+$/.test(legacyToken) ? legacyToken : null);
+
+  return {
+    collectionAddress,
+    chain: isSupportedChain(chain) ? chain : DEFAULT_CHAIN,
+    view,
+    tokenId: view === 'nft' ? tokenId : null,
+    filter: view === 'grid' ? parseFilter(params) : null,
+    style: isDescriptionStyle(style) ? style : null,
+    language: isSupportedLanguage(language) ? language : null,
+  };
+}
+
+// Builds the path and query string for a route (the inverse of parseRoute)
+export function buildRoutePath(route: AppRoute & { collectionAddress: string }): string {
+  const params = new URLSearchParams();
+  if (route.chain !== DEFAULT_CHAIN) params.set('chain', route.chain);
+  if (route.style) params.set('style', route.style);
+  if (route.language) params.set('lang', route.language);
+
+  let path = `/c/${route.collectionAddress}`;
+  if (route.view === 'grid') {
+    path += '/browse';
+    route.filter?.traits.forEach(({ traitType, value }) => params.append('trait', `${traitType}:${value}`));
+    if (route.filter?.query) params.set('q', route.filter.query);
+  } else if (route.view === 'about') {
+    path += '/about';
+  } else if (route.tokenId) {
+    path += `/${route.tokenId}`;
+  }
+
+  const query = params.toString();
+  return query ? `${path}?${query}` : path;
+}
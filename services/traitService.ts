@@ -0,0 +1,202 @@
+import { DEFAULT_CHAIN, type Chain } from './chains';
+import type { NftPage } from './reservoirService';
+
+export interface TraitValueCount {
+  value: string;
+  count: number;
+}
+
+export interface TraitType {
+  traitType: string;
+  values: TraitValueCount[]; // Most common first
+}
+
+// Trait index as returned by the backend. See the typedefs in server/traitIndex.js.
+export interface TraitIndex {
+  chain: Chain;
+  contractAddress: string;
+  tokenCount: number;
+  /** False when the collection was too large to index every token. */
+  complete: boolean;
+  builtAt: string;
+  traits: TraitType[];
+}
+
+export interface TraitFilter {
+  traitType: string;
+  value: string;
+}
+
+// Tokens must have every trait type (any listed value per type) and a name containing `query`
+export interface CollectionFilter {
+  traits: TraitFilter[];
+  query: string;
+}
+
+export interface FilteredNftPage extends NftPage {
+  total: number;
+  complete: boolean;
+}
+
+export interface TraitSuggestion extends TraitFilter {
+  count: number;
+}
+
+// Waits `seconds`, or rejects as soon as `signal` aborts
+function waitForRetry(seconds: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, seconds * 1000);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal?.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Fetches a collection endpoint backed by the trait index. The backend
+// indexes a collection in the background on first use and answers 202
+// until it is done, so this asks again after each Retry-After.
+export async function fetchWhenIndexed(url: string, signal?: AbortSignal): Promise<Response> {
+  for (;;) {
+    const response = await fetch(url, { signal });
+    if (response.status !== 202) {
+      return response;
+    }
+    await waitForRetry(Number(response.headers.get('Retry-After')) || 2, signal);
+  }
+}
+
+// Get a collection's trait types, values and counts. The first request for a
+// collection waits while the backend indexes it.
+export async function getTraitIndex(collectionAddress: string, chain: Chain = DEFAULT_CHAIN, signal?: AbortSignal): Promise<TraitIndex> {
+  // Use local backend for development, production backend for production
+  const BACKEND_URL = import.meta.env.DEV ? 'http://localhost:3001' : '';
+  const response = await fetchWhenIndexed(`${BACKEND_URL}/api/collections/${collectionAddress}/traits?chain=${chain}`, signal);
+  if (!response.ok) {
+    throw new Error(`Backend API request failed with status ${response.status}`);
+  }
+  return response.json();
+}
+
+// Get one page of the tokens matching a filter
+export async function searchCollectionTokens(
+  collectionAddress: string,
+  chain: Chain,
+  filter: CollectionFilter,
+  pageKey: string | null = null,
+  limit: number = 24,
+  signal?: AbortSignal,
+): Promise<FilteredNftPage> {
+  // Use local backend for development, production backend for production
+  const BACKEND_URL = import.meta.env.DEV ? 'http://localhost:3001' : '';
+  const params = new URLSearchParams({ chain, limit: String(limit) });
+  filter.traits.forEach(({ traitType, value }) => params.append('trait', `${traitType}:${value}`));
+  if (filter.query) params.set('q', filter.query);
+  if (pageKey) params.set('pageKey', pageKey);
+
+  const response = await fetchWhenIndexed(`${BACKEND_URL}/api/collections/${collectionAddress}/tokens?${params}`, signal);
+  if (!response.ok) {
+    throw new Error(`Backend API request failed with status ${response.status}`);
+  }
+
+  const data: FilteredNftPage = await response.json();
+  if (!data.nfts || !Array.isArray(data.nfts)) {
+    throw new Error('Invalid data structure from backend API');
+  }
+  return data;
+}
+
+export const formatTraitFilter = ({ traitType, value }: TraitFilter) => `${traitType}: ${value}`;
+
+// Stable identity for a filter, e.g. for React keys
+export const getFilterKey = (filter: CollectionFilter | null) =>
+  filter ? JSON.stringify([filter.traits.map(formatTraitFilter).sort(), filter.query]) : '';
+
+// Splits a search like "Background: Blue, Eyes: Laser" into trait filters.
+// When the collection's traits are known, "Type: Value" parts with an
+// unknown type are treated as name text instead; everything else matches names.
+export function parseCollectionFilter(search: string, knownTraits: TraitType[] = []): CollectionFilter {
+  const traits: TraitFilter[] = [];
+  const nameParts: string[] = [];
+
+  for (const part of search.split(',').map((text) => text.trim()).filter(Boolean)) {
+    const separator = part.indexOf(':');
+    const traitType = separator === -1 ? '' : part.slice(0, separator).trim();
+    const value = separator === -1 ? '' : part.slice(separator + 1).trim();
+    const known = knownTraits.find((trait) => trait.traitType.toLowerCase() === traitType.toLowerCase());
+
+    if (traitType && value && (known || knownTraits.length === 0)) {
+      traits.push({ traitType: known?.traitType ?? traitType, value });
+    } else {
+      nameParts.push(part);
+    }
+  }
+
+  return { traits, query: nameParts.join(' ') };
+}
+
+// Trait values whose type or value contains `text`, most common first
+export function getTraitSuggestions(traits: TraitType[], text: string, limit: number = 8): TraitSuggestion[] {
+  const needle = text.trim().toLowerCase();
+  if (!needle) return [];
+
+  const suggestions: TraitSuggestion[] = [];
+  for (const { traitType, values } of traits) {
+    for (const { value, count } of values) {
+      if (formatTraitFilter({ traitType, value }).toLowerCase().includes(needle)) {
+        suggestions.push({ traitType, value, count });
+      }
+    }
+  }
+  return suggestions.sort((a, b) => b.count - a.count).slice(0, limit);
+}
+
+export interface TraitRarity {
+  traitType: string;
+  value: string;
+  count: number;
+  frequency: number; // Share of indexed tokens, 0-1
+}
+
+// One token's rarity as returned by the backend. See the typedefs in server/rarity.js.
+export interface TokenRarity {
+  tokenId: string;
+  rank: number; // 1 is the rarest
+  statisticalScore: number;
+  traitCount: number;
+  traitCountScore: number;
+  traits: TraitRarity[]; // Rarest first
+}
+
+export interface TokenRarityResponse {
+  chain: Chain;
+  contractAddress: string;
+  tokenCount: number;
+  complete: boolean;
+  token: TokenRarity;
+}
+
+// Get a token's rarity rank within its collection, or null if it is not indexed
+// (yet: a 202 means the collection's trait index is still building)
+export async function getTokenRarity(
+  collectionAddress: string,
+  tokenId: string,
+  chain: Chain = DEFAULT_CHAIN,
+  signal?: AbortSignal,
+): Promise<TokenRarityResponse | null> {
+  // Use local backend for development, production backend for production
+  const BACKEND_URL = import.meta.env.DEV ? 'http://localhost:3001' : '';
+  const response = await fetch(`${BACKEND_URL}/api/collections/${collectionAddress}/rarity?chain=${chain}&tokenId=${tokenId}`, { signal });
+  if (response.status === 404 || response.status === 202) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Backend API request failed with status ${response.status}`);
+  }
+  return response.json();
+}
@@ -0,0 +1,23 @@
+import './mockEnv.js';
+import http from 'http';
+import { createApp } from '../../server/app.js';
+import { listen } from './server.js';
+
+/**
+ * Starts the Express app in MOCK_PROVIDERS mode on a free port. Fixture
+ * media URLs point at it. Resolves with { server, origin }.
+ */
+export async function startMockApp() {
+  const server = http.createServer(createApp());
+  const origin = await listen(server);
+  process.env.MOCK_MEDIA_ORIGIN = origin;
+  return { server, origin };
+}
+
+/**
+ * Closes a server started by the tests, including kept-alive connections
+ */
+export function stopServer(server) {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+}
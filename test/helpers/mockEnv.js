@@ -0,0 +1,21 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Import before any server module: turns on MOCK_PROVIDERS, speeds up the
+// fake Gemini's stream and points the caches and temp files at a throwaway
+// directory, since all three are read when the server modules load
+process.env.MOCK_PROVIDERS = 'true';
+process.env.MOCK_GEMINI_DELAY_MS = '1';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chaingallery-test-'));
+
+/**
+ * Deletes the throwaway data directory
+ */
+export function removeDataDir() {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+}
+
+// Node 20's test runner reads results from a test file's stdout, and the
+// server's progress logs there can garble them; send the logs to stderr
+console.log = console.error;
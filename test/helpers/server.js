@@ -0,0 +1,49 @@
+import http from 'http';
+
+/**
+ * Starts an HTTP server on a free loopback port and resolves with its origin
+ */
+export function listen(server) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve(`http://127.0.0.1:${server.address().port}`);
+    });
+  });
+}
+
+/**
+ * Sends a request and buffers the response. Unlike fetch, it can set the Host
+ * header, and it never follows redirects or decodes bodies.
+ * Resolves with { status, headers, body } where body is a Buffer.
+ */
+export function request(origin, { method = 'GET', path, headers = {}, body } = {}) {
+  const payload = body === undefined ? undefined : JSON.stringify(body);
+
+  return new Promise((resolve, reject) => {
+    const req = http.request(new URL(path, origin), {
+      method,
+      headers: {
+        ...(payload && { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }),
+        ...headers
+      }
+    }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * Splits a Server-Sent Events body into [{ event, data }] with parsed JSON data
+ */
+export function parseEvents(body) {
+  return body.toString('utf8').trim().split('\n\n').map(block => {
+    const [, event, data] = block.match(/^event: (\w+)\ndata: (.*)$/);
+    return { event, data: JSON.parse(data) };
+  });
+}
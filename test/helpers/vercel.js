@@ -0,0 +1,64 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { routes } from '../../server/routes.js';
+import { listen } from './server.js';
+
+const API_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'api');
+
+// The function file Vercel's file-system routing maps a route path to:
+// `:param` segments are `[param]` directories or files
+function getFunctionFile(routePath) {
+  const segments = routePath.replace(/^\/api\//, '').split('/')
+    .map(segment => segment.startsWith(':') ? `[${segment.slice(1)}]` : segment);
+  const base = path.join(API_DIR, ...segments);
+  return fs.existsSync(`${base}.js`) ? `${base}.js` : path.join(base, 'index.js');
+}
+
+const functions = Object.values(routes).map(route => {
+  const names = [];
+  const pattern = route.path.replace(/:(\w+)/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  return { pattern: new RegExp(`^${pattern}$`), names, file: getFunctionFile(route.path) };
+});
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Starts a server that runs the functions in api/ the way Vercel's Node
+ * runtime does: path segments and the query string in req.query, and a
+ * parsed JSON body. Resolves with { server, origin }.
+ */
+export async function startVercelServer() {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://vercel.test');
+    const match = functions.map(fn => ({ fn, values: url.pathname.match(fn.pattern) })).find(({ values }) => values);
+    if (!match) {
+      res.statusCode = 404;
+      return res.end('NOT_FOUND');
+    }
+
+    req.query = Object.fromEntries(url.searchParams);
+    match.fn.names.forEach((name, index) => {
+      req.query[name] = decodeURIComponent(match.values[index + 1]);
+    });
+
+    const body = await readBody(req);
+    req.body = body && req.headers['content-type']?.startsWith('application/json') ? JSON.parse(body) : undefined;
+
+    const { default: handler } = await import(pathToFileURL(match.fn.file).href);
+    await handler(req, res);
+  });
+
+  return { server, origin: await listen(server) };
+}
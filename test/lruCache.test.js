@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLruCache } from '../server/lruCache.js';
+
+function createDiskCache(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chaingallery-lru-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return {
+    directory,
+    cache: createLruCache({ name: 'Test', maxBytes: 1024 * 1024, maxDiskBytes: 1024 * 1024, ttl: 60 * 1000, directory })
+  };
+}
+
+function getDirectoryBytes(directory) {
+  return fs.readdirSync(directory).reduce((total, file) => total + fs.statSync(path.join(directory, file)).size, 0);
+}
+
+test('counts a key set several times at once only once on disk', async (t) => {
+  const { directory, cache } = createDiskCache(t);
+
+  await Promise.all([cache.set('key', 'a'.repeat(100)), cache.set('key', 'b'.repeat(200)), cache.set('key', 'c')]);
+
+  const { disk } = cache.stats();
+  assert.equal(disk.entries, 1);
+  assert.equal(disk.bytes, getDirectoryBytes(directory));
+  assert.equal(await cache.get('key'), 'c');
+});
+
+test('restores stored values from disk in a new cache', async (t) => {
+  const { directory, cache } = createDiskCache(t);
+  await cache.set('buffer', { data: Buffer.from('pixels') });
+
+  const reopened = createLruCache({ name: 'Test', maxBytes: 1024, maxDiskBytes: 1024 * 1024, ttl: 60 * 1000, directory });
+  const { data } = await reopened.get('buffer');
+  assert.equal(data.toString(), 'pixels');
+  assert.equal(reopened.stats().disk.bytes, getDirectoryBytes(directory));
+});
@@ -0,0 +1,43 @@
+import { removeDataDir } from './helpers/mockEnv.js';
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { readBodyWithLimit } from '../server/mediaUtils.js';
+
+after(removeDataDir);
+
+// A fetch-like response whose body streams `chunks` and records whether it was read
+function createResponse(chunks, headers = {}) {
+  const body = Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+  body.chunksRead = 0;
+  body.on('data', () => body.chunksRead++);
+  return { headers: new Headers(headers), body };
+}
+
+test('reads a body under the limit', async () => {
+  const buffer = await readBodyWithLimit(createResponse(['ab', 'cd']), 10);
+  assert.equal(buffer.toString(), 'abcd');
+});
+
+test('refuses bodies over the limit, declared or streamed', async () => {
+  await assert.rejects(readBodyWithLimit(createResponse(['abcd'], { 'content-length': '11' }), 10), { code: 'MEDIA_TOO_LARGE' });
+  await assert.rejects(readBodyWithLimit(createResponse(['abcdef', 'ghijkl']), 10), { code: 'MEDIA_TOO_LARGE' });
+});
+
+test('reads nothing when the signal has already aborted', async () => {
+  const response = createResponse(['ab', 'cd']);
+  const controller = new AbortController();
+  controller.abort(new Error('Client went away'));
+
+  await assert.rejects(readBodyWithLimit(response, 10, controller.signal), /Client went away/);
+  assert.equal(response.body.chunksRead, 0);
+  assert.equal(response.body.destroyed, true);
+});
+
+test('stops reading when the signal aborts mid-body', async () => {
+  const controller = new AbortController();
+  const response = createResponse(['ab', 'cd', 'ef']);
+  response.body.once('data', () => controller.abort(new Error('Cancelled')));
+
+  await assert.rejects(readBodyWithLimit(response, 10, controller.signal), /Cancelled/);
+});
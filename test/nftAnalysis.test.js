@@ -0,0 +1,37 @@
+import { removeDataDir } from './helpers/mockEnv.js';
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateAnalysisPrompt, getAnalysisKey } from '../server/nftAnalysis.js';
+
+after(removeDataDir);
+
+const nft = { tokenId: '4', name: 'Pulse Loop #4', description: 'A loop.', attributes: [] };
+
+function storyboard(mode) {
+  return { processingType: 'video_storyboard', storyboard: { mode, frameCount: 6, duration: 3, layout: { columns: 3, rows: 2 } } };
+}
+
+test('describes a contact sheet as one attached image', () => {
+  const prompt = generateAnalysisPrompt(nft, storyboard('contact_sheet'), 'en');
+  assert.match(prompt, /The attached image is a contact sheet of 6 frames/);
+  assert.doesNotMatch(prompt, /attached images are/);
+});
+
+test('describes storyboard parts as one attached image per frame', () => {
+  const prompt = generateAnalysisPrompt(nft, storyboard('parts'), 'en');
+  assert.match(prompt, /The attached images are 6 frames in chronological order/);
+});
+
+test('adds no frame note for still images', () => {
+  const prompt = generateAnalysisPrompt(nft, { processingType: 'optimized_static' }, 'de');
+  assert.ok(prompt.startsWith('Analyze the attached artwork of this NFT.\n'));
+  assert.match(prompt, /Write the text of every field in German/);
+});
+
+test('keys analyses by media, shown metadata and language', () => {
+  const key = getAnalysisKey({ mediaKey: 'abc_contact_sheet', nft, language: 'en', model: 'mock' });
+  assert.equal(key, getAnalysisKey({ mediaKey: 'abc_contact_sheet', nft: { ...nft }, language: 'en', model: 'mock' }));
+  assert.notEqual(key, getAnalysisKey({ mediaKey: 'abc_contact_sheet', nft: { ...nft, name: 'Other' }, language: 'en', model: 'mock' }));
+  assert.notEqual(key, getAnalysisKey({ mediaKey: 'abc_contact_sheet', nft, language: 'de', model: 'mock' }));
+  assert.notEqual(key, getAnalysisKey({ mediaKey: 'def_contact_sheet', nft, language: 'en', model: 'mock' }));
+});
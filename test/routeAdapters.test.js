@@ -0,0 +1,166 @@
+import { removeDataDir } from './helpers/mockEnv.js';
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockApp, stopServer } from './helpers/mockApp.js';
+import { startVercelServer } from './helpers/vercel.js';
+import { request, parseEvents } from './helpers/server.js';
+import { routes } from '../server/routes.js';
+
+// The same requests through the Express adapter (mountRoutes, via the app)
+// and the Vercel adapter (handleVercelRequest, via the functions in api/)
+// must get the same responses
+
+const HORIZONS = '0x00000000000000000000000000000000000c0de1';
+const FAILURES = '0x00000000000000000000000000000000000c0de2';
+
+// Headers the two adapters must agree on. Rate limit counters are left out
+// because both adapters count against the same limiters here.
+const COMPARED_HEADERS = [
+  'content-type',
+  'content-language',
+  'content-disposition',
+  'cache-control',
+  'x-description-cache',
+  'content-security-policy',
+  'cross-origin-resource-policy',
+  'x-content-type-options',
+  'x-frame-options',
+  'access-control-allow-origin',
+  'access-control-allow-credentials',
+  'ratelimit-policy'
+];
+
+// Fields that depend on when a response was made
+const VOLATILE_FIELDS = ['timestamp', 'timings'];
+
+function getCases(mediaOrigin) {
+  const sunset = `${mediaOrigin}/mock-media/sunset.png`;
+  const nft = { tokenId: '1', name: 'Sunset Relay #1', image: sunset };
+
+  return [
+    { route: 'health', name: 'health', path: '/api/health' },
+    { route: 'health', name: 'wrong method', method: 'POST', path: '/api/health' },
+    { route: 'contractMetadata', name: 'contract metadata', path: `/api/alchemy/contract-metadata/${HORIZONS}` },
+    { route: 'contractMetadata', name: 'invalid contract address', path: '/api/alchemy/contract-metadata/0x123' },
+    { route: 'contractMetadata', name: 'unsupported chain', path: `/api/alchemy/contract-metadata/${HORIZONS}?chain=dogechain` },
+    { route: 'nftMetadata', name: 'token metadata', path: `/api/alchemy/nft-metadata/${HORIZONS}/2` },
+    { route: 'nftMetadata', name: 'unknown token', path: `/api/alchemy/nft-metadata/${HORIZONS}/999` },
+    { route: 'collectionNfts', name: 'collection page', path: `/api/alchemy/collection-nfts/${HORIZONS}?limit=5` },
+    { route: 'collectionTraits', name: 'collection traits', path: `/api/collections/${HORIZONS}/traits` },
+    { route: 'collectionTokens', name: 'token search', path: `/api/collections/${HORIZONS}/tokens?trait=Medium:Video&q=pulse` },
+    { route: 'collectionTokens', name: 'invalid trait filter', path: `/api/collections/${HORIZONS}/tokens?trait=Medium` },
+    { route: 'collectionRarity', name: 'rarity ranking', path: `/api/collections/${HORIZONS}/rarity?limit=5` },
+    { route: 'collectionRarity', name: 'token rarity', path: `/api/collections/${HORIZONS}/rarity?tokenId=3` },
+    { route: 'collectionEssay', name: 'collection essay', path: `/api/collections/${HORIZONS}/essay?samples=4&fresh=true` },
+    { route: 'collectionSearch', name: 'collection search', path: '/api/collections/search?q=mock' },
+    { route: 'ensLookup', name: 'ENS name', path: '/api/collections/resolve?name=mock-horizons.eth' },
+    { route: 'ensLookup', name: 'unknown ENS name', path: '/api/collections/resolve?name=nobody.eth' },
+    { route: 'thumbnail', name: 'thumbnail', path: `/api/media/thumbnail?url=${encodeURIComponent(sunset)}&size=128` },
+    { route: 'thumbnail', name: 'invalid thumbnail size', path: `/api/media/thumbnail?url=${encodeURIComponent(sunset)}&size=99` },
+    { route: 'sharePage', name: 'share page', path: `/api/share/${HORIZONS}/1?lang=en` },
+    { route: 'shareCard', name: 'share card', path: `/api/share/${HORIZONS}/1/card?lang=en` },
+    { route: 'poster', name: 'poster', path: `/api/share/${HORIZONS}/1/poster?lang=en&size=story` },
+    {
+      route: 'streamDescription',
+      name: 'description stream',
+      method: 'POST',
+      path: '/api/gemini/stream-nft-description?fresh=true',
+      body: { nft, contractAddress: HORIZONS, chain: 'ethereum', style: 'curator', language: 'en' }
+    },
+    { route: 'streamDescription', name: 'invalid description request', method: 'POST', path: '/api/gemini/stream-nft-description', body: { nft: null } },
+    { route: 'analyzeNft', name: 'analysis', method: 'POST', path: '/api/gemini/analyze-nft?fresh=true', body: { nft, language: 'en' } }
+  ];
+}
+
+function dropVolatileFields(value) {
+  if (Array.isArray(value)) return value.map(dropVolatileFields);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => !VOLATILE_FIELDS.includes(key))
+    .map(([key, field]) => [key, dropVolatileFields(field)]));
+}
+
+// A response reduced to what both adapters must agree on
+function describeResponse({ status, headers, body }) {
+  const type = headers['content-type'] || '';
+  let content = body;
+  if (type.startsWith('application/json')) {
+    content = dropVolatileFields(JSON.parse(body.toString('utf8')));
+  } else if (type.startsWith('text/event-stream')) {
+    content = parseEvents(body).map(({ event, data }) => ({ event, data: dropVolatileFields(data) }));
+  } else if (type.startsWith('text/')) {
+    content = body.toString('utf8');
+  }
+
+  return {
+    status,
+    headers: Object.fromEntries(COMPARED_HEADERS.map(name => [name, headers[name]])),
+    content
+  };
+}
+
+// Builds the collection's trait index up front, so collection routes answer
+// both adapters from the same built index rather than with build progress
+async function buildTraitIndex(origin) {
+  while ((await request(origin, { path: `/api/collections/${HORIZONS}/traits` })).status === 202) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+let express;
+let vercel;
+let cases;
+
+before(async () => {
+  express = await startMockApp();
+  vercel = await startVercelServer();
+  cases = getCases(express.origin);
+  await buildTraitIndex(express.origin);
+});
+
+after(async () => {
+  await stopServer(express.server);
+  await stopServer(vercel.server);
+  removeDataDir();
+});
+
+test('covers every route', () => {
+  assert.deepEqual(new Set(cases.map(({ route }) => route)), new Set(Object.keys(routes)));
+});
+
+test('both adapters answer alike', async (t) => {
+  for (const testCase of cases) {
+    await t.test(testCase.name, async () => {
+      // A fixed Host keeps absolute URLs (share pages) the same on both servers
+      const options = { ...testCase, headers: { Host: 'gallery.test', Origin: 'http://localhost:5173' } };
+      const expressResponse = await request(express.origin, options);
+      const vercelResponse = await request(vercel.origin, options);
+
+      assert.deepEqual(describeResponse(vercelResponse), describeResponse(expressResponse));
+    });
+  }
+});
+
+test('builds a trait index across Vercel function requests', async (t) => {
+  // Functions freeze once they respond, so nothing may be left to the background
+  process.env.VERCEL = '1';
+  t.after(() => delete process.env.VERCEL);
+  const path = `/api/collections/${FAILURES}/traits`;
+
+  const started = await request(vercel.origin, { path });
+  assert.equal(started.status, 202);
+  assert.equal(JSON.parse(started.body).code, 'TRAIT_INDEX_BUILDING');
+
+  // The next request walks the collection before answering
+  const walked = await request(vercel.origin, { path });
+  assert.equal(walked.status, 202);
+  assert.equal(JSON.parse(walked.body).tokenCount, 4);
+
+  const built = await request(vercel.origin, { path });
+  assert.equal(built.status, 200);
+  assert.equal(JSON.parse(built.body).tokenCount, 4);
+
+  // Polls while the index builds don't count against the API limit
+  assert.equal(built.headers['ratelimit-policy'], '100;w=900');
+  assert.equal(built.headers['ratelimit-remaining'], walked.headers['ratelimit-remaining']);
+});
@@ -0,0 +1,416 @@
+import { removeDataDir } from './helpers/mockEnv.js';
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockApp, stopServer } from './helpers/mockApp.js';
+import { request, parseEvents } from './helpers/server.js';
+import { routes } from '../server/routes.js';
+
+// Every API route of the app, started in MOCK_PROVIDERS mode: fixture
+// collections, fixture media and the fake Gemini
+
+const HORIZONS = '0x00000000000000000000000000000000000c0de1';
+const FAILURES = '0x00000000000000000000000000000000000c0de2';
+const FRONTEND_ORIGIN = 'http://localhost:5173';
+
+let origin;
+let server;
+
+before(async () => {
+  ({ server, origin } = await startMockApp());
+});
+
+after(async () => {
+  await stopServer(server);
+  removeDataDir();
+});
+
+function get(path, headers = {}) {
+  return request(origin, { path, headers });
+}
+
+function post(path, body) {
+  return request(origin, { method: 'POST', path, body });
+}
+
+function readJson(response) {
+  assert.match(response.headers['content-type'], /^application\/json; charset=utf-8$/);
+  return JSON.parse(response.body.toString('utf8'));
+}
+
+// Asserts a JSON error response and returns its body
+function assertError(response, status, error, code) {
+  assert.equal(response.status, status);
+  const body = readJson(response);
+  assert.equal(body.error, error);
+  assert.equal(body.code, code);
+  return body;
+}
+
+// Requests `path` again while its collection's trait index builds, and
+// returns the first response that isn't a 202
+async function getWhenIndexed(path) {
+  for (;;) {
+    const response = await get(path);
+    if (response.status !== 202) return response;
+    assert.equal(readJson(response).code, 'TRAIT_INDEX_BUILDING');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+function mediaUrl(file) {
+  return `${origin}/mock-media/${file}`;
+}
+
+function descriptionRequest(contractAddress, nft) {
+  return { nft, contractAddress, chain: 'ethereum', style: 'curator', language: 'en' };
+}
+
+// The text of a description stream
+function readDescription(events) {
+  return events.filter(({ event }) => event === 'delta').map(({ data }) => data.text).join('');
+}
+
+const routeTests = {
+  async streamDescription() {
+    const body = descriptionRequest(HORIZONS, { tokenId: '1', name: 'Sunset Relay #1', image: mediaUrl('sunset.png') });
+
+    const fresh = await post('/api/gemini/stream-nft-description', body);
+    assert.equal(fresh.status, 200);
+    assert.equal(fresh.headers['content-type'], 'text/event-stream; charset=utf-8');
+    assert.equal(fresh.headers['cache-control'], 'no-cache, no-transform');
+    assert.equal(fresh.headers['content-language'], 'en');
+    assert.equal(fresh.headers['x-description-cache'], 'MISS');
+    assert.equal(fresh.headers['ratelimit-policy'], '10;w=60');
+
+    const events = parseEvents(fresh.body);
+    assert.equal(events[0].event, 'meta');
+    assert.deepEqual(
+      { ...events[0].data, model: undefined },
+      { processingType: 'optimized_static', model: undefined, cache: 'MISS', style: 'curator', language: 'en' }
+    );
+    assert.equal(events.at(-1).event, 'done');
+    assert.ok(events.at(-1).data.usage.totalTokens > 0);
+
+    const text = readDescription(events);
+    assert.match(text, /^.+ in Sunset Relay #1, .+ \(Mock description\.\)$/);
+    assert.doesNotMatch(text, /undefined/);
+
+    // Replayed from the store, without counting against the Gemini limit
+    const replay = await post('/api/gemini/stream-nft-description', body);
+    assert.equal(replay.headers['x-description-cache'], 'HIT');
+    assert.equal(replay.headers['ratelimit-policy'], '100;w=900');
+    assert.equal(readDescription(parseEvents(replay.body)), text);
+
+    // The same token written with a leading zero shares the stored description
+    const padded = await post('/api/gemini/stream-nft-description', { ...body, nft: { ...body.nft, tokenId: '01' } });
+    assert.equal(padded.headers['x-description-cache'], 'HIT');
+    assert.equal(readDescription(parseEvents(padded.body)), text);
+  },
+
+  async analyzeNft() {
+    const body = {
+      nft: { tokenId: '3', name: 'Glyph #3', image: mediaUrl('glyph.svg'), attributes: [{ key: 'Medium', value: 'Vector' }] },
+      language: 'en'
+    };
+    const response = await post('/api/gemini/analyze-nft', body);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers['content-language'], 'en');
+    const { analysis } = readJson(response);
+    assert.deepEqual(analysis.subjects, ['Glyph #3', 'Vector']);
+    assert.equal(analysis.medium, 'Vector');
+    assert.equal(analysis.altText, 'Mock alt text for Glyph #3.');
+    assert.equal(readJson(response).cache, 'MISS');
+    assert.equal(response.headers['ratelimit-policy'], '10;w=60');
+
+    // Replayed from the store, without counting against the Gemini limit
+    const replay = await post('/api/gemini/analyze-nft', body);
+    assert.equal(replay.status, 200);
+    assert.equal(replay.headers['ratelimit-policy'], '100;w=900');
+    const stored = readJson(replay);
+    assert.equal(stored.cache, 'HIT');
+    assert.deepEqual(stored.analysis, analysis);
+  },
+
+  async contractMetadata() {
+    const response = await get(`/api/alchemy/contract-metadata/${HORIZONS}`);
+
+    assert.equal(response.status, 200);
+    const collection = readJson(response);
+    assert.equal(collection.address, HORIZONS);
+    assert.equal(collection.name, 'Mock Horizons');
+    assert.equal(collection.symbol, 'MOCKH');
+    assert.equal(collection.totalSupply, 24);
+    assert.equal(collection.imageUrl, mediaUrl('sunset.png'));
+
+    assertError(await get('/api/alchemy/contract-metadata/0x123'), 400, 'Please enter a valid contract address.');
+  },
+
+  async nftMetadata() {
+    const response = await get(`/api/alchemy/nft-metadata/${HORIZONS}/2`);
+
+    assert.equal(response.status, 200);
+    const nft = readJson(response);
+    assert.equal(nft.tokenId, '2');
+    assert.equal(nft.name, 'Orbit Study #2');
+    assert.equal(nft.image, mediaUrl('orbit.gif'));
+    assert.deepEqual(nft.attributes, [
+      { key: 'Medium', value: 'Animation' },
+      { key: 'Palette', value: 'Glacier' },
+      { key: 'Edition', value: '1' }
+    ]);
+  },
+
+  async collectionNfts() {
+    const response = await get(`/api/alchemy/collection-nfts/${HORIZONS}?limit=2`);
+
+    assert.equal(response.status, 200);
+    const page = readJson(response);
+    assert.deepEqual(page.nfts.map(({ tokenId }) => tokenId), ['1', '2']);
+    assert.equal(page.nextPageKey, '2');
+
+    const last = readJson(await get(`/api/alchemy/collection-nfts/${HORIZONS}?limit=2&pageKey=22`));
+    assert.deepEqual(last.nfts.map(({ tokenId }) => tokenId), ['23', '24']);
+    assert.equal(last.nextPageKey, null);
+  },
+
+  async collectionTraits() {
+    // The first request starts the build in the background and counts against its own limit
+    const building = await get(`/api/collections/${HORIZONS}/traits`);
+    assert.equal(building.status, 202);
+    assert.equal(building.headers['retry-after'], '2');
+    assert.equal(building.headers['ratelimit-policy'], '20;w=900');
+    const progress = readJson(building);
+    assert.equal(progress.status, 'building');
+    assert.equal(progress.code, 'TRAIT_INDEX_BUILDING');
+    assert.equal(progress.tokenCount, 0);
+
+    const response = await getWhenIndexed(`/api/collections/${HORIZONS}/traits`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers['ratelimit-policy'], '100;w=900');
+    const summary = readJson(response);
+    assert.equal(summary.tokenCount, 24);
+    assert.equal(summary.complete, true);
+    assert.equal(summary.tokens, undefined);
+    assert.deepEqual(summary.traits.map(({ traitType }) => traitType), ['Edition', 'Medium', 'Palette']);
+    assert.deepEqual(summary.traits[1].values.find(({ value }) => value === 'Video'), { value: 'Video', count: 4 });
+  },
+
+  async collectionTokens() {
+    const response = await getWhenIndexed(`/api/collections/${HORIZONS}/tokens?trait=Medium:Video&trait=Palette:Dusk&q=pulse`);
+
+    assert.equal(response.status, 200);
+    const page = readJson(response);
+    assert.deepEqual(page.nfts.map(({ tokenId }) => tokenId), ['4', '16']);
+    // Matches are loaded in full; the index keeps only names and traits
+    assert.equal(page.nfts[0].image, mediaUrl('pulse.mp4'));
+    assert.equal(page.total, 2);
+    assert.equal(page.nextPageKey, null);
+
+    assertError(await get(`/api/collections/${HORIZONS}/tokens?trait=Medium`), 400, 'Traits must look like "Type:Value" (at most 20).');
+  },
+
+  async collectionRarity() {
+    const ranking = readJson(await getWhenIndexed(`/api/collections/${HORIZONS}/rarity?limit=2`));
+    assert.equal(ranking.tokenCount, 24);
+    assert.equal(ranking.tokens.length, 2);
+    assert.equal(ranking.tokens[0].rank, 1);
+    assert.equal(ranking.tokens[0].traits, undefined);
+    assert.equal(ranking.nextPageKey, '2');
+
+    const { token } = readJson(await get(`/api/collections/${HORIZONS}/rarity?tokenId=3`));
+    assert.equal(token.tokenId, '3');
+    assert.deepEqual(token.traits[0], { traitType: 'Medium', value: 'Vector', count: 4, frequency: 4 / 24 });
+
+    assertError(
+      await get(`/api/collections/${HORIZONS}/rarity?tokenId=999`),
+      404,
+      'This token is not in the indexed collection.',
+      'TOKEN_NOT_INDEXED'
+    );
+  },
+
+  async collectionEssay() {
+    const response = await getWhenIndexed(`/api/collections/${HORIZONS}/essay?samples=4&lang=en`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers['content-language'], 'en');
+    const essay = readJson(response);
+    assert.match(essay.essay, /^.+ in Mock Horizons, .+ \(Mock description\.\)$/);
+    assert.doesNotMatch(essay.essay, /undefined/);
+    assert.equal(essay.samples.length, 4);
+    assert.equal(essay.tokenCount, 24);
+    assert.equal(essay.cache, 'MISS');
+
+    const stored = readJson(await get(`/api/collections/${HORIZONS}/essay?samples=4&lang=en`));
+    assert.equal(stored.cache, 'HIT');
+    assert.equal(stored.essay, essay.essay);
+
+    assertError(await get(`/api/collections/${HORIZONS}/essay?samples=99`), 400, 'Please use between 4 and 16 samples.');
+  },
+
+  async collectionSearch() {
+    const response = await get('/api/collections/search?q=mock');
+
+    assert.equal(response.status, 200);
+    const { collections } = readJson(response);
+    assert.deepEqual(collections.map(({ address }) => address), [HORIZONS, FAILURES]);
+
+    assertError(await get('/api/collections/search?q=m'), 400, 'Search text must be 2 to 100 characters.');
+  },
+
+  async ensLookup() {
+    const response = await get('/api/collections/resolve?name=Mock-Horizons.eth');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(readJson(response), { name: 'mock-horizons.eth', address: HORIZONS });
+
+    assertError(await get('/api/collections/resolve?name=nobody.eth'), 404, 'nobody.eth does not point at an address.', 'ENS_NAME_NOT_FOUND');
+    assertError(await get('/api/collections/resolve?name=nobody'), 400, 'Please enter a valid ENS name, e.g. name.eth.');
+  },
+
+  async thumbnail() {
+    const response = await get(`/api/media/thumbnail?url=${encodeURIComponent(mediaUrl('sunset.png'))}&size=128`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers['content-type'], 'image/webp');
+    assert.equal(response.headers['cache-control'], 'public, max-age=86400');
+    assert.equal(response.headers['cross-origin-resource-policy'], 'cross-origin');
+    assert.equal(response.headers['ratelimit-policy'], '1000;w=900');
+    assert.equal(response.body.subarray(8, 12).toString('latin1'), 'WEBP');
+
+    assertError(
+      await get(`/api/media/thumbnail?url=${encodeURIComponent('http://127.0.0.1:1/x.png')}`),
+      400,
+      'Media URL not allowed: port 1 is not allowed',
+      'URL_BLOCKED'
+    );
+  },
+
+  async sharePage() {
+    const response = await get(`/api/share/${HORIZONS}/1?lang=en`, { Host: 'gallery.test' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers['content-type'], 'text/html; charset=utf-8');
+    assert.match(response.headers['content-security-policy'], /font-src 'self' https:\/\/fonts\.gstatic\.com/);
+
+    const html = response.body.toString('utf8');
+    assert.ok(html.includes('Sunset Relay #1 - ChainGallery'));
+    assert.ok(html.includes(`http://gallery.test/api/share/${HORIZONS}/1/card?lang=en`));
+
+    // Forwarded headers only count behind a trusted proxy
+    const forwarded = { Host: 'gallery.test', 'X-Forwarded-Host': 'forwarded.test', 'X-Forwarded-Proto': 'https' };
+    const spoofed = (await get(`/api/share/${HORIZONS}/1?lang=en`, forwarded)).body.toString('utf8');
+    assert.ok(spoofed.includes(`http://gallery.test/api/share/${HORIZONS}/1/card?lang=en`));
+    assert.ok(!spoofed.includes('forwarded.test'));
+
+    process.env.TRUST_PROXY = 'true';
+    try {
+      const proxied = (await get(`/api/share/${HORIZONS}/1?lang=en`, forwarded)).body.toString('utf8');
+      assert.ok(proxied.includes(`https://forwarded.test/api/share/${HORIZONS}/1/card?lang=en`));
+    } finally {
+      delete process.env.TRUST_PROXY;
+    }
+  },
+
+  async shareCard() {
+    const response = await get(`/api/share/${HORIZONS}/1/card?lang=en`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers['content-type'], 'image/png');
+    assert.equal(response.headers['cache-control'], 'public, max-age=3600');
+    assert.equal(response.headers['cross-origin-resource-policy'], 'cross-origin');
+    assert.equal(response.body.subarray(1, 4).toString('latin1'), 'PNG');
+  },
+
+  async poster() {
+    const response = await get(`/api/share/${HORIZONS}/1/poster?lang=en&size=story&format=pdf`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers['content-type'], 'application/pdf');
+    assert.equal(response.headers['content-disposition'], 'attachment; filename="chaingallery-sunset-relay-1-story.pdf"');
+    assert.equal(response.headers['ratelimit-policy'], '30;w=900');
+    assert.equal(response.body.subarray(0, 5).toString('latin1'), '%PDF-');
+
+    assertError(await get(`/api/share/${HORIZONS}/1/poster?size=huge`), 400, 'Poster size must be one of square, a4, story.');
+  },
+
+  async health() {
+    const response = await get('/api/health');
+
+    assert.equal(response.status, 200);
+    const body = readJson(response);
+    assert.equal(body.status, 'OK');
+    assert.equal(body.environment, 'development');
+    assert.ok(!Number.isNaN(Date.parse(body.timestamp)));
+  }
+};
+
+test('has a test for every route', () => {
+  assert.deepEqual(Object.keys(routeTests).sort(), Object.keys(routes).sort());
+});
+
+for (const [name, run] of Object.entries(routeTests)) {
+  test(`${name}: ${routes[name].methods.join(', ')} ${routes[name].path}`, run);
+}
+
+test('sends security and CORS headers', async () => {
+  const allowed = await get('/api/health', { Origin: FRONTEND_ORIGIN });
+  assert.equal(allowed.headers['x-content-type-options'], 'nosniff');
+  assert.match(allowed.headers['content-security-policy'], /^default-src 'self'/);
+  assert.equal(allowed.headers['access-control-allow-origin'], FRONTEND_ORIGIN);
+  assert.equal(allowed.headers['access-control-allow-credentials'], 'true');
+  assert.equal(allowed.headers['ratelimit-policy'], '100;w=900');
+
+  const other = await get('/api/health', { Origin: 'https://elsewhere.example' });
+  assert.equal(other.headers['access-control-allow-origin'], undefined);
+});
+
+test('answers unknown paths and methods with JSON errors', async () => {
+  assertError(await get('/api/nothing-here'), 404, 'Endpoint not found');
+  assertError(await get('/api/gemini/stream-nft-description'), 405, 'Method not allowed');
+  assertError(await request(origin, { method: 'DELETE', path: '/api/health' }), 405, 'Method not allowed');
+});
+
+test('answers handlers that reject with a 500', async (t) => {
+  t.mock.method(routes.health, 'handler', async () => {
+    throw new Error('Handler failed');
+  });
+  assertError(await get('/api/health'), 500, 'Handler failed');
+});
+
+test('reports Gemini and media failures', async () => {
+  assertError(await post('/api/gemini/stream-nft-description', { nft: null }), 400, 'Invalid NFT data format');
+
+  assertError(
+    await post('/api/gemini/stream-nft-description', descriptionRequest(FAILURES, { tokenId: '1', name: 'Rate Limited', image: mediaUrl('sunset.png') })),
+    429,
+    'Too many requests. Please try again in a moment.',
+    'RATE_LIMITED'
+  );
+
+  const missing = assertError(
+    await post('/api/gemini/stream-nft-description', descriptionRequest(FAILURES, { tokenId: '4', name: 'Missing Media', image: mediaUrl('missing.png') })),
+    422,
+    'This NFT format is not supported yet. Please try another one.',
+    'UNSUPPORTED_MEDIA'
+  );
+  assert.match(missing.details, /404/);
+
+  // Failures after the stream has started end it with an `error` event
+  const broken = await post('/api/gemini/stream-nft-description', descriptionRequest(FAILURES, { tokenId: '2', name: 'Broken Stream', image: mediaUrl('orbit.gif') }));
+  assert.equal(broken.status, 200);
+  const events = parseEvents(broken.body);
+  assert.equal(events[0].event, 'meta');
+  assert.deepEqual(events.at(-1), { event: 'error', data: { code: 'GENERATION_FAILED', message: 'Mock Gemini stream interrupted' } });
+
+  assertError(
+    await post('/api/gemini/analyze-nft', {
+      nft: { tokenId: '3', name: 'Garbled Analysis', image: mediaUrl('glyph.svg'), attributes: [{ key: 'mock_gemini', value: 'invalid_json' }] },
+      language: 'en'
+    }),
+    502,
+    'The analysis could not be generated. Please try again.',
+    'INVALID_ANALYSIS'
+  );
+});
@@ -0,0 +1,144 @@
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { getNftMetadata, getContractMetadata, encodeUint256 } from '../server/providers/rpcProvider.js';
+import { listen } from './helpers/server.js';
+
+// A local JSON-RPC node and metadata host. Metadata is served under the mock
+// media path, the only loopback URLs the guarded fetcher allows (in mock mode).
+
+const ERC721 = '0x0000000000000000000000000000000000000721';
+const ERC1155 = '0x0000000000000000000000000000000000001155';
+const ON_CHAIN = '0x00000000000000000000000000000000000000da';
+const REVERTS = '0x000000000000000000000000000000000000dead';
+const OVERSIZED = '0x0000000000000000000000000000000000000b16';
+
+const TOKEN_URI = '0xc87b56dd';
+const URI = '0x0e89341c';
+const NAME = '0x06fdde03';
+
+// ABI-encodes a string return value
+function encodeString(text) {
+  const hex = Buffer.from(text, 'utf8').toString('hex');
+  return `0x${encodeUint256(32)}${encodeUint256(hex.length / 2)}${hex.padEnd(Math.ceil(hex.length / 64) * 64, '0')}`;
+}
+
+let origin;
+const calls = [];
+
+// Return values of eth_call by contract and selector; missing entries revert
+function contractCall({ to, data }) {
+  const selector = data.slice(0, 10);
+  const tokenId = BigInt(`0x${data.slice(10) || '0'}`).toString();
+  const json = Buffer.from(JSON.stringify({ name: `On-chain #${tokenId}`, image: 'ipfs://QmImage' })).toString('base64');
+
+  const results = {
+    [ERC721]: { [TOKEN_URI]: `${origin}/mock-media/721/${tokenId}.json`, [NAME]: 'Local 721' },
+    [ERC1155]: { [URI]: `${origin}/mock-media/1155/{id}.json` },
+    [ON_CHAIN]: { [TOKEN_URI]: `data:application/json;base64,${json}` },
+    [OVERSIZED]: { [TOKEN_URI]: `${origin}/mock-media/huge.json` }
+  };
+  const result = results[to.toLowerCase()]?.[selector];
+  return result === undefined ? null : encodeString(result);
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'POST') {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      calls.push({ method, params });
+      const result = method === 'eth_call' ? contractCall(params[0]) : null;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(result === null
+        ? { jsonrpc: '2.0', id, error: { code: 3, message: 'execution reverted' } }
+        : { jsonrpc: '2.0', id, result }));
+    });
+    return;
+  }
+
+  const erc721 = req.url.match(/^\/mock-media\/721\/(\d+)\.json$/);
+  const erc1155 = req.url.match(/^\/mock-media\/1155\/([0-9a-f]{64})\.json$/);
+  res.setHeader('Content-Type', 'application/json');
+  if (erc721) {
+    res.end(JSON.stringify({
+      name: `Local #${erc721[1]}`,
+      description: 'Served over HTTP',
+      image: `${origin}/mock-media/721/${erc721[1]}.png`,
+      attributes: [{ trait_type: 'Background', value: 'Blue' }]
+    }));
+  } else if (erc1155) {
+    res.end(JSON.stringify({ name: `Edition ${BigInt(`0x${erc1155[1]}`)}`, image: 'ar://tx' }));
+  } else if (req.url === '/mock-media/huge.json') {
+    res.end(JSON.stringify({ name: 'Huge', description: 'x'.repeat(2 * 1024 * 1024) }));
+  } else {
+    res.statusCode = 404;
+    res.end('{}');
+  }
+});
+
+before(async () => {
+  origin = await listen(server);
+  process.env.MOCK_PROVIDERS = 'true';
+  process.env.MOCK_MEDIA_ORIGIN = origin;
+  process.env.RPC_URL_ETHEREUM = origin;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('reads ERC-721 metadata through tokenURI', async () => {
+  const nft = await getNftMetadata({ chain: 'ethereum', contractAddress: ERC721, tokenId: '42' });
+
+  assert.equal(nft.tokenType, 'ERC721');
+  assert.equal(nft.tokenId, '42');
+  assert.equal(nft.name, 'Local #42');
+  assert.equal(nft.description, 'Served over HTTP');
+  assert.equal(nft.image, `${origin}/mock-media/721/42.png`);
+  assert.deepEqual(nft.attributes, [{ key: 'Background', value: 'Blue' }]);
+
+  const call = calls.findLast(({ method }) => method === 'eth_call');
+  assert.equal(call.params[0].data, `${TOKEN_URI}${encodeUint256(42)}`);
+  assert.equal(call.params[1], 'latest');
+});
+
+test('falls back to ERC-1155 uri with {id} substitution', async () => {
+  const nft = await getNftMetadata({ chain: 'ethereum', contractAddress: ERC1155, tokenId: '255' });
+
+  assert.equal(nft.tokenType, 'ERC1155');
+  assert.equal(nft.name, 'Edition 255');
+  assert.equal(nft.imageRaw, 'ar://tx');
+});
+
+test('decodes data: JSON token URIs without fetching', async () => {
+  const nft = await getNftMetadata({ chain: 'ethereum', contractAddress: ON_CHAIN, tokenId: '7' });
+
+  assert.equal(nft.tokenType, 'ERC721');
+  assert.equal(nft.name, 'On-chain #7');
+  assert.equal(nft.imageRaw, 'ipfs://QmImage');
+});
+
+test('rejects tokens whose tokenURI and uri both revert', async () => {
+  await assert.rejects(
+    getNftMetadata({ chain: 'ethereum', contractAddress: REVERTS, tokenId: '1' }),
+    /Token URI not available: RPC error: execution reverted/
+  );
+});
+
+test('refuses metadata documents over the size cap', async () => {
+  await assert.rejects(
+    getNftMetadata({ chain: 'ethereum', contractAddress: OVERSIZED, tokenId: '1' }),
+    /Token metadata is larger than 1024KB/
+  );
+});
+
+test('reports reverting optional contract functions as null', async () => {
+  const collection = await getContractMetadata({ chain: 'ethereum', contractAddress: ERC721 });
+
+  assert.equal(collection.name, 'Local 721');
+  assert.equal(collection.symbol, null);
+  assert.equal(collection.totalSupply, null);
+});